@@ -3,7 +3,8 @@
 
     CAMERA CONTROLS:
     - Middle mouse HOLD → NUI releases all focus, Lua takes over
-      Mouse = look, WASD = move, Space = up, Ctrl = down, Shift = fast
+      Mouse = look, WASD = move, Space = up, Ctrl = down,
+      Shift = fast, Alt = slow, Q/E = roll (only when roll lock is off)
     - Middle mouse RELEASE → Lua detects it, restores NUI focus
     - Scroll wheel → FOV (handled by NUI when it has focus)
 
@@ -18,6 +19,9 @@
     35 = Move Right (D)
     22 = Jump (Space)
     36 = Duck/Sneak (Left Ctrl)
+    19 = Character Wheel (Left Alt)
+    44 = Cover (Q)
+    38 = Pickup (E)
     348 = Middle mouse button (INPUT_REPLAY_NEWMARKER or varies)
 ========================================================================= ]]
 
@@ -25,7 +29,6 @@ DirectorCamera = {}
 
 local freeCam = nil
 local isFreeCamActive = false
-local freeCamSpeed = 1.0
 local freeCamPos = vector3(0, 0, 0)
 local freeCamRot = vector3(0, 0, 0)
 local freeCamFov = 50.0
@@ -34,14 +37,119 @@ local freeCamFov = 50.0
 local isMiddleMouseHeld = false
 local editorIsOpen = false  -- set by cl_editor when editor opens/closes
 
-local MOUSE_SENS = 3.0
 local MOVE_SPEED_BASE = 0.5
-local MOVE_SPEED_FAST = 2.5
+local ROLL_SPEED = 45.0  -- degrees per second
+
+--[[ =========================================================================
+    FREE CAM SETTINGS
+
+    Tweaked from the editor's Free Cam panel (director:setCamSettings)
+    and stored per user in resource KVP, so they survive restarts.
+========================================================================= ]]
+
+local SETTINGS_KVP = "director:camSettings"
+
+local DEFAULT_SETTINGS = {
+    speed = 1.0,            -- movement multiplier
+    sensitivity = 3.0,      -- mouse look
+    slowMultiplier = 0.2,   -- while Alt is held
+    fastMultiplier = 5.0,   -- while Shift is held
+    fovStep = 2.0,          -- per scroll notch
+    fovMin = 10.0,
+    fovMax = 120.0,
+    rollLock = true,
+}
+
+local SETTING_LIMITS = {
+    speed = { 0.02, 10.0 },
+    sensitivity = { 0.2, 15.0 },
+    slowMultiplier = { 0.01, 1.0 },
+    fastMultiplier = { 1.0, 20.0 },
+    fovStep = { 0.1, 20.0 },
+    fovMin = { 1.0, 130.0 },
+    fovMax = { 1.0, 130.0 },
+}
+
+local camSettings = {}
+
+-- Merge values into camSettings, ignoring unknown keys and clamping numbers
+local function MergeSettings(values)
+    for key, default in pairs(DEFAULT_SETTINGS) do
+        local value = values[key]
+        if type(default) == "boolean" then
+            if type(value) == "boolean" then camSettings[key] = value end
+        else
+            value = tonumber(value)
+            if value then
+                local limits = SETTING_LIMITS[key]
+                camSettings[key] = math.max(limits[1], math.min(limits[2], value))
+            end
+        end
+    end
+
+    if camSettings.fovMin > camSettings.fovMax then
+        camSettings.fovMin, camSettings.fovMax = camSettings.fovMax, camSettings.fovMin
+    end
+end
+
+local function LoadSettings()
+    MergeSettings(DEFAULT_SETTINGS)
+
+    local stored = GetResourceKvpString(SETTINGS_KVP)
+    if stored then
+        local ok, values = pcall(json.decode, stored)
+        if ok and type(values) == "table" then MergeSettings(values) end
+    end
+end
+
+LoadSettings()
 
 --[[ =========================================================================
     EASING FUNCTIONS
+
+    Each takes the raw segment progress t (0..1) and the keyframe that
+    ends the segment. Only "cubic-bezier" reads the keyframe: its control
+    points live in kf.bezier = { x1, y1, x2, y2 } (CSS semantics).
+    html/editor.js mirrors this table for the curve graph — keep in sync.
 ========================================================================= ]]
 
+local DEFAULT_BEZIER = { 0.42, 0.0, 0.58, 1.0 }
+
+-- Solve a CSS-style cubic-bezier(x1, y1, x2, y2) for progress x.
+-- Newton-Raphson on x(s), falling back to bisection when the slope is flat.
+local function CubicBezier(x1, y1, x2, y2, x)
+    local function sample(a1, a2, s)
+        local inv = 1.0 - s
+        return 3.0 * inv * inv * s * a1 + 3.0 * inv * s * s * a2 + s * s * s
+    end
+    local function slope(a1, a2, s)
+        local inv = 1.0 - s
+        return 3.0 * inv * inv * a1 + 6.0 * inv * s * (a2 - a1) + 3.0 * s * s * (1.0 - a2)
+    end
+
+    if x <= 0.0 then return 0.0 end
+    if x >= 1.0 then return 1.0 end
+
+    local s = x
+    for _ = 1, 8 do
+        local err = sample(x1, x2, s) - x
+        if math.abs(err) < 1e-6 then return sample(y1, y2, s) end
+        local d = slope(x1, x2, s)
+        if math.abs(d) < 1e-6 then break end
+        s = s - err / d
+    end
+
+    local lo, hi = 0.0, 1.0
+    s = x
+    for _ = 1, 30 do
+        local v = sample(x1, x2, s)
+        if math.abs(v - x) < 1e-6 then break end
+        if v < x then lo = s else hi = s end
+        s = (lo + hi) * 0.5
+    end
+    return sample(y1, y2, s)
+end
+
 local Easings = {
     linear = function(t) return t end,
     ["ease-in"] = function(t) return t * t end,
@@ -61,6 +169,10 @@ local Easings = {
             local t1 = (2.0 * t - 2.0)
             return 0.5 * t1 * t1 * t1 + 1.0
         end
+    end,
+    ["cubic-bezier"] = function(t, kf)
+        local b = (kf and type(kf.bezier) == "table" and #kf.bezier == 4) and kf.bezier or DEFAULT_BEZIER
+        return CubicBezier(b[1], b[2], b[3], b[4], t)
     end
 }
 
@@ -89,6 +201,101 @@ local function LerpRot(a, b, t)
     return vector3(LerpAngle(a.x, b.x, t), LerpAngle(a.y, b.y, t), LerpAngle(a.z, b.z, t))
 end
 
+-- Keyframes coming straight from the editor hold plain {x,y,z} tables
+local function ToVec3(v)
+    if type(v) == 'vector3' then return v end
+    return vector3(v.x or v[1] or 0.0, v.y or v[2] or 0.0, v.z or v[3] or 0.0)
+end
+
+-- Rotation (pitch, 0, yaw) that looks from one point at another.
+-- Matches the free cam's forward vector: (-sin yaw * cos pitch, cos yaw * cos pitch, sin pitch)
+local function LookAtRot(from, to)
+    local d = to - from
+    local flat = math.sqrt(d.x * d.x + d.y * d.y)
+    return vector3(math.deg(math.atan(d.z, flat)), 0.0, math.deg(math.atan(-d.x, d.y)))
+end
+
+--[[ =========================================================================
+    CAMERA TARGETS
+
+    A camera keyframe may carry kf.target:
+        { mode = "look_at", entityId = "npc_1", height = 0.6 }   aim at an entity
+        { mode = "look_at", point = {x, y, z} }                  aim at a world point
+        { mode = "follow", entityId = "npc_1", offset = {x, y, z}, height = 0.6 }
+    look_at keeps the keyframe's position and overrides its pitch/yaw.
+    follow places the camera at entity + offset (world axes) and aims at
+    the entity. height lifts the aim point above the entity origin.
+    Targets on a missing entity fall back to the stored pos/rot.
+========================================================================= ]]
+
+local DEFAULT_TARGET_HEIGHT = 0.6
+
+local TARGET_MODES = { look_at = true, follow = true }
+
+function DirectorCamera.GetTargetModes()
+    return { "look_at", "follow" }
+end
+
+function DirectorCamera.IsTargetMode(mode)
+    return TARGET_MODES[mode] == true
+end
+
+local function GetTargetEntityPos(entityId)
+    local handle = entityId and DirectorEntities.GetHandle(entityId)
+    if not handle or not DoesEntityExist(handle) then return nil end
+    return GetEntityCoords(handle)
+end
+
+-- Where a keyframe puts the camera right now: position, plus the point it
+-- aims at (nil when it simply uses its stored rotation)
+local function ResolveKeyframe(kf)
+    local target = kf.target
+    if not target or not TARGET_MODES[target.mode] then
+        return ToVec3(kf.pos), nil
+    end
+
+    local height = tonumber(target.height) or DEFAULT_TARGET_HEIGHT
+
+    if target.entityId then
+        local entPos = GetTargetEntityPos(target.entityId)
+        if not entPos then return ToVec3(kf.pos), nil end
+
+        local aim = entPos + vector3(0.0, 0.0, height)
+        if target.mode == "follow" then
+            return entPos + ToVec3(target.offset or { x = 0.0, y = -3.0, z = 1.5 }), aim
+        end
+        return ToVec3(kf.pos), aim
+    end
+
+    if target.mode == "look_at" and target.point then
+        return ToVec3(kf.pos), ToVec3(target.point)
+    end
+
+    return ToVec3(kf.pos), nil
+end
+
+-- The rotation a resolved keyframe ends up with. Roll always comes from
+-- the stored rotation, so a tilted look-at shot keeps its tilt.
+local function ResolvedRot(kf, pos, aim)
+    local rot = ToVec3(kf.rot)
+    if not aim then return rot end
+    local look = LookAtRot(pos, aim)
+    return vector3(look.x, rot.y, look.z)
+end
+
+-- Segments for the editor's target lines: camera position → aim point
+-- for every keyframe that has a resolvable target
+function DirectorCamera.GetTargetLines(keyframes)
+    local lines = {}
+    for _, kf in ipairs(keyframes or {}) do
+        local pos, aim = ResolveKeyframe(kf)
+        if aim then
+            table.insert(lines, { from = pos, to = aim, follow = kf.target.mode == "follow" })
+        end
+    end
+    return lines
+end
+
 --[[ =========================================================================
     MIDDLE MOUSE HANDLING
 
@@ -121,13 +328,25 @@ end)
 RegisterNUICallback('director:scrollFov', function(data, cb)
     local delta = tonumber(data.delta) or 0
     if delta > 0 then
-        freeCamFov = math.min(120.0, freeCamFov + 2.0)
+        freeCamFov = math.min(camSettings.fovMax, freeCamFov + camSettings.fovStep)
     elseif delta < 0 then
-        freeCamFov = math.max(10.0, freeCamFov - 2.0)
+        freeCamFov = math.max(camSettings.fovMin, freeCamFov - camSettings.fovStep)
     end
     cb({ ok = true, fov = freeCamFov })
 end)
 
+-- Free cam settings from the editor panel. Partial updates are fine;
+-- replies with the full, clamped settings.
+RegisterNUICallback('director:setCamSettings', function(data, cb)
+    if data.reset then
+        MergeSettings(DEFAULT_SETTINGS)
+    else
+        MergeSettings(data.settings or {})
+    end
+    SetResourceKvp(SETTINGS_KVP, json.encode(camSettings))
+    cb({ ok = true, settings = camSettings })
+end)
+
 --[[ =========================================================================
     FREE CAMERA
 ========================================================================= ]]
@@ -244,6 +463,9 @@ function DirectorCamera.StartFreeCam(startPos, startRot, startFov)
                     if IsDisabledControlPressed(0, 22) then hasInput = true end -- Space
                     if IsDisabledControlPressed(0, 36) then hasInput = true end -- Ctrl
                     if IsDisabledControlPressed(0, 21) then hasInput = true end -- Shift
+                    if IsDisabledControlPressed(0, 19) then hasInput = true end -- Alt
+                    if IsDisabledControlPressed(0, 44) then hasInput = true end -- Q
+                    if IsDisabledControlPressed(0, 38) then hasInput = true end -- E
 
                     if not hasInput then
                         -- No inputs detected — likely released middle mouse.
@@ -268,19 +490,29 @@ function DirectorCamera.StartFreeCam(startPos, startRot, startFov)
                 if not isMiddleMouseHeld then goto continue end
 
                 -- Camera look
-                local mouseX = GetDisabledControlNormal(0, 1) * MOUSE_SENS
-                local mouseY = GetDisabledControlNormal(0, 2) * MOUSE_SENS
+                local mouseX = GetDisabledControlNormal(0, 1) * camSettings.sensitivity
+                local mouseY = GetDisabledControlNormal(0, 2) * camSettings.sensitivity
+
+                -- Roll stays level unless the lock is off, then Q/E tilt it
+                local roll = 0.0
+                if not camSettings.rollLock then
+                    roll = freeCamRot.y
+                    if IsDisabledControlPressed(0, 44) then roll = roll - ROLL_SPEED * dt end -- Q
+                    if IsDisabledControlPressed(0, 38) then roll = roll + ROLL_SPEED * dt end -- E
+                end
 
                 freeCamRot = vector3(
                     math.max(-89.0, math.min(89.0, freeCamRot.x - mouseY)),
-                    0.0,
+                    roll,
                     freeCamRot.z - mouseX
                 )
 
                 -- Movement speed
-                local moveSpeed = MOVE_SPEED_BASE * freeCamSpeed
+                local moveSpeed = MOVE_SPEED_BASE * camSettings.speed
                 if IsDisabledControlPressed(0, 21) then -- LEFT_SHIFT (Sprint)
-                    moveSpeed = MOVE_SPEED_FAST * freeCamSpeed
+                    moveSpeed = moveSpeed * camSettings.fastMultiplier
+                elseif IsDisabledControlPressed(0, 19) then -- LEFT_ALT (slow, for close-ups)
+                    moveSpeed = moveSpeed * camSettings.slowMultiplier
                 end
 
                 -- Direction vectors from rotation
@@ -351,8 +583,22 @@ function DirectorCamera.GetFreeCamState()
     return { pos = freeCamPos, rot = freeCamRot, fov = freeCamFov }
 end
 
+-- Move the free cam without restarting it (scrubbing in the editor)
+function DirectorCamera.SetFreeCamPose(pos, rot, fov)
+    freeCamPos = ToVec3(pos)
+    freeCamRot = ToVec3(rot)
+    freeCamFov = fov or freeCamFov
+end
+
 function DirectorCamera.SetFreeCamSpeed(speed)
-    freeCamSpeed = math.max(0.1, math.min(10.0, speed))
+    MergeSettings({ speed = speed })
+end
+
+-- Copy of the current free cam settings (see DEFAULT_SETTINGS)
+function DirectorCamera.GetSettings()
+    local copy = {}
+    for k, v in pairs(camSettings) do copy[k] = v end
+    return copy
 end
 
 --[[ =========================================================================
@@ -373,32 +619,20 @@ function DirectorCamera.StartPlayback()
     isPlaybackActive = true
 end
 
-function DirectorCamera.UpdatePlayback(keyframes, currentTime)
-    if not isPlaybackActive or not playbackCam then return end
-    if not keyframes or #keyframes == 0 then return end
-
-    if #keyframes == 1 then
-        local kf = keyframes[1]
-        SetCamCoord(playbackCam, kf.pos.x, kf.pos.y, kf.pos.z)
-        SetCamRot(playbackCam, kf.rot.x, kf.rot.y, kf.rot.z, 2)
-        SetCamFov(playbackCam, kf.fov or 50.0)
-        return
-    end
-
-    if currentTime <= keyframes[1].time then
+-- Evaluate the camera path at a point in time.
+-- Returns pos (vector3), rot (vector3), fov. Keyframes must be sorted by time.
+-- Used by playback every frame and by the editor when scrubbing.
+function DirectorCamera.Evaluate(keyframes, currentTime)
+    if currentTime <= keyframes[1].time or #keyframes == 1 then
         local kf = keyframes[1]
-        SetCamCoord(playbackCam, kf.pos.x, kf.pos.y, kf.pos.z)
-        SetCamRot(playbackCam, kf.rot.x, kf.rot.y, kf.rot.z, 2)
-        SetCamFov(playbackCam, kf.fov or 50.0)
-        return
+        local pos, aim = ResolveKeyframe(kf)
+        return pos, ResolvedRot(kf, pos, aim), kf.fov or 50.0
     end
 
     if currentTime >= keyframes[#keyframes].time then
         local kf = keyframes[#keyframes]
-        SetCamCoord(playbackCam, kf.pos.x, kf.pos.y, kf.pos.z)
-        SetCamRot(playbackCam, kf.rot.x, kf.rot.y, kf.rot.z, 2)
-        SetCamFov(playbackCam, kf.fov or 50.0)
-        return
+        local pos, aim = ResolveKeyframe(kf)
+        return pos, ResolvedRot(kf, pos, aim), kf.fov or 50.0
     end
 
     local prevKf = keyframes[1]
@@ -412,19 +646,129 @@ function DirectorCamera.UpdatePlayback(keyframes, currentTime)
     end
 
     local segDur = nextKf.time - prevKf.time
-    local rawT = (currentTime - prevKf.time) / segDur
+    local rawT = segDur > 0 and (currentTime - prevKf.time) / segDur or 1.0
     local easingFn = Easings[nextKf.easing or "linear"] or Easings.linear
-    local t = easingFn(rawT)
+    local t = easingFn(rawT, nextKf)
+
+    local prevPos, prevAim = ResolveKeyframe(prevKf)
+    local nextPos, nextAim = ResolveKeyframe(nextKf)
+    local pos = LerpVec3(prevPos, nextPos, t)
+
+    local rot
+    if prevAim and nextAim then
+        -- Both ends aim: aim from where the camera is now, so the target
+        -- stays framed through the whole segment
+        rot = ResolvedRot(nextKf, pos, LerpVec3(prevAim, nextAim, t))
+        rot = vector3(rot.x, LerpAngle(ToVec3(prevKf.rot).y, rot.y, t), rot.z)
+    else
+        rot = LerpRot(ResolvedRot(prevKf, pos, prevAim), ResolvedRot(nextKf, pos, nextAim), t)
+    end
 
-    local pos = LerpVec3(prevKf.pos, nextKf.pos, t)
-    local rot = LerpRot(prevKf.rot, nextKf.rot, t)
     local fov = Lerp(prevKf.fov or 50.0, nextKf.fov or 50.0, t)
 
+    return pos, rot, fov
+end
+
+--[[ =========================================================================
+    SHOTS
+
+    scene.camera.shots splits the single keyframe track into named shots:
+        { name = "Wide", duration = 4.0, transition = "cut" | "crossfade",
+          fade = 0.5, color = "#c9a84c" }
+    Shots run back to back from 0; the last one runs to the end of the
+    scene. A keyframe belongs to the shot whose range holds its time, and
+    the camera never interpolates across a shot boundary. transition is
+    how a shot is entered (ignored on the first): "cut" switches on the
+    exact frame, "crossfade" blends the camera from the outgoing shot's
+    pose over `fade` seconds — a pose blend, since two camera images
+    can't be composited. No shots = one continuous track, as before.
+========================================================================= ]]
+
+-- { start, finish } per shot; the last finish is math.huge
+function DirectorCamera.GetShotRanges(shots)
+    local ranges = {}
+    local start = 0.0
+    for i, shot in ipairs(shots or {}) do
+        local finish = start + math.max(0.0, tonumber(shot.duration) or 0.0)
+        if i == #shots then finish = math.huge end
+        ranges[i] = { start = start, finish = finish }
+        start = finish
+    end
+    return ranges
+end
+
+function DirectorCamera.GetShotIndexAt(ranges, time)
+    for i = #ranges, 1, -1 do
+        if time >= ranges[i].start then return i end
+    end
+    return 1
+end
+
+local function KeyframesInRange(keyframes, range)
+    local list = {}
+    for _, kf in ipairs(keyframes) do
+        if kf.time >= range.start and kf.time < range.finish then
+            table.insert(list, kf)
+        end
+    end
+    return list
+end
+
+-- Evaluate a whole camera track ({ keyframes, shots }) at a time.
+-- Returns pos, rot, fov, or nil when there are no keyframes at all.
+function DirectorCamera.EvaluateTrack(camera, currentTime)
+    local keyframes = camera and camera.keyframes
+    if not keyframes or #keyframes == 0 then return nil end
+
+    local shots = camera.shots
+    if not shots or #shots == 0 then
+        return DirectorCamera.Evaluate(keyframes, currentTime)
+    end
+
+    local ranges = DirectorCamera.GetShotRanges(shots)
+    local index = DirectorCamera.GetShotIndexAt(ranges, currentTime)
+    local shotKfs = KeyframesInRange(keyframes, ranges[index])
+
+    -- A shot without keyframes of its own keeps the continuous track
+    if #shotKfs == 0 then
+        return DirectorCamera.Evaluate(keyframes, currentTime)
+    end
+
+    local pos, rot, fov = DirectorCamera.Evaluate(shotKfs, currentTime)
+
+    local shot = shots[index]
+    local fade = tonumber(shot.fade) or 0.0
+    local into = currentTime - ranges[index].start
+    if index > 1 and shot.transition == "crossfade" and fade > 0.0 and into < fade then
+        local prevKfs = KeyframesInRange(keyframes, ranges[index - 1])
+        if #prevKfs > 0 then
+            local fromPos, fromRot, fromFov = DirectorCamera.Evaluate(prevKfs, currentTime)
+            local w = Easings["ease-in-out"](into / fade)
+            pos = LerpVec3(fromPos, pos, w)
+            rot = LerpRot(fromRot, rot, w)
+            fov = Lerp(fromFov, fov, w)
+        end
+    end
+
+    return pos, rot, fov
+end
+
+-- Put the playback camera at a pose evaluated elsewhere (cl_playback.lua
+-- picks between the scene's track and its sub-scenes' tracks)
+function DirectorCamera.SetPlaybackPose(pos, rot, fov)
+    if not isPlaybackActive or not playbackCam then return end
+
     SetCamCoord(playbackCam, pos.x, pos.y, pos.z)
     SetCamRot(playbackCam, rot.x, rot.y, rot.z, 2)
     SetCamFov(playbackCam, fov)
 end
 
+function DirectorCamera.UpdatePlayback(camera, currentTime)
+    local pos, rot, fov = DirectorCamera.EvaluateTrack(camera, currentTime)
+    if not pos then return end
+    DirectorCamera.SetPlaybackPose(pos, rot, fov)
+end
+
 function DirectorCamera.StopPlayback()
     if not isPlaybackActive then return end
     isPlaybackActive = false
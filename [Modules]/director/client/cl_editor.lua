@@ -18,25 +18,146 @@ local isEditorOpen = false
 -- The scene being edited (working copy)
 local editScene = nil
 
+-- Edit lock status of the open scene (server/sv_locks.lua); nil while
+-- it has never been loaded or saved
+local editLock = nil
+
+-- The scenes editScene's sub-scene clips reference, and theirs, from the
+-- server: { [name] = scene | false }. The preview plays them and the
+-- Problems panel checks them; nil until the server has answered.
+local subSceneLibrary = nil
+
+-- Make sure every list the editor writes into exists
+local function NormalizeScene(scene)
+    scene.camera = scene.camera or {}
+    scene.camera.keyframes = scene.camera.keyframes or {}
+    scene.camera.shots = scene.camera.shots or {}
+    scene.entities = scene.entities or {}
+    scene.events = scene.events or {}
+    scene.overlays = scene.overlays or {}
+    scene.markers = scene.markers or {}
+    scene.subScenes = scene.subScenes or {}
+    for _, ent in ipairs(scene.entities) do
+        ent.keyframes = ent.keyframes or {}
+    end
+    return scene
+end
+
+-- Fetch the sub-scene library again if a clip names a scene it lacks
+local function RefreshSubScenes()
+    if not editScene then return end
+    for _, clip in ipairs(editScene.subScenes) do
+        if type(clip.scene) == "string" and clip.scene ~= ""
+            and (not subSceneLibrary or subSceneLibrary[clip.scene] == nil) then
+            TriggerServerEvent('director:requestSubScenes', editScene.subScenes)
+            return
+        end
+    end
+end
+
 --[[ =========================================================================
     OPEN / CLOSE
 ========================================================================= ]]
 
+-- Gold for look-at, teal for follow (same colours as the NUI badges)
+local TARGET_LINE_COLORS = {
+    look_at = { 201, 168, 76 },
+    follow = { 90, 176, 160 },
+}
+
+local function DrawTargetLines()
+    for _, line in ipairs(DirectorCamera.GetTargetLines(editScene.camera.keyframes)) do
+        local c = line.follow and TARGET_LINE_COLORS.follow or TARGET_LINE_COLORS.look_at
+        DrawLine(line.from.x, line.from.y, line.from.z, line.to.x, line.to.y, line.to.z, c[1], c[2], c[3], 220)
+        -- Small cross at the aim point
+        DrawLine(line.to.x - 0.15, line.to.y, line.to.z, line.to.x + 0.15, line.to.y, line.to.z, c[1], c[2], c[3], 255)
+        DrawLine(line.to.x, line.to.y - 0.15, line.to.z, line.to.x, line.to.y + 0.15, line.to.z, c[1], c[2], c[3], 255)
+        DrawLine(line.to.x, line.to.y, line.to.z - 0.15, line.to.x, line.to.y, line.to.z + 0.15, c[1], c[2], c[3], 255)
+    end
+end
+
+--[[ =========================================================================
+    CAMERA HUD
+
+    Pushes the rendered camera's pose to the NUI every frame it changes:
+    free cam while editing, the scripted camera during a preview. Speed
+    is smoothed over a few frames; distance is to the entity the NUI
+    reports as selected (director:setHudEntity).
+========================================================================= ]]
+
+local hudEntityId = nil
+local hudLast = nil         -- { pos, rot, fov, dist } last sent
+local hudSpeed = 0.0
+
+local HUD_SPEED_SMOOTHING = 0.2
+
+local function HudChanged(a, b)
+    if not a then return true end
+    return #(a.pos - b.pos) > 0.001 or #(a.rot - b.rot) > 0.01
+        or math.abs(a.fov - b.fov) > 0.01 or a.dist ~= b.dist
+end
+
+local function PushCamHud()
+    local pos = GetFinalRenderedCamCoord()
+    local rot = GetFinalRenderedCamRot(2)
+    local fov = GetFinalRenderedCamFov()
+
+    local dt = GetFrameTime()
+    if hudLast and dt > 0 then
+        local frameSpeed = #(pos - hudLast.pos) / dt
+        hudSpeed = hudSpeed + (frameSpeed - hudSpeed) * HUD_SPEED_SMOOTHING
+        if hudSpeed < 0.01 then hudSpeed = 0.0 end
+    end
+
+    local dist = nil
+    local handle = hudEntityId and DirectorEntities.GetHandle(hudEntityId)
+    if handle and DoesEntityExist(handle) then
+        dist = math.floor(#(pos - GetEntityCoords(handle)) * 100 + 0.5) / 100
+    end
+
+    local state = { pos = pos, rot = rot, fov = fov, dist = dist }
+    if not HudChanged(hudLast, state) and hudSpeed == 0.0 then return end
+    hudLast = state
+
+    SendNUIMessage({
+        action = "camState",
+        pos = { x = pos.x, y = pos.y, z = pos.z },
+        rot = { x = rot.x, y = rot.y, z = rot.z },
+        fov = fov,
+        speed = hudSpeed,
+        entityId = dist and hudEntityId or nil,
+        distance = dist
+    })
+end
+
+RegisterNUICallback('director:setHudEntity', function(data, cb)
+    hudEntityId = type(data.id) == "string" and data.id or nil
+    hudLast = nil
+    cb({ ok = true })
+end)
+
 function DirectorEditor.Open(scene)
     if isEditorOpen then return end
 
     -- Initialize an empty scene if none provided
-    editScene = scene or {
+    editScene = scene and NormalizeScene(scene) or {
         name = "untitled",
         duration = 30.0,
         camera = {
-            keyframes = {}
+            keyframes = {},
+            shots = {}
         },
         entities = {},
-        events = {}
+        events = {},
+        overlays = {},
+        markers = {},
+        subScenes = {}
     }
 
     isEditorOpen = true
+    editLock = nil
+    subSceneLibrary = nil
+    RefreshSubScenes()
 
     -- Tell camera system we're in editor mode
     DirectorCamera.SetEditorOpen(true)
@@ -49,9 +170,25 @@ function DirectorEditor.Open(scene)
     SetNuiFocus(true, true)
     SendNUIMessage({
         action = "openEditor",
-        scene = editScene
+        scene = editScene,
+        easings = DirectorCamera.GetEasingNames(),
+        camSettings = DirectorCamera.GetSettings()
     })
 
+    -- Ask for an autosaved draft left over from an earlier session
+    TriggerServerEvent('director:requestDraft')
+
+    -- Target lines for look-at / follow camera keyframes
+    CreateThread(function()
+        while isEditorOpen do
+            Wait(0)
+            if not DirectorPlayback.IsPlaying() then
+                DrawTargetLines()
+            end
+            PushCamHud()
+        end
+    end)
+
     print("^2[Director]^7 Editor opened")
 end
 
@@ -60,6 +197,10 @@ function DirectorEditor.Close()
 
     isEditorOpen = false
 
+    -- Let go of the scene's edit lock
+    TriggerServerEvent('director:closeSession')
+    editLock = nil
+
     -- Tell camera system editor is closed
     DirectorCamera.SetEditorOpen(false)
 
@@ -83,10 +224,116 @@ function DirectorEditor.GetScene()
     return editScene
 end
 
+-- Make the entities spawned in the world match editScene.entities:
+-- despawn anything no longer in the scene (or whose model changed),
+-- spawn anything missing.
+local function SyncEditorEntities()
+    local wanted = {}
+    for _, ent in ipairs(editScene.entities) do
+        wanted[ent.id] = ent
+    end
+
+    for id, spawned in pairs(DirectorEntities.GetAll()) do
+        local ent = wanted[id]
+        -- Gone from the scene, or the same id now means a different model
+        if not ent or ent.model ~= spawned.model or ent.type ~= spawned.type then
+            DirectorEntities.Despawn(id)
+        end
+    end
+
+    for id, ent in pairs(wanted) do
+        if not DirectorEntities.GetHandle(id) and ent.spawn and ent.spawn.pos then
+            if ent.type == "ped" then
+                DirectorEntities.SpawnPed(id, ent.model, ent.spawn.pos, ent.spawn.heading)
+            else
+                DirectorEntities.SpawnObject(id, ent.model, ent.spawn.pos)
+            end
+        end
+    end
+end
+
 --[[ =========================================================================
     NUI CALLBACKS — EDITOR CONTROLS
 ========================================================================= ]]
 
+-- Index of a keyframe table within a list (after re-sorting)
+local function IndexOf(list, item)
+    for i, v in ipairs(list) do
+        if v == item then return i end
+    end
+    return nil
+end
+
+-- Find an entity definition in the working scene by id
+local function FindSceneEntity(entityId)
+    for _, ent in ipairs(editScene.entities) do
+        if ent.id == entityId then
+            return ent
+        end
+    end
+    return nil
+end
+
+local function Vec3Table(v)
+    return { x = tonumber(v.x) or 0.0, y = tonumber(v.y) or 0.0, z = tonumber(v.z) or 0.0 }
+end
+
+-- Current world position of a scene entity: the spawned handle if there
+-- is one, else its spawn point
+local function GetSceneEntityPos(ent)
+    local handle = DirectorEntities.GetHandle(ent.id)
+    if handle and DoesEntityExist(handle) then
+        return GetEntityCoords(handle)
+    end
+    return ent.spawn and ent.spawn.pos and vector3(ent.spawn.pos.x, ent.spawn.pos.y, ent.spawn.pos.z) or nil
+end
+
+-- Set a camera keyframe's look-at / follow target from the inspector
+-- (format in cl_camera.lua, CAMERA TARGETS). false clears it.
+-- Returns an error message when the target can't be used.
+local function ApplyCameraTarget(kf, target)
+    if type(target) ~= "table" then
+        kf.target = nil
+        return nil
+    end
+
+    if not DirectorCamera.IsTargetMode(target.mode) then
+        return "Unknown target mode"
+    end
+
+    local entityId = target.entityId ~= "" and target.entityId or nil
+    local ent = entityId and FindSceneEntity(entityId)
+    if entityId and not ent then
+        return "No entity '" .. tostring(entityId) .. "' in this scene"
+    end
+    if target.mode == "follow" and not ent then
+        return "Follow needs an entity"
+    end
+    if not ent and type(target.point) ~= "table" then
+        return "Look-at needs an entity or a point"
+    end
+
+    local newTarget = { mode = target.mode, entityId = entityId, height = tonumber(target.height) }
+    if not ent then
+        newTarget.point = Vec3Table(target.point)
+    end
+
+    if target.mode == "follow" then
+        if type(target.offset) == "table" then
+            newTarget.offset = Vec3Table(target.offset)
+        else
+            -- No offset given: keep the camera where the keyframe already is
+            local entPos = GetSceneEntityPos(ent)
+            if entPos then
+                newTarget.offset = { x = kf.pos.x - entPos.x, y = kf.pos.y - entPos.y, z = kf.pos.z - entPos.z }
+            end
+        end
+    end
+
+    kf.target = newTarget
+    return nil
+end
+
 -- Close editor
 RegisterNUICallback('director:close', function(data, cb)
     DirectorEditor.Close()
@@ -143,17 +390,50 @@ RegisterNUICallback('director:updateCameraKeyframe', function(data, cb)
         kf.pos = { x = camState.pos.x, y = camState.pos.y, z = camState.pos.z }
         kf.rot = { x = camState.rot.x, y = camState.rot.y, z = camState.rot.z }
         kf.fov = camState.fov
+
+        -- A follow keyframe follows from wherever the camera now sits
+        local target = kf.target
+        local ent = target and target.mode == "follow" and FindSceneEntity(target.entityId)
+        local entPos = ent and GetSceneEntityPos(ent)
+        if entPos then
+            target.offset = { x = camState.pos.x - entPos.x, y = camState.pos.y - entPos.y, z = camState.pos.z - entPos.z }
+        end
+    end
+
+    if data.target ~= nil then
+        local err = ApplyCameraTarget(kf, data.target)
+        if err then
+            cb({ ok = false, message = err })
+            return
+        end
     end
 
     if data.time then kf.time = tonumber(data.time) end
     if data.easing then kf.easing = data.easing end
     if data.fov then kf.fov = tonumber(data.fov) end
 
+    -- Custom curve for the "cubic-bezier" easing: { x1, y1, x2, y2 }
+    if type(data.bezier) == "table" and #data.bezier == 4 then
+        local b = {}
+        for i = 1, 4 do b[i] = tonumber(data.bezier[i]) or 0.0 end
+        b[1] = math.max(0.0, math.min(1.0, b[1]))
+        b[3] = math.max(0.0, math.min(1.0, b[3]))
+        kf.bezier = b
+    end
+
+    -- Raw pos/rot edits from the inspector
+    if data.pos then
+        kf.pos = { x = tonumber(data.pos.x) or kf.pos.x, y = tonumber(data.pos.y) or kf.pos.y, z = tonumber(data.pos.z) or kf.pos.z }
+    end
+    if data.rot then
+        kf.rot = { x = tonumber(data.rot.x) or kf.rot.x, y = tonumber(data.rot.y) or kf.rot.y, z = tonumber(data.rot.z) or kf.rot.z }
+    end
+
     -- Re-sort
     table.sort(editScene.camera.keyframes, function(a, b) return a.time < b.time end)
 
     SendNUIMessage({ action = "sceneUpdated", scene = editScene })
-    cb({ ok = true })
+    cb({ ok = true, index = IndexOf(editScene.camera.keyframes, kf) })
 end)
 
 -- Delete a camera keyframe
@@ -205,6 +485,21 @@ RegisterNUICallback('director:addEntity', function(data, cb)
         return
     end
 
+    if not tostring(id):match("^[%w_%-]+$") then
+        cb({ ok = false, message = "Entity ID may only use letters, digits, _ and -" })
+        return
+    end
+    if FindSceneEntity(id) then
+        cb({ ok = false, message = "An entity with ID '" .. id .. "' already exists" })
+        return
+    end
+
+    -- Catch typos now rather than with a silent failed spawn
+    if not IsModelInCdimage(GetHashKey(model)) then
+        cb({ ok = false, message = "Model '" .. model .. "' does not exist in the game" })
+        return
+    end
+
     -- Get spawn position from free cam (spawn in front of camera)
     local camState = DirectorCamera.GetFreeCamState()
     local radZ = math.rad(camState.rot.z)
@@ -260,172 +555,1581 @@ RegisterNUICallback('director:removeEntity', function(data, cb)
     cb({ ok = true })
 end)
 
--- Add keyframe to an entity
-RegisterNUICallback('director:addEntityKeyframe', function(data, cb)
-    if not isEditorOpen then cb({ ok = false }) return end
+--[[ =========================================================================
+    NUI CALLBACKS — ENTITY PLACEMENT & PICKING
 
-    local entityId = data.entityId
-    local time = tonumber(data.time) or 0.0
-    local action = data.action or "anim"
+    Spawn editing for the inspector, plus rays cast from the free cam:
+    through the screen centre to place an entity where the camera aims,
+    and through the cursor to pick the scene entity under it.
+========================================================================= ]]
 
-    -- Find entity in scene
-    local targetEntity = nil
-    for _, ent in ipairs(editScene.entities) do
-        if ent.id == entityId then
-            targetEntity = ent
-            break
+local RAY_DISTANCE = 150.0
+-- Closest a ray must pass to an entity that has no collision hit of its own
+local PICK_RADIUS = 0.75
+
+-- World direction through a point on screen (sx, sy in 0..1, top-left
+-- origin). The free cam's FOV is vertical; roll is ignored.
+local function ScreenRay(sx, sy, aspect)
+    local cam = DirectorCamera.GetFreeCamState()
+    local pitch, yaw = math.rad(cam.rot.x), math.rad(cam.rot.z)
+
+    local forward = vector3(-math.sin(yaw) * math.cos(pitch), math.cos(yaw) * math.cos(pitch), math.sin(pitch))
+    local right = vector3(math.cos(yaw), math.sin(yaw), 0.0)
+    local up = vector3(
+        right.y * forward.z - right.z * forward.y,
+        right.z * forward.x - right.x * forward.z,
+        right.x * forward.y - right.y * forward.x
+    )
+
+    local tanHalf = math.tan(math.rad(cam.fov) / 2.0)
+    local dir = forward
+        + right * ((sx * 2.0 - 1.0) * tanHalf * (aspect or 16.0 / 9.0))
+        + up * ((1.0 - sy * 2.0) * tanHalf)
+    return cam.pos, dir / #dir
+end
+
+-- Cast a ray; returns hit, endCoords, entityHit
+local function CastRay(from, dir, ignore)
+    local to = from + dir * RAY_DISTANCE
+    local handle = StartShapeTestRay(from.x, from.y, from.z, to.x, to.y, to.z, -1, ignore or PlayerPedId(), 7)
+
+    local status, hit, coords, _, entityHit
+    local waited = 0
+    repeat
+        status, hit, coords, _, entityHit = GetShapeTestResult(handle)
+        if status == 1 then
+            Wait(0)
+            waited = waited + 1
         end
-    end
+    until status ~= 1 or waited > 10
 
-    if not targetEntity then
-        cb({ ok = false, message = "Entity not found" })
-        return
-    end
+    return hit == 1 or hit == true, coords, entityHit
+end
 
-    local kf = {
-        time = time,
-        action = action
-    }
+local function GroundZAt(pos)
+    local found, z = GetGroundZFor_3dCoord(pos.x, pos.y, pos.z + 2.0, false)
+    return found and z or nil
+end
 
-    -- Copy action-specific fields
-    if action == "anim" then
-        kf.dict = data.dict or ""
-        kf.name = data.name or ""
-        kf.flags = tonumber(data.flags) or 1
-    elseif action == "move_to" then
-        -- Use current entity position or cam position
-        local camState = DirectorCamera.GetFreeCamState()
-        local radZ = math.rad(camState.rot.z)
-        kf.pos = data.pos or {
-            x = camState.pos.x - math.sin(radZ) * 3.0,
-            y = camState.pos.y + math.cos(radZ) * 3.0,
-            z = camState.pos.z - 2.0
-        }
-        kf.speed = tonumber(data.speed) or 1.0
-    elseif action == "teleport" then
-        kf.pos = data.pos
-        kf.heading = tonumber(data.heading) or 0
+-- Put the spawned handle where the entity would be at `time`
+local function RefreshEntityPose(ent, time)
+    DirectorPlayback.ApplyEntityStateAt(ent, math.max(0.0, tonumber(time) or 0.0))
+end
+
+-- Edit an entity's spawn from the inspector
+-- data = { id, pos = { x, y, z }?, heading?, time }
+RegisterNUICallback('director:updateEntitySpawn', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local ent = FindSceneEntity(data.id)
+    if not ent then cb({ ok = false, message = "Entity not found" }) return end
+
+    ent.spawn = ent.spawn or {}
+    if type(data.pos) == "table" then
+        ent.spawn.pos = Vec3Table(data.pos)
+    end
+    if data.heading ~= nil then
+        ent.spawn.heading = (tonumber(data.heading) or 0.0) % 360.0
     end
 
-    table.insert(targetEntity.keyframes, kf)
-    table.sort(targetEntity.keyframes, function(a, b) return a.time < b.time end)
+    RefreshEntityPose(ent, data.time)
 
     SendNUIMessage({ action = "sceneUpdated", scene = editScene })
     cb({ ok = true })
 end)
 
---[[ =========================================================================
-    NUI CALLBACKS — SCENE MANAGEMENT
-========================================================================= ]]
-
--- Update scene properties (name, duration)
-RegisterNUICallback('director:updateScene', function(data, cb)
+-- Move an entity's spawn to where the camera is aiming
+RegisterNUICallback('director:placeEntityAtAim', function(data, cb)
     if not isEditorOpen then cb({ ok = false }) return end
 
-    if data.name then editScene.name = data.name end
-    if data.duration then editScene.duration = tonumber(data.duration) end
+    local ent = FindSceneEntity(data.id)
+    if not ent then cb({ ok = false, message = "Entity not found" }) return end
+
+    local from, dir = ScreenRay(0.5, 0.5)
+    local hit, coords = CastRay(from, dir, DirectorEntities.GetHandle(ent.id))
+    if not hit then
+        cb({ ok = false, message = "The camera isn't aiming at anything within " .. math.floor(RAY_DISTANCE) .. " m" })
+        return
+    end
 
+    ent.spawn = ent.spawn or {}
+    ent.spawn.pos = Vec3Table(coords)
+    RefreshEntityPose(ent, data.time)
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
     cb({ ok = true })
 end)
 
--- Get current scene data
-RegisterNUICallback('director:getScene', function(data, cb)
-    cb({ ok = true, scene = editScene })
-end)
+-- Drop an entity's spawn onto the ground below (or just above) it
+RegisterNUICallback('director:snapEntityToGround', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
 
--- Save scene to server (file)
-RegisterNUICallback('director:saveScene', function(data, cb)
-    if not editScene then cb({ ok = false }) return end
+    local ent = FindSceneEntity(data.id)
+    if not ent or not ent.spawn or not ent.spawn.pos then
+        cb({ ok = false, message = "Entity not found" })
+        return
+    end
 
-    -- The server handles file I/O
-    TriggerServerEvent('director:saveScene', editScene)
-    cb({ ok = true })
-end)
+    local z = GroundZAt(ent.spawn.pos)
+    if not z then
+        cb({ ok = false, message = "No ground found below the spawn point" })
+        return
+    end
 
--- Load scene from server
-RegisterNUICallback('director:loadScene', function(data, cb)
-    local sceneName = data.name
-    if not sceneName then cb({ ok = false }) return end
+    ent.spawn.pos.z = z
+    RefreshEntityPose(ent, data.time)
 
-    -- Request from server
-    TriggerServerEvent('director:requestScene', sceneName)
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
     cb({ ok = true })
 end)
 
--- List available scenes
-RegisterNUICallback('director:listScenes', function(data, cb)
-    TriggerServerEvent('director:listScenes')
-    cb({ ok = true })
-end)
+-- Scene entity under the cursor. data = { x, y, aspect } with x / y in 0..1.
+-- A direct hit on a spawned handle wins; otherwise the entity nearest
+-- the ray (within PICK_RADIUS) in front of the camera.
+RegisterNUICallback('director:pickEntity', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
 
--- Server responds with scene data
-RegisterNetEvent('director:receiveScene')
-AddEventHandler('director:receiveScene', function(scene)
-    if scene then
-        editScene = scene
-        SendNUIMessage({ action = "sceneLoaded", scene = editScene })
+    local from, dir = ScreenRay(tonumber(data.x) or 0.5, tonumber(data.y) or 0.5, tonumber(data.aspect))
+    local hit, coords, entityHit = CastRay(from, dir)
+    local maxAlong = hit and #(coords - from) + PICK_RADIUS or RAY_DISTANCE
+
+    local best, bestDist = nil, PICK_RADIUS
+    for id, spawned in pairs(DirectorEntities.GetAll()) do
+        if hit and spawned.handle == entityHit then
+            cb({ ok = true, entityId = id })
+            return
+        end
+
+        if DoesEntityExist(spawned.handle) then
+            local offset = GetEntityCoords(spawned.handle) - from
+            local along = offset.x * dir.x + offset.y * dir.y + offset.z * dir.z
+            if along > 0 and along <= maxAlong then
+                local dist = #(offset - dir * along)
+                if dist < bestDist then
+                    best, bestDist = id, dist
+                end
+            end
+        end
     end
-end)
 
--- Server responds with scene list
-RegisterNetEvent('director:receiveSceneList')
-AddEventHandler('director:receiveSceneList', function(scenes)
-    SendNUIMessage({ action = "sceneList", scenes = scenes })
+    cb({ ok = true, entityId = best })
 end)
 
--- Server confirms save
-RegisterNetEvent('director:sceneSaved')
-AddEventHandler('director:sceneSaved', function(success, name)
-    SendNUIMessage({
-        action = "sceneSaved",
-        success = success,
-        name = name
-    })
-end)
+-- Point a few meters in front of the free cam, dropped to roughly ped height
+local function GetCamFrontPos(distance)
+    local camState = DirectorCamera.GetFreeCamState()
+    local radZ = math.rad(camState.rot.z)
+    return {
+        x = camState.pos.x - math.sin(radZ) * distance,
+        y = camState.pos.y + math.cos(radZ) * distance,
+        z = camState.pos.z - 2.0
+    }
+end
 
---[[ =========================================================================
-    NUI CALLBACKS — PLAYBACK CONTROLS
-========================================================================= ]]
+-- Copy the action-specific fields from NUI data onto an entity keyframe.
+-- Fields that don't belong to the action are cleared so switching the
+-- action of an existing keyframe doesn't leave stale data behind.
+local function ApplyEntityKeyframeFields(kf, data)
+    kf.dict, kf.name, kf.flags = nil, nil, nil
+    kf.pos, kf.speed, kf.heading = nil, nil, nil
 
--- Preview / playback the scene
-RegisterNUICallback('director:preview', function(data, cb)
-    if not editScene then cb({ ok = false }) return end
+    local pos = data.pos
+    if data.fromCamera or not pos then
+        pos = nil
+    else
+        pos = { x = tonumber(pos.x) or 0.0, y = tonumber(pos.y) or 0.0, z = tonumber(pos.z) or 0.0 }
+    end
 
-    -- Stop free cam, start playback
-    DirectorCamera.StopFreeCam()
+    if kf.action == "anim" then
+        kf.dict = data.dict or ""
+        kf.name = data.name or ""
+        kf.flags = tonumber(data.flags) or 1
+    elseif kf.action == "move_to" then
+        kf.pos = pos or GetCamFrontPos(3.0)
+        kf.speed = tonumber(data.speed) or 1.0
+    elseif kf.action == "teleport" then
+        kf.pos = pos or GetCamFrontPos(3.0)
+        kf.heading = tonumber(data.heading) or 0
+    end
+end
 
-    -- Release NUI focus so we can see the scene
-    SetNuiFocus(true, false) -- cursor visible but no keyboard capture
+-- Add keyframe to an entity
+RegisterNUICallback('director:addEntityKeyframe', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
 
-    DirectorPlayback.Play(editScene, function()
-        -- When done, re-enter editor
-        if isEditorOpen then
-            DirectorPlayback.Stop()
-            DirectorCamera.StartFreeCam()
-            SetNuiFocus(true, true)
-            SendNUIMessage({ action = "previewEnded" })
-        end
-    end)
+    local targetEntity = FindSceneEntity(data.entityId)
+    if not targetEntity then
+        cb({ ok = false, message = "Entity not found" })
+        return
+    end
 
-    cb({ ok = true })
+    local kf = {
+        time = tonumber(data.time) or 0.0,
+        action = data.action or "anim"
+    }
+    ApplyEntityKeyframeFields(kf, data)
+
+    table.insert(targetEntity.keyframes, kf)
+    table.sort(targetEntity.keyframes, function(a, b) return a.time < b.time end)
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(targetEntity.keyframes, kf) })
 end)
 
--- Stop preview
-RegisterNUICallback('director:stopPreview', function(data, cb)
-    DirectorPlayback.Stop()
+-- Update an existing entity keyframe
+RegisterNUICallback('director:updateEntityKeyframe', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
 
-    if isEditorOpen then
-        DirectorCamera.StartFreeCam()
-        SetNuiFocus(true, true)
+    local targetEntity = FindSceneEntity(data.entityId)
+    local index = tonumber(data.index)
+    local kf = targetEntity and index and targetEntity.keyframes[index]
+    if not kf then
+        cb({ ok = false, message = "Invalid keyframe index" })
+        return
     end
 
-    cb({ ok = true })
+    if data.time then kf.time = tonumber(data.time) or kf.time end
+
+    -- Only touch the action payload when the caller sends one
+    if data.action then
+        kf.action = data.action
+        ApplyEntityKeyframeFields(kf, data)
+    end
+
+    table.sort(targetEntity.keyframes, function(a, b) return a.time < b.time end)
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(targetEntity.keyframes, kf) })
 end)
 
--- Pause/resume
-RegisterNUICallback('director:togglePause', function(data, cb)
-    local paused = DirectorPlayback.TogglePause()
-    cb({ ok = true, paused = paused })
+-- Delete an entity keyframe
+RegisterNUICallback('director:deleteEntityKeyframe', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local targetEntity = FindSceneEntity(data.entityId)
+    local index = tonumber(data.index)
+    if targetEntity and index and targetEntity.keyframes[index] then
+        table.remove(targetEntity.keyframes, index)
+        SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+        cb({ ok = true })
+    else
+        cb({ ok = false, message = "Invalid index" })
+    end
+end)
+
+-- The list a timeline reference points into: camera keyframes (no
+-- entityId), an entity's keyframes, or scene events (kind = "event")
+local function ResolveTimelineList(ref)
+    if ref.kind == "event" then
+        return editScene.events
+    elseif ref.kind == "overlay" then
+        return editScene.overlays
+    elseif ref.kind == "subScene" then
+        return editScene.subScenes
+    elseif ref.entityId then
+        local ent = FindSceneEntity(ref.entityId)
+        return ent and ent.keyframes
+    end
+    return editScene.camera.keyframes
+end
+
+-- Retime several keyframes at once (timeline drag of a multi-selection).
+-- Every keyframe is resolved before any time changes, so indices from the
+-- NUI stay valid even when the re-sort reorders them.
+-- data.changes = { { entityId = <id or nil for camera>, index = n, time = t }, ... }
+-- Scene events use kind = "event" instead of an entityId, overlay cues
+-- kind = "overlay" and sub-scene clips kind = "subScene".
+RegisterNUICallback('director:retimeKeyframes', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local resolved = {}
+    for i, change in ipairs(data.changes or {}) do
+        local list = ResolveTimelineList(change)
+        local kf = list and list[tonumber(change.index)]
+        if not kf then
+            cb({ ok = false, message = "Invalid keyframe in change " .. i })
+            return
+        end
+        resolved[i] = { list = list, kf = kf, time = tonumber(change.time) or kf.time }
+    end
+
+    for _, r in ipairs(resolved) do
+        r.kf.time = r.time
+    end
+    for _, r in ipairs(resolved) do
+        table.sort(r.list, function(a, b) return a.time < b.time end)
+    end
+
+    local indices = {}
+    for i, r in ipairs(resolved) do
+        indices[i] = IndexOf(r.list, r.kf)
+    end
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, indices = indices })
+end)
+
+-- Delete several keyframes / events at once (timeline selection).
+-- Same references as retimeKeyframes; resolved first so removing one
+-- doesn't shift the indices of the others.
+-- data.items = { { entityId = <id or nil>, kind = <"event" or nil>, index = n }, ... }
+RegisterNUICallback('director:deleteKeyframes', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local resolved = {}
+    for i, item in ipairs(data.items or {}) do
+        local list = ResolveTimelineList(item)
+        local kf = list and list[tonumber(item.index)]
+        if not kf then
+            cb({ ok = false, message = "Invalid keyframe in item " .. i })
+            return
+        end
+        resolved[i] = { list = list, kf = kf }
+    end
+
+    for _, r in ipairs(resolved) do
+        local index = IndexOf(r.list, r.kf)
+        if index then table.remove(r.list, index) end
+    end
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, count = #resolved })
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — CAMERA SHOTS
+
+    Shots are back-to-back time ranges over the camera track (format in
+    cl_camera.lua, SHOTS). Resizing or reordering shots carries their
+    camera keyframes along; entity keyframes and events stay put.
+========================================================================= ]]
+
+local MIN_SHOT_DURATION = 0.1
+local SHOT_COLORS = { "#c9a84c", "#6a9fd8", "#5ab0a0", "#a07ad0", "#d07a6a", "#8ab85a" }
+local SHOT_TRANSITIONS = { cut = true, crossfade = true }
+
+local function NewShot(duration)
+    local shots = editScene.camera.shots
+    return {
+        name = "Shot " .. (#shots + 1),
+        duration = duration,
+        transition = "cut",
+        fade = 0.5,
+        color = SHOT_COLORS[(#shots % #SHOT_COLORS) + 1],
+    }
+end
+
+-- Shot ranges with the last one ending at the scene end instead of math.huge
+local function GetSceneShotRanges()
+    local ranges = DirectorCamera.GetShotRanges(editScene.camera.shots)
+    if #ranges > 0 then
+        local last = ranges[#ranges]
+        last.finish = math.max(last.start + MIN_SHOT_DURATION, editScene.duration or 0.0)
+    end
+    return ranges
+end
+
+-- Camera keyframes inside a shot range (the last shot takes everything after its start)
+local function ShotKeyframes(ranges, index)
+    local list = {}
+    local range = ranges[index]
+    for _, kf in ipairs(editScene.camera.keyframes) do
+        if kf.time >= range.start and (index == #ranges or kf.time < range.finish) then
+            table.insert(list, kf)
+        end
+    end
+    return list
+end
+
+local function SortCameraKeyframes()
+    table.sort(editScene.camera.keyframes, function(a, b) return a.time < b.time end)
+end
+
+-- Split the shot under data.time in two (or start a shot list)
+RegisterNUICallback('director:addShot', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local shots = editScene.camera.shots
+    local time = tonumber(data.time) or 0.0
+    local sceneDuration = editScene.duration or 30.0
+
+    if #shots == 0 then
+        if time < MIN_SHOT_DURATION or time > sceneDuration - MIN_SHOT_DURATION then
+            cb({ ok = false, message = "Move the playhead inside the scene to split it" })
+            return
+        end
+        table.insert(shots, NewShot(time))
+        table.insert(shots, NewShot(sceneDuration - time))
+        SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+        cb({ ok = true, index = 2 })
+        return
+    end
+
+    local ranges = GetSceneShotRanges()
+    local index = DirectorCamera.GetShotIndexAt(ranges, time)
+    local range = ranges[index]
+    if time - range.start < MIN_SHOT_DURATION or range.finish - time < MIN_SHOT_DURATION then
+        cb({ ok = false, message = "Too close to a shot boundary" })
+        return
+    end
+
+    shots[index].duration = time - range.start
+    table.insert(shots, index + 1, NewShot(range.finish - time))
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = index + 1 })
+end)
+
+-- Edit a shot. A new duration ripples the camera keyframes of later shots.
+RegisterNUICallback('director:updateShot', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local shots = editScene.camera.shots
+    local index = tonumber(data.index)
+    local shot = index and shots[index]
+    if not shot then cb({ ok = false, message = "Invalid shot index" }) return end
+
+    if data.transition and not SHOT_TRANSITIONS[data.transition] then
+        cb({ ok = false, message = "Unknown transition" })
+        return
+    end
+
+    local duration = tonumber(data.duration)
+    if duration then
+        local ranges = GetSceneShotRanges()
+        duration = math.max(MIN_SHOT_DURATION, duration)
+
+        -- Don't strand this shot's own keyframes in the next shot
+        local own = ShotKeyframes(ranges, index)
+        local lastOwn = own[#own]
+        if lastOwn and index < #shots and lastOwn.time >= ranges[index].start + duration then
+            cb({ ok = false, message = ("Shot has keyframes up to %.2fs"):format(lastOwn.time - ranges[index].start) })
+            return
+        end
+
+        local delta = duration - (ranges[index].finish - ranges[index].start)
+        if index < #shots and delta ~= 0.0 then
+            for _, kf in ipairs(editScene.camera.keyframes) do
+                if kf.time >= ranges[index].finish then kf.time = kf.time + delta end
+            end
+        end
+        shot.duration = duration
+    end
+
+    if data.name then shot.name = tostring(data.name) end
+    if data.transition then shot.transition = data.transition end
+    if data.fade then shot.fade = math.max(0.0, tonumber(data.fade) or shot.fade) end
+    if type(data.color) == "string" and data.color:match("^#%x%x%x%x%x%x$") then shot.color = data.color end
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = index })
+end)
+
+-- Remove a shot; its time goes to the shot before it (or after, for the first)
+RegisterNUICallback('director:deleteShot', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local shots = editScene.camera.shots
+    local index = tonumber(data.index)
+    if not index or not shots[index] then cb({ ok = false, message = "Invalid shot index" }) return end
+
+    local duration = shots[index].duration or 0.0
+    local neighbour = shots[index - 1] or shots[index + 1]
+    if neighbour then neighbour.duration = (neighbour.duration or 0.0) + duration end
+    table.remove(shots, index)
+
+    -- A single shot is the same as no shots
+    if #shots == 1 then table.remove(shots, 1) end
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true })
+end)
+
+-- Move a shot (with its camera keyframes) to another place in the list
+RegisterNUICallback('director:moveShot', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local shots = editScene.camera.shots
+    local from, to = tonumber(data.index), tonumber(data.to)
+    if not from or not to or not shots[from] or not shots[to] then
+        cb({ ok = false, message = "Invalid shot index" })
+        return
+    end
+    if from == to then cb({ ok = true, index = to }) return end
+
+    local ranges = GetSceneShotRanges()
+    local entries = {}
+    for i, shot in ipairs(shots) do
+        -- The last shot runs to the scene end; pin that down before it moves
+        shot.duration = ranges[i].finish - ranges[i].start
+        entries[i] = { shot = shot, start = ranges[i].start, keyframes = ShotKeyframes(ranges, i) }
+    end
+
+    local moved = table.remove(entries, from)
+    table.insert(entries, to, moved)
+
+    local start = 0.0
+    for i, entry in ipairs(entries) do
+        local delta = start - entry.start
+        for _, kf in ipairs(entry.keyframes) do kf.time = kf.time + delta end
+        shots[i] = entry.shot
+        start = start + entry.shot.duration
+    end
+    SortCameraKeyframes()
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = to })
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — SCENE EVENTS
+
+    Events fire TriggerEvent(name, data) when playback passes their time.
+    The NUI validates the JSON payload; here we only keep it a table.
+========================================================================= ]]
+
+local function ApplyEventFields(ev, data)
+    if data.time then ev.time = math.max(0.0, tonumber(data.time) or ev.time or 0.0) end
+    if data.name then ev.name = tostring(data.name) end
+    if data.data ~= nil then
+        ev.data = type(data.data) == "table" and data.data or {}
+    end
+end
+
+-- Add a scene event
+RegisterNUICallback('director:addEvent', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    if not data.name or data.name == "" then
+        cb({ ok = false, message = "Event name required" })
+        return
+    end
+
+    local ev = { time = 0.0, name = "", data = {} }
+    ApplyEventFields(ev, data)
+
+    table.insert(editScene.events, ev)
+    table.sort(editScene.events, function(a, b) return a.time < b.time end)
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(editScene.events, ev) })
+end)
+
+-- Update a scene event
+RegisterNUICallback('director:updateEvent', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local index = tonumber(data.index)
+    local ev = index and editScene.events[index]
+    if not ev then
+        cb({ ok = false, message = "Invalid event index" })
+        return
+    end
+
+    ApplyEventFields(ev, data)
+    table.sort(editScene.events, function(a, b) return a.time < b.time end)
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(editScene.events, ev) })
+end)
+
+-- Delete a scene event
+RegisterNUICallback('director:deleteEvent', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local index = tonumber(data.index)
+    if index and editScene.events[index] then
+        table.remove(editScene.events, index)
+        SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+        cb({ ok = true })
+    else
+        cb({ ok = false, message = "Invalid index" })
+    end
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — TIMELINE MARKERS
+
+    Named points on the timeline for finding your way around long scenes.
+    Editor-only: playback ignores them.
+========================================================================= ]]
+
+local function SortMarkers()
+    table.sort(editScene.markers, function(a, b) return a.time < b.time end)
+end
+
+local function ApplyMarkerFields(marker, data)
+    if data.time then marker.time = math.max(0.0, tonumber(data.time) or marker.time or 0.0) end
+    if data.name then marker.name = tostring(data.name) end
+end
+
+-- Add a marker (named "Marker n" unless data.name is given)
+RegisterNUICallback('director:addMarker', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local marker = { time = 0.0, name = "Marker " .. (#editScene.markers + 1) }
+    ApplyMarkerFields(marker, data)
+
+    table.insert(editScene.markers, marker)
+    SortMarkers()
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(editScene.markers, marker) })
+end)
+
+RegisterNUICallback('director:updateMarker', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local index = tonumber(data.index)
+    local marker = index and editScene.markers[index]
+    if not marker then
+        cb({ ok = false, message = "Invalid marker index" })
+        return
+    end
+
+    ApplyMarkerFields(marker, data)
+    SortMarkers()
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(editScene.markers, marker) })
+end)
+
+RegisterNUICallback('director:deleteMarker', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local index = tonumber(data.index)
+    if index and editScene.markers[index] then
+        table.remove(editScene.markers, index)
+        SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+        cb({ ok = true })
+    else
+        cb({ ok = false, message = "Invalid index" })
+    end
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — OVERLAYS
+
+    Cues for the playback overlay (html/overlay.js), one list sorted by
+    time; the NUI draws one timeline lane per type.
+        subtitle  = { speaker, text, duration }
+        letterbox = { state = "in"|"out", duration }   -- bars slide in/out
+        fade      = { state = "out"|"in", duration }   -- to / from black
+        title     = { title, subtitle, duration }
+========================================================================= ]]
+
+local OVERLAY_DEFAULTS = {
+    subtitle = { speaker = "", text = "", duration = 3.0 },
+    letterbox = { state = "in", duration = 1.0 },
+    fade = { state = "out", duration = 1.0 },
+    title = { title = "", subtitle = "", duration = 4.0 },
+}
+
+local function ApplyOverlayFields(cue, data)
+    if data.time then cue.time = math.max(0.0, tonumber(data.time) or cue.time or 0.0) end
+    if data.duration then cue.duration = math.max(0.0, tonumber(data.duration) or cue.duration) end
+
+    if cue.type == "subtitle" then
+        if data.speaker then cue.speaker = tostring(data.speaker) end
+        if data.text then cue.text = tostring(data.text) end
+    elseif cue.type == "title" then
+        if data.title then cue.title = tostring(data.title) end
+        if data.subtitle then cue.subtitle = tostring(data.subtitle) end
+    elseif data.state == "in" or data.state == "out" then
+        cue.state = data.state
+    end
+end
+
+-- Add an overlay cue
+RegisterNUICallback('director:addOverlay', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local defaults = OVERLAY_DEFAULTS[data.type]
+    if not defaults then
+        cb({ ok = false, message = "Unknown overlay type: " .. tostring(data.type) })
+        return
+    end
+
+    local cue = { time = 0.0, type = data.type }
+    for k, v in pairs(defaults) do cue[k] = v end
+    ApplyOverlayFields(cue, data)
+
+    table.insert(editScene.overlays, cue)
+    table.sort(editScene.overlays, function(a, b) return a.time < b.time end)
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(editScene.overlays, cue) })
+end)
+
+-- Update an overlay cue (its type is fixed)
+RegisterNUICallback('director:updateOverlay', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local index = tonumber(data.index)
+    local cue = index and editScene.overlays[index]
+    if not cue then
+        cb({ ok = false, message = "Invalid overlay index" })
+        return
+    end
+
+    ApplyOverlayFields(cue, data)
+    table.sort(editScene.overlays, function(a, b) return a.time < b.time end)
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(editScene.overlays, cue) })
+end)
+
+-- Delete an overlay cue
+RegisterNUICallback('director:deleteOverlay', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local index = tonumber(data.index)
+    if index and editScene.overlays[index] then
+        table.remove(editScene.overlays, index)
+        SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+        cb({ ok = true })
+    else
+        cb({ ok = false, message = "Invalid index" })
+    end
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — SUB-SCENES
+
+    Clips that play another saved scene inside this one (format in
+    cl_playback.lua, SUB-SCENES), sorted by time. Naming a scene the
+    library doesn't have yet fetches it from the server.
+========================================================================= ]]
+
+local function SortSubScenes()
+    table.sort(editScene.subScenes, function(a, b) return a.time < b.time end)
+end
+
+-- data.trimOut = "" plays to the end of the scene; data.offset = false
+-- removes the position offset
+local function ApplySubSceneFields(clip, data)
+    if data.scene then clip.scene = tostring(data.scene) end
+    if data.time then clip.time = math.max(0.0, tonumber(data.time) or clip.time or 0.0) end
+    if data.trimIn then clip.trimIn = math.max(0.0, tonumber(data.trimIn) or clip.trimIn or 0.0) end
+    if data.trimOut ~= nil then clip.trimOut = tonumber(data.trimOut) end
+    if data.offset == false then
+        clip.offset = nil
+    elseif type(data.offset) == "table" then
+        clip.offset = Vec3Table(data.offset)
+    end
+end
+
+RegisterNUICallback('director:addSubScene', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local clip = { scene = "", time = 0.0, trimIn = 0.0 }
+    ApplySubSceneFields(clip, data)
+
+    table.insert(editScene.subScenes, clip)
+    SortSubScenes()
+    RefreshSubScenes()
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(editScene.subScenes, clip) })
+end)
+
+RegisterNUICallback('director:updateSubScene', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local index = tonumber(data.index)
+    local clip = index and editScene.subScenes[index]
+    if not clip then
+        cb({ ok = false, message = "Invalid sub-scene index" })
+        return
+    end
+
+    ApplySubSceneFields(clip, data)
+    SortSubScenes()
+    RefreshSubScenes()
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, index = IndexOf(editScene.subScenes, clip) })
+end)
+
+RegisterNUICallback('director:deleteSubScene', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local index = tonumber(data.index)
+    if index and editScene.subScenes[index] then
+        table.remove(editScene.subScenes, index)
+        SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+        cb({ ok = true })
+    else
+        cb({ ok = false, message = "Invalid index" })
+    end
+end)
+
+-- The NUI only needs to know how long each referenced scene is (false:
+-- not found); the library itself stays here for the preview
+RegisterNetEvent('director:receiveSubScenes')
+AddEventHandler('director:receiveSubScenes', function(library)
+    subSceneLibrary = library or {}
+    if not isEditorOpen then return end
+
+    local scenes = {}
+    for name, sub in pairs(subSceneLibrary) do
+        scenes[name] = sub and { duration = tonumber(sub.duration) or 0.0 } or false
+    end
+    SendNUIMessage({ action = "subScenesResolved", scenes = scenes })
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — SCENE MANAGEMENT
+========================================================================= ]]
+
+-- Update scene properties (name, duration)
+RegisterNUICallback('director:updateScene', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    if data.name then editScene.name = data.name end
+    if data.duration then editScene.duration = tonumber(data.duration) end
+    -- "" clears the frame mask
+    if data.aspect ~= nil then
+        editScene.aspect = data.aspect ~= "" and tostring(data.aspect) or nil
+    end
+
+    cb({ ok = true })
+end)
+
+-- Get current scene data
+RegisterNUICallback('director:getScene', function(data, cb)
+    cb({ ok = true, scene = editScene })
+end)
+
+-- Save scene to server (file)
+RegisterNUICallback('director:saveScene', function(data, cb)
+    if not editScene then cb({ ok = false }) return end
+
+    -- Same rules the server enforces; catch them here without a round trip
+    local problems = DirectorValidation.Validate(editScene, subSceneLibrary)
+    local errors = DirectorValidation.CountErrors(problems)
+    if errors > 0 then
+        cb({ ok = false, problems = problems, message = string.format("Fix %d error%s before saving", errors, errors == 1 and "" or "s") })
+        return
+    end
+
+    -- The server checks this too; read-only copies can't be saved
+    if editLock and editLock.holder and not editLock.mine and editLock.sceneName == editScene.name then
+        cb({ ok = false, message = string.format("Read-only: %s is editing this scene", editLock.holder) })
+        return
+    end
+
+    -- The server handles file I/O
+    TriggerServerEvent('director:saveScene', editScene)
+    cb({ ok = true })
+end)
+
+-- Problems panel: lint the working scene (shared/sh_validation.lua)
+RegisterNUICallback('director:validateScene', function(data, cb)
+    if not editScene then cb({ ok = false }) return end
+    cb({ ok = true, problems = DirectorValidation.Validate(editScene, subSceneLibrary) })
+end)
+
+-- Load scene from server
+RegisterNUICallback('director:loadScene', function(data, cb)
+    local sceneName = data.name
+    if not sceneName then cb({ ok = false }) return end
+
+    -- Request from server
+    TriggerServerEvent('director:requestScene', sceneName)
+    cb({ ok = true })
+end)
+
+-- meta of the saved scene with this name (import rebases onto it)
+RegisterNUICallback('director:requestSceneMeta', function(data, cb)
+    if type(data.name) ~= "string" then cb({ ok = false }) return end
+    TriggerServerEvent('director:requestSceneMeta', data.name)
+    cb({ ok = true })
+end)
+
+RegisterNetEvent('director:receiveSceneMeta')
+AddEventHandler('director:receiveSceneMeta', function(name, meta)
+    SendNUIMessage({ action = "sceneMeta", name = name, meta = meta })
+end)
+
+-- List available scenes
+RegisterNUICallback('director:listScenes', function(data, cb)
+    TriggerServerEvent('director:listScenes')
+    cb({ ok = true })
+end)
+
+-- Scene library management (Load dialog). The server answers with
+-- director:sceneLibraryResult and a refreshed scene list.
+RegisterNUICallback('director:renameScene', function(data, cb)
+    if type(data.name) ~= "string" or type(data.newName) ~= "string" then cb({ ok = false }) return end
+    TriggerServerEvent('director:renameScene', data.name, data.newName)
+    cb({ ok = true })
+end)
+
+RegisterNUICallback('director:duplicateScene', function(data, cb)
+    if type(data.name) ~= "string" or type(data.newName) ~= "string" then cb({ ok = false }) return end
+    TriggerServerEvent('director:duplicateScene', data.name, data.newName)
+    cb({ ok = true })
+end)
+
+RegisterNUICallback('director:deleteScene', function(data, cb)
+    if type(data.name) ~= "string" then cb({ ok = false }) return end
+    TriggerServerEvent('director:deleteScene', data.name)
+    cb({ ok = true })
+end)
+
+-- Server responds with scene data and our edit lock status for it
+RegisterNetEvent('director:receiveScene')
+AddEventHandler('director:receiveScene', function(scene, lock)
+    if scene then
+        editScene = NormalizeScene(scene)
+        editLock = lock
+        if editLock then editLock.sceneName = editScene.name end
+        subSceneLibrary = nil
+        RefreshSubScenes()
+        SendNUIMessage({ action = "sceneLoaded", scene = editScene, lock = lock })
+    end
+end)
+
+-- Server responds with scene list
+RegisterNetEvent('director:receiveSceneList')
+AddEventHandler('director:receiveSceneList', function(scenes)
+    SendNUIMessage({ action = "sceneList", scenes = scenes })
+end)
+
+--[[ =========================================================================
+    DRAFTS
+
+    The NUI decides when the scene is dirty and asks for a draft save;
+    drafts live server-side, one per player, apart from saved scenes.
+========================================================================= ]]
+
+RegisterNUICallback('director:saveDraft', function(data, cb)
+    if not isEditorOpen or not editScene then cb({ ok = false }) return end
+    TriggerServerEvent('director:saveDraft', editScene)
+    cb({ ok = true })
+end)
+
+RegisterNUICallback('director:discardDraft', function(data, cb)
+    TriggerServerEvent('director:discardDraft')
+    cb({ ok = true })
+end)
+
+RegisterNetEvent('director:receiveDraft')
+AddEventHandler('director:receiveDraft', function(draft)
+    if not isEditorOpen or type(draft) ~= "table" or type(draft.scene) ~= "table" then return end
+    SendNUIMessage({
+        action = "draftAvailable",
+        scene = NormalizeScene(draft.scene),
+        savedAt = draft.savedAt
+    })
+end)
+
+-- Server reports the outcome of a rename / duplicate / delete
+RegisterNetEvent('director:sceneLibraryResult')
+AddEventHandler('director:sceneLibraryResult', function(ok, op, name, newName, message)
+    -- Renaming the open scene renames the working copy too,
+    -- so the next save doesn't bring the old file back
+    if ok and op == "rename" and editScene and editScene.name == name then
+        editScene.name = newName
+        if isEditorOpen then
+            SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+        end
+    end
+
+    SendNUIMessage({
+        action = "sceneLibraryResult",
+        ok = ok,
+        op = op,
+        name = name,
+        newName = newName,
+        message = message
+    })
+end)
+
+-- Server confirms save. `meta` is what it stamped into the file
+-- (revision, created, ...): the base the next save is checked against.
+RegisterNetEvent('director:sceneSaved')
+AddEventHandler('director:sceneSaved', function(success, name, message, meta)
+    if success and meta and editScene and editScene.name == name then
+        editScene.meta = meta
+    end
+
+    SendNUIMessage({
+        action = "sceneSaved",
+        success = success,
+        name = name,
+        message = message,
+        meta = meta
+    })
+end)
+
+-- Replace the whole working scene (undo / redo from the NUI history).
+-- The NUI keeps snapshots of the scene, so restoring is a full swap
+-- followed by bringing the spawned editor entities back in line.
+RegisterNUICallback('director:restoreScene', function(data, cb)
+    if not isEditorOpen or type(data.scene) ~= "table" then cb({ ok = false }) return end
+
+    editScene = NormalizeScene(data.scene)
+    RefreshSubScenes()
+
+    SyncEditorEntities()
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true })
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — REVISION HISTORY
+
+    Every save is kept server-side as a numbered revision
+    (sv_revisions.lua). Restoring goes through director:restoreScene
+    from the NUI, so it is undoable like any other edit.
+========================================================================= ]]
+
+RegisterNUICallback('director:listRevisions', function(data, cb)
+    if type(data.name) ~= "string" then cb({ ok = false }) return end
+    TriggerServerEvent('director:listRevisions', data.name)
+    cb({ ok = true })
+end)
+
+RegisterNUICallback('director:requestRevision', function(data, cb)
+    if type(data.name) ~= "string" or not tonumber(data.revision) then cb({ ok = false }) return end
+    TriggerServerEvent('director:requestRevision', data.name, tonumber(data.revision))
+    cb({ ok = true })
+end)
+
+RegisterNUICallback('director:diffRevisions', function(data, cb)
+    if type(data.name) ~= "string" or not tonumber(data.from) or not tonumber(data.to) then cb({ ok = false }) return end
+    TriggerServerEvent('director:diffRevisions', data.name, tonumber(data.from), tonumber(data.to))
+    cb({ ok = true })
+end)
+
+-- Answered with director:sceneLibraryResult (op "branch")
+RegisterNUICallback('director:branchRevision', function(data, cb)
+    if type(data.name) ~= "string" or type(data.newName) ~= "string" or not tonumber(data.revision) then
+        cb({ ok = false })
+        return
+    end
+    TriggerServerEvent('director:branchRevision', data.name, tonumber(data.revision), data.newName)
+    cb({ ok = true })
+end)
+
+RegisterNetEvent('director:receiveRevisionList')
+AddEventHandler('director:receiveRevisionList', function(name, revisions)
+    SendNUIMessage({ action = "revisionList", name = name, revisions = revisions })
+end)
+
+RegisterNetEvent('director:receiveRevision')
+AddEventHandler('director:receiveRevision', function(name, revision, scene)
+    SendNUIMessage({
+        action = "revisionData",
+        name = name,
+        revision = revision,
+        scene = scene and NormalizeScene(scene) or nil
+    })
+end)
+
+RegisterNetEvent('director:receiveRevisionDiff')
+AddEventHandler('director:receiveRevisionDiff', function(name, from, to, diff, message)
+    SendNUIMessage({
+        action = "revisionDiff",
+        name = name,
+        from = from,
+        to = to,
+        diff = diff,
+        message = message
+    })
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — EDIT LOCKS
+
+    Loading a scene takes its edit lock when free (server/sv_locks.lua);
+    otherwise the copy is read-only. The server pushes lock status to
+    everyone with the scene open whenever holder or viewers change.
+========================================================================= ]]
+
+-- Take the lock: free ones for anyone, someone else's for admins
+RegisterNUICallback('director:takeOverLock', function(data, cb)
+    if not isEditorOpen or not editScene then cb({ ok = false }) return end
+    TriggerServerEvent('director:takeOverLock', editScene.name)
+    cb({ ok = true })
+end)
+
+RegisterNetEvent('director:lockStatus')
+AddEventHandler('director:lockStatus', function(sceneName, lock)
+    if not isEditorOpen or not editScene or editScene.name ~= sceneName then return end
+    editLock = lock
+    editLock.sceneName = sceneName
+    SendNUIMessage({ action = "lockStatus", name = sceneName, lock = lock })
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — PLAYBACK CONTROLS
+========================================================================= ]]
+
+-- Free cam pose from before the preview, so we can return to it
+local prePreviewCam = nil
+
+-- Back to editing after a preview ends or is stopped
+local function ReturnFromPreview()
+    if prePreviewCam then
+        DirectorCamera.StartFreeCam(prePreviewCam.pos, prePreviewCam.rot, prePreviewCam.fov)
+        prePreviewCam = nil
+    else
+        DirectorCamera.StartFreeCam()
+    end
+
+    -- Playback despawns everything; bring the editor's entities back
+    SyncEditorEntities()
+    SetNuiFocus(true, true)
+end
+
+-- Preview / playback the scene
+-- data.startTime         = start from the playhead
+-- data.loop              = repeat instead of ending
+-- data.loopStart/loopEnd = loop range (optional)
+RegisterNUICallback('director:preview', function(data, cb)
+    if not editScene then cb({ ok = false }) return end
+
+    -- Stop free cam, start playback
+    local camState = DirectorCamera.GetFreeCamState()
+    prePreviewCam = { pos = camState.pos, rot = camState.rot, fov = camState.fov }
+    DirectorCamera.StopFreeCam()
+    DirectorEntities.DespawnAll()
+
+    -- Release NUI focus so we can see the scene
+    SetNuiFocus(true, false) -- cursor visible but no keyboard capture
+
+    -- Playback converts positions in place; keep editScene as plain tables
+    DirectorPlayback.Play(DirectorPlayback.DeepCopy(editScene), function()
+        -- When done, re-enter editor
+        if isEditorOpen then
+            DirectorPlayback.Stop()
+            ReturnFromPreview()
+            SendNUIMessage({ action = "previewEnded" })
+        end
+    end, {
+        startTime = tonumber(data.startTime) or 0.0,
+        loop = data.loop == true,
+        loopStart = tonumber(data.loopStart),
+        loopEnd = tonumber(data.loopEnd),
+        subScenes = subSceneLibrary
+    })
+
+    cb({ ok = true })
+end)
+
+-- Stop preview
+RegisterNUICallback('director:stopPreview', function(data, cb)
+    DirectorPlayback.Stop()
+
+    if isEditorOpen then
+        ReturnFromPreview()
+    end
+
+    cb({ ok = true })
+end)
+
+-- Pause/resume
+RegisterNUICallback('director:togglePause', function(data, cb)
+    local paused = DirectorPlayback.TogglePause()
+    cb({ ok = true, paused = paused })
+end)
+
+-- Scrub the timeline. During a preview this seeks the playback; while
+-- editing it poses the entities (and, with data.camera, the free cam)
+-- as they would be at data.time.
+RegisterNUICallback('director:scrub', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local time = math.max(0.0, tonumber(data.time) or 0.0)
+
+    if DirectorPlayback.IsPlaying() then
+        DirectorPlayback.Seek(time)
+        cb({ ok = true })
+        return
+    end
+
+    -- Entities first: look-at / follow keyframes aim at where they are now
+    SyncEditorEntities()
+    for _, ent in ipairs(editScene.entities) do
+        DirectorPlayback.ApplyEntityStateAt(ent, time)
+    end
+
+    if data.camera and #editScene.camera.keyframes > 0 then
+        local pos, rot, fov = DirectorCamera.EvaluateTrack(editScene.camera, time)
+        DirectorCamera.SetFreeCamPose(pos, rot, fov)
+    end
+
+    cb({ ok = true })
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — CAMERA RECORDING
+
+    Record mode plays the scene without the scripted camera (entities,
+    events and overlays run as in a preview) while the operator flies the
+    free cam, and samples its pose at RECORD_RATE. The raw take goes back
+    to the NUI, which simplifies it and lets the user keep or discard it;
+    keeping it replaces the camera keyframes in the recorded range.
+========================================================================= ]]
+
+local RECORD_RATE = 30 -- samples per second of scene time
+
+local recording = nil  -- { samples, start, finish, stopRequested }
+
+local function SamplePose(time)
+    local state = DirectorCamera.GetFreeCamState()
+    return {
+        time = time,
+        pos = Vec3Table(state.pos),
+        rot = Vec3Table(state.rot),
+        fov = state.fov
+    }
+end
+
+local function FinishRecording()
+    local take = recording
+    recording = nil
+
+    DirectorPlayback.Stop()
+    if not isEditorOpen then return end
+
+    SyncEditorEntities()
+
+    SendNUIMessage({
+        action = "recordingFinished",
+        start = take.start,
+        finish = take.samples[#take.samples] and take.samples[#take.samples].time or take.start,
+        samples = take.samples
+    })
+end
+
+-- data.startTime = where the take begins
+-- data.endTime   = stop there (optional, defaults to the scene end)
+RegisterNUICallback('director:startRecording', function(data, cb)
+    if not isEditorOpen or recording or DirectorPlayback.IsPlaying() then cb({ ok = false }) return end
+    if not DirectorCamera.IsFreeCamActive() then
+        cb({ ok = false, message = "Free cam is not active" })
+        return
+    end
+
+    local startTime = math.max(0.0, tonumber(data.startTime) or 0.0)
+    local endTime = math.min(editScene.duration, tonumber(data.endTime) or editScene.duration)
+    if endTime - startTime < 0.1 then
+        cb({ ok = false, message = "Nothing left to record after the playhead" })
+        return
+    end
+
+    recording = { samples = {}, start = startTime, finish = endTime, stopRequested = false }
+
+    DirectorEntities.DespawnAll()
+    DirectorPlayback.Play(DirectorPlayback.DeepCopy(editScene), nil, { startTime = startTime, camera = false, subScenes = subSceneLibrary })
+
+    CreateThread(function()
+        local take = recording
+        local nextSample = startTime
+        while recording == take do
+            Wait(0)
+            local time = DirectorPlayback.GetTime()
+            if time >= nextSample then
+                table.insert(take.samples, SamplePose(math.min(time, take.finish)))
+                nextSample = nextSample + 1.0 / RECORD_RATE
+            end
+
+            if take.stopRequested or time >= take.finish or not DirectorPlayback.IsPlaying() then
+                FinishRecording()
+            end
+        end
+    end)
+
+    cb({ ok = true })
+end)
+
+RegisterNUICallback('director:stopRecording', function(data, cb)
+    if recording then
+        recording.stopRequested = true
+    end
+    cb({ ok = true })
+end)
+
+-- Keep a take: camera keyframes inside [start, finish] are replaced by
+-- the simplified ones from the NUI.
+-- data = { start, finish, keyframes = { { time, pos, rot, fov }, ... } }
+RegisterNUICallback('director:applyRecording', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local start = tonumber(data.start)
+    local finish = tonumber(data.finish)
+    if not start or not finish or type(data.keyframes) ~= "table" or #data.keyframes < 2 then
+        cb({ ok = false, message = "Invalid take" })
+        return
+    end
+
+    local kept = {}
+    for _, kf in ipairs(editScene.camera.keyframes) do
+        if kf.time < start - 0.001 or kf.time > finish + 0.001 then
+            table.insert(kept, kf)
+        end
+    end
+
+    for _, kf in ipairs(data.keyframes) do
+        table.insert(kept, {
+            time = math.max(0.0, tonumber(kf.time) or 0.0),
+            pos = Vec3Table(kf.pos or {}),
+            rot = Vec3Table(kf.rot or {}),
+            fov = tonumber(kf.fov) or 50.0,
+            easing = "linear"
+        })
+    end
+
+    editScene.camera.keyframes = kept
+    SortCameraKeyframes()
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, count = #data.keyframes })
+end)
+
+--[[ =========================================================================
+    NUI CALLBACKS — PREFABS
+
+    Entities and camera keyframe ranges saved to the server library
+    (sv_prefabs.lua) and inserted into any scene. Prefab data:
+        entity: { type, model, spawn = { pos, heading }, keyframes }
+        camera: { keyframes }
+    Keyframe times are stored relative to the earliest one; positions stay
+    in world space. Inserted copies remember where they came from so they
+    can be rebuilt when the prefab is saved again:
+        ent.prefab = { name, version, offset }
+        kf.prefab  = { name, version, instance, offset }   (camera keyframes)
+    instance tells apart two insertions of the same camera prefab.
+========================================================================= ]]
+
+-- Copy keyframes with times made relative to the earliest one
+local function ToPrefabKeyframes(keyframes)
+    local origin = math.huge
+    for _, kf in ipairs(keyframes) do
+        origin = math.min(origin, tonumber(kf.time) or 0.0)
+    end
+    if origin == math.huge then origin = 0.0 end
+
+    local list = {}
+    for _, kf in ipairs(keyframes) do
+        local copy = DirectorPlayback.DeepCopy(kf)
+        copy.time = (tonumber(kf.time) or 0.0) - origin
+        copy.prefab = nil
+        table.insert(list, copy)
+    end
+    table.sort(list, function(a, b) return a.time < b.time end)
+    return list
+end
+
+local function FromPrefabKeyframes(keyframes, offset, tag)
+    local list = {}
+    for _, kf in ipairs(keyframes or {}) do
+        local copy = DirectorPlayback.DeepCopy(kf)
+        copy.time = offset + (tonumber(kf.time) or 0.0)
+        copy.prefab = tag and DirectorPlayback.DeepCopy(tag) or nil
+        table.insert(list, copy)
+    end
+    return list
+end
+
+local function ApplyEntityPrefab(ent, prefab, offset)
+    local data = prefab.data
+    ent.type = data.type or "ped"
+    ent.model = data.model
+    ent.spawn = DirectorPlayback.DeepCopy(data.spawn)
+    ent.keyframes = FromPrefabKeyframes(data.keyframes, offset)
+    ent.prefab = { name = prefab.name, version = prefab.version, offset = offset }
+end
+
+local function InsertCameraPrefab(prefab, offset, instance)
+    local tag = { name = prefab.name, version = prefab.version, instance = instance, offset = offset }
+    for _, kf in ipairs(FromPrefabKeyframes(prefab.data.keyframes, offset, tag)) do
+        table.insert(editScene.camera.keyframes, kf)
+    end
+end
+
+local function IsUsablePrefab(prefab)
+    return type(prefab) == "table" and type(prefab.name) == "string" and type(prefab.data) == "table"
+        and (prefab.kind == "entity" or prefab.kind == "camera")
+end
+
+-- Save the selected entity or camera keyframes as a prefab
+-- data = { name, source = "entity", entityId } | { name, source = "camera", indices = { 1-based } }
+RegisterNUICallback('director:savePrefab', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    if type(data.name) ~= "string" or not data.name:match("^[%w_%-]+$") then
+        cb({ ok = false, message = "Prefab names may only use letters, digits, _ and -" })
+        return
+    end
+    if data.name:sub(1, 1) == "_" then
+        cb({ ok = false, message = "Prefab names can't start with _ (reserved for the prefab index)" })
+        return
+    end
+
+    if data.source == "entity" then
+        local ent = FindSceneEntity(data.entityId)
+        if not ent then cb({ ok = false, message = "Entity not found" }) return end
+
+        TriggerServerEvent('director:savePrefab', data.name, "entity", {
+            type = ent.type,
+            model = ent.model,
+            spawn = DirectorPlayback.DeepCopy(ent.spawn),
+            keyframes = ToPrefabKeyframes(ent.keyframes),
+        })
+        cb({ ok = true })
+        return
+    end
+
+    local keyframes = {}
+    for _, index in ipairs(type(data.indices) == "table" and data.indices or {}) do
+        local kf = editScene.camera.keyframes[tonumber(index)]
+        if kf then table.insert(keyframes, kf) end
+    end
+    if #keyframes == 0 then
+        cb({ ok = false, message = "No camera keyframes selected" })
+        return
+    end
+
+    TriggerServerEvent('director:savePrefab', data.name, "camera", { keyframes = ToPrefabKeyframes(keyframes) })
+    cb({ ok = true })
+end)
+
+RegisterNUICallback('director:listPrefabs', function(data, cb)
+    TriggerServerEvent('director:listPrefabs')
+    cb({ ok = true })
+end)
+
+-- The full prefab arrives as a prefabData message
+RegisterNUICallback('director:getPrefab', function(data, cb)
+    if type(data.name) ~= "string" then cb({ ok = false }) return end
+    TriggerServerEvent('director:requestPrefab', data.name)
+    cb({ ok = true })
+end)
+
+RegisterNUICallback('director:deletePrefab', function(data, cb)
+    if type(data.name) ~= "string" then cb({ ok = false }) return end
+    TriggerServerEvent('director:deletePrefab', data.name)
+    cb({ ok = true })
+end)
+
+-- Insert a prefab (as sent in prefabData) with its first keyframe at data.time
+RegisterNUICallback('director:insertPrefab', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local prefab = data.prefab
+    if not IsUsablePrefab(prefab) then
+        cb({ ok = false, message = "Invalid prefab" })
+        return
+    end
+
+    local offset = math.max(0.0, tonumber(data.time) or 0.0)
+
+    if prefab.kind == "entity" then
+        if type(prefab.data.model) ~= "string" or type(prefab.data.spawn) ~= "table" then
+            cb({ ok = false, message = "Prefab '" .. prefab.name .. "' has no model or spawn" })
+            return
+        end
+
+        -- Named after the prefab, numbered when it is already in the scene
+        local id = prefab.name
+        local n = 2
+        while FindSceneEntity(id) do
+            id = prefab.name .. "_" .. n
+            n = n + 1
+        end
+
+        local ent = { id = id }
+        ApplyEntityPrefab(ent, prefab, offset)
+        table.insert(editScene.entities, ent)
+        SyncEditorEntities()
+
+        SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+        cb({ ok = true, entityId = id })
+        return
+    end
+
+    local instance = 1
+    for _, kf in ipairs(editScene.camera.keyframes) do
+        if kf.prefab and kf.prefab.name == prefab.name then
+            instance = math.max(instance, (tonumber(kf.prefab.instance) or 0) + 1)
+        end
+    end
+
+    InsertCameraPrefab(prefab, offset, instance)
+    SortCameraKeyframes()
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, count = #(prefab.data.keyframes or {}) })
+end)
+
+-- Rebuild every copy of a prefab in the scene from its latest version.
+-- Copies keep their entity ID and insert time; local edits are replaced.
+RegisterNUICallback('director:updatePrefabCopies', function(data, cb)
+    if not isEditorOpen then cb({ ok = false }) return end
+
+    local prefab = data.prefab
+    if not IsUsablePrefab(prefab) then
+        cb({ ok = false, message = "Invalid prefab" })
+        return
+    end
+
+    local count = 0
+
+    if prefab.kind == "entity" then
+        for _, ent in ipairs(editScene.entities) do
+            if ent.prefab and ent.prefab.name == prefab.name then
+                ApplyEntityPrefab(ent, prefab, tonumber(ent.prefab.offset) or 0.0)
+                count = count + 1
+            end
+        end
+        SyncEditorEntities()
+    else
+        local kept, offsets = {}, {}
+        for _, kf in ipairs(editScene.camera.keyframes) do
+            if kf.prefab and kf.prefab.name == prefab.name then
+                offsets[tonumber(kf.prefab.instance) or 1] = tonumber(kf.prefab.offset) or 0.0
+            else
+                table.insert(kept, kf)
+            end
+        end
+        editScene.camera.keyframes = kept
+
+        for instance, offset in pairs(offsets) do
+            InsertCameraPrefab(prefab, offset, instance)
+            count = count + 1
+        end
+        SortCameraKeyframes()
+    end
+
+    if count == 0 then
+        cb({ ok = false, message = "No copies of '" .. prefab.name .. "' in this scene" })
+        return
+    end
+
+    SendNUIMessage({ action = "sceneUpdated", scene = editScene })
+    cb({ ok = true, count = count })
+end)
+
+RegisterNetEvent('director:receivePrefabList')
+AddEventHandler('director:receivePrefabList', function(prefabs)
+    SendNUIMessage({ action = "prefabList", prefabs = prefabs })
+end)
+
+RegisterNetEvent('director:receivePrefab')
+AddEventHandler('director:receivePrefab', function(name, prefab)
+    SendNUIMessage({ action = "prefabData", name = name, prefab = prefab })
+end)
+
+-- Server reports the outcome of a save / delete
+RegisterNetEvent('director:prefabResult')
+AddEventHandler('director:prefabResult', function(ok, op, name, message)
+    SendNUIMessage({ action = "prefabResult", ok = ok, op = op, name = name, message = message })
 end)
 
 --[[ =========================================================================
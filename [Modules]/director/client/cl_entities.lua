@@ -211,4 +211,55 @@ function DirectorEntities.Freeze(entityId, state)
     FreezeEntityPosition(entity.handle, state)
 end
 
+--[[ =========================================================================
+    STATE (seeking / scrubbing)
+
+    Pose an entity directly instead of tasking it. `state` comes from
+    DirectorPlayback.GetEntityStateAt:
+    { pos = vector3, heading = number, exists = bool,
+      anim = { dict, name, flags, elapsed } or nil,
+      walk = { target, speed } or nil }
+    Peds are left frozen in place; walk is for the caller to re-issue
+    (DirectorPlayback.Seek does).
+========================================================================= ]]
+
+function DirectorEntities.ApplyState(entityId, state)
+    local entity = spawnedEntities[entityId]
+    if not entity then return end
+
+    local handle = entity.handle
+    SetEntityVisible(handle, state.exists, false)
+    SetEntityCollision(handle, state.exists, state.exists)
+
+    SetEntityCoordsNoOffset(handle, state.pos.x, state.pos.y, state.pos.z, false, false, false)
+    SetEntityHeading(handle, state.heading or 0.0)
+
+    if entity.type ~= "ped" then return end
+
+    FreezeEntityPosition(handle, true)
+    ClearPedTasksImmediately(handle)
+
+    local anim = state.anim
+    if anim and anim.dict and anim.dict ~= "" and LoadAnimDict(anim.dict) then
+        TaskPlayAnim(handle, anim.dict, anim.name,
+            1000.0, -1000.0, -1,  -- instant blend so the pose shows right away
+            anim.flags or 1,
+            0.0,
+            false, false, false)
+
+        -- Jump into the anim: wrap for looping anims (flag 1), clamp otherwise
+        local duration = GetAnimDuration(anim.dict, anim.name)
+        if duration and duration > 0 then
+            local elapsed = math.max(0.0, anim.elapsed or 0.0)
+            local phase
+            if ((anim.flags or 1) & 1) == 1 then
+                phase = (elapsed % duration) / duration
+            else
+                phase = math.min(1.0, elapsed / duration)
+            end
+            SetEntityAnimCurrentTime(handle, anim.dict, anim.name, phase)
+        end
+    end
+end
+
 print("^2[Director]^7 Entity system loaded")
@@ -54,11 +54,12 @@ end, false)
     SERVER → CLIENT EVENTS
 ========================================================================= ]]
 
--- Receive a scene for playback (not editing)
+-- Receive a scene for playback (not editing), with the scenes its
+-- sub-scene clips reference
 RegisterNetEvent('director:playScene')
-AddEventHandler('director:playScene', function(scene)
+AddEventHandler('director:playScene', function(scene, subScenes)
     if scene then
-        DirectorPlayback.Play(scene)
+        DirectorPlayback.Play(scene, nil, { subScenes = subScenes })
     end
 end)
 
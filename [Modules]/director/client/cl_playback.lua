@@ -10,6 +10,7 @@
     {
         name = "scene_name",
         duration = 30.0,
+        aspect = "2.39",        -- optional frame mask: "2.39" | "1.85" | "4:3"
         camera = {
             keyframes = {
                 { time=0, pos=vec3(...), rot=vec3(...), fov=50, easing="linear" },
@@ -30,8 +31,22 @@
         },
         events = {
             { time=2.0, name="scene:custom_event", data={} }
+        },
+        overlays = {
+            { time=0, type="fade", state="in", duration=1.5 },
+            { time=0, type="letterbox", state="in", duration=1.0 },
+            { time=2, type="subtitle", speaker="Bartender", text="...", duration=3 },
+            { time=6, type="title", title="Valentine", subtitle="1899", duration=4 },
+        },
+        subScenes = {
+            { scene="door_open", time=4.0, trimIn=0.5, trimOut=3.0, offset={x, y, z} },
         }
     }
+
+    Overlays are drawn by the NUI (html/overlay.js), not here: Play hands
+    it the list (and the aspect mask) and every playbackTimeUpdate tells
+    it where we are. Sub-scene clips are expanded into the scene when it
+    starts playing (SUB-SCENES below).
 ========================================================================= ]]
 
 DirectorPlayback = {}
@@ -42,6 +57,19 @@ local currentScene = nil
 local playbackTime = 0.0
 local playbackSpeed = 1.0
 
+-- Loop range (editor preview). loopEnd = nil means "end of scene".
+local isLooping = false
+local loopStart = 0.0
+local loopEnd = nil
+
+-- false while the editor records a take: the free cam stays in charge
+local driveCamera = true
+
+-- Rough walking speed (m/s) at move_to speed 1.0. Only used to estimate
+-- where a walking ped is when seeking/scrubbing; real playback uses the
+-- game's own navigation.
+local WALK_SPEED = 1.2
+
 -- Track which entity keyframes have been triggered
 -- (so we don't re-trigger every frame)
 local triggeredKeyframes = {}
@@ -62,6 +90,17 @@ local function ToVec3(t)
     return nil
 end
 
+-- Play converts and expands the scene it's given in place; callers that
+-- keep their scene (the editor) hand it a copy made with this
+function DirectorPlayback.DeepCopy(value)
+    if type(value) ~= "table" then return value end
+    local copy = {}
+    for k, v in pairs(value) do
+        copy[k] = DirectorPlayback.DeepCopy(v)
+    end
+    return copy
+end
+
 local function PrepareScene(scene)
     -- Convert camera keyframes
     if scene.camera and scene.camera.keyframes then
@@ -89,23 +128,208 @@ local function PrepareScene(scene)
         end
     end
 
+    -- Overlay cues, in time order
+    scene.overlays = scene.overlays or {}
+    table.sort(scene.overlays, function(a, b) return (a.time or 0) < (b.time or 0) end)
+
     return scene
 end
 
+--[[ =========================================================================
+    SUB-SCENES
+
+    scene.subScenes places other saved scenes on this one's timeline:
+        { scene = "door_open", time = 4.0, trimIn = 0.5, trimOut = 3.0,
+          offset = {x, y, z} }
+    The clip plays door_open from trimIn to trimOut (default: its end),
+    starting at `time` and moved by `offset` (optional). Play expands the
+    clips before it starts: their entities join the scene under prefixed
+    IDs ("door_open@1/door"), appearing when the clip starts and removed
+    when it ends; their keyframes, events and overlay cues are shifted
+    onto this timeline; and while a clip runs, its camera takes over if it
+    has one. The referenced scenes arrive as a library
+    ({ [name] = scene }, resolved by sv_scenes.lua). Clips inside clips
+    expand the same way; one that would play a scene it is already inside
+    is skipped.
+========================================================================= ]]
+
+-- A scene plus every nested sub-scene whose camera it may play
+local function EachCameraScene(scene, fn)
+    fn(scene)
+    for _, clip in ipairs(scene.cameraClips or {}) do
+        EachCameraScene(clip.scene, fn)
+    end
+end
+
+-- Move an expanded sub-scene by `offset` and prefix its entity IDs
+-- (camera targets included), so two clips of one scene can't collide
+local function PlaceSubScene(sub, offset, prefix)
+    EachCameraScene(sub, function(s)
+        for _, kf in ipairs(s.camera and s.camera.keyframes or {}) do
+            if kf.pos then kf.pos = kf.pos + offset end
+            local target = kf.target
+            if target then
+                if target.point then target.point = ToVec3(target.point) + offset end
+                if target.entityId then target.entityId = prefix .. target.entityId end
+            end
+        end
+    end)
+
+    for _, ent in ipairs(sub.entities) do
+        ent.id = prefix .. tostring(ent.id)
+        if ent.spawn and ent.spawn.pos then
+            ent.spawn.pos = ent.spawn.pos + offset
+        end
+        for _, kf in ipairs(ent.keyframes or {}) do
+            if kf.pos then kf.pos = kf.pos + offset end
+        end
+    end
+end
+
+-- Copy what plays between the clip's trim points onto the parent timeline
+local function MergeSubScene(scene, clip, sub)
+    local trimIn = math.max(0.0, tonumber(clip.trimIn) or 0.0)
+    local trimOut = math.min(tonumber(clip.trimOut) or math.huge, tonumber(sub.duration) or 0.0)
+    local start = tonumber(clip.time) or 0.0
+    local shift = start - trimIn
+    local finish = start + trimOut - trimIn
+    if finish <= start then return end
+
+    for _, ent in ipairs(sub.entities) do
+        -- Entities enter as they stand at trimIn (or when they appear)
+        local from = math.max(trimIn, ent.from or 0.0)
+        local state = from < trimOut and DirectorPlayback.GetEntityStateAt(ent, from)
+        if state and state.exists then
+            local entry = {
+                id = ent.id,
+                type = ent.type,
+                model = ent.model,
+                spawn = { pos = state.pos, heading = state.heading, rot = ent.spawn and ent.spawn.rot },
+                from = from + shift,
+                keyframes = {},
+            }
+
+            -- Trimmed into the middle of an anim: start it on arrival
+            if state.anim and state.anim.start < from then
+                table.insert(entry.keyframes, { time = entry.from, action = "anim",
+                    dict = state.anim.dict, name = state.anim.name, flags = state.anim.flags })
+            end
+            -- ...or of a walk: carry on toward its target
+            if state.walk then
+                table.insert(entry.keyframes, { time = entry.from, action = "move_to",
+                    pos = state.walk.target, speed = state.walk.speed })
+            end
+            for _, kf in ipairs(ent.keyframes or {}) do
+                if kf.time >= from and kf.time < trimOut then
+                    local copy = DirectorPlayback.DeepCopy(kf)
+                    copy.time = kf.time + shift
+                    table.insert(entry.keyframes, copy)
+                end
+            end
+            table.insert(entry.keyframes, { time = finish, action = "delete" })
+
+            table.insert(scene.entities, entry)
+        end
+    end
+
+    for _, ev in ipairs(sub.events or {}) do
+        if ev.time >= trimIn and ev.time < trimOut then
+            table.insert(scene.events, { time = ev.time + shift, name = ev.name, data = ev.data })
+        end
+    end
+
+    for _, cue in ipairs(sub.overlays) do
+        local time = cue.time or 0.0
+        if time >= trimIn and time < trimOut then
+            local copy = DirectorPlayback.DeepCopy(cue)
+            copy.time = time + shift
+            table.insert(scene.overlays, copy)
+        end
+    end
+
+    if #(sub.camera and sub.camera.keyframes or {}) > 0 or #sub.cameraClips > 0 then
+        table.insert(scene.cameraClips, { start = start, finish = finish, shift = shift, scene = sub })
+    end
+end
+
+-- Expand scene.subScenes into a prepared scene. `inside` holds the names
+-- of the scenes this one is playing inside of.
+local function ExpandSubScenes(scene, library, inside)
+    scene.entities = scene.entities or {}
+    scene.events = scene.events or {}
+    scene.cameraClips = {}
+
+    for i, clip in ipairs(scene.subScenes or {}) do
+        local source = library and library[clip.scene]
+        if type(source) ~= "table" then
+            print(string.format("^3[Director]^7 Sub-scene '%s' not found, skipping it", tostring(clip.scene)))
+        elseif inside[clip.scene] then
+            print(string.format("^3[Director]^7 Sub-scene '%s' would play inside itself, skipping it", clip.scene))
+        else
+            local sub = PrepareScene(DirectorPlayback.DeepCopy(source))
+            inside[clip.scene] = true
+            ExpandSubScenes(sub, library, inside)
+            inside[clip.scene] = nil
+
+            PlaceSubScene(sub, ToVec3(clip.offset) or vector3(0.0, 0.0, 0.0), clip.scene .. "@" .. i .. "/")
+            MergeSubScene(scene, clip, sub)
+        end
+    end
+
+    table.sort(scene.events, function(a, b) return (a.time or 0) < (b.time or 0) end)
+    table.sort(scene.overlays, function(a, b) return (a.time or 0) < (b.time or 0) end)
+end
+
+-- Camera pose at `time`: the last sub-scene clip running then that has a
+-- camera, otherwise the scene's own track. nil when there is neither.
+local function EvaluateCamera(scene, time)
+    local clips = scene.cameraClips or {}
+    for i = #clips, 1, -1 do
+        local clip = clips[i]
+        if time >= clip.start and time < clip.finish then
+            local pos, rot, fov = EvaluateCamera(clip.scene, time - clip.shift)
+            if pos then return pos, rot, fov end
+        end
+    end
+    return DirectorCamera.EvaluateTrack(scene.camera, time)
+end
+
+local function UpdateCamera()
+    if not driveCamera then return end
+    local pos, rot, fov = EvaluateCamera(currentScene, playbackTime)
+    if pos then
+        DirectorCamera.SetPlaybackPose(pos, rot, fov)
+    end
+end
+
 --[[ =========================================================================
     PLAY / STOP / PAUSE
 ========================================================================= ]]
 
-function DirectorPlayback.Play(scene, onComplete)
+-- opts (all optional, used by the editor preview):
+--   startTime = seconds to start from
+--   loop      = true to repeat loopStart..loopEnd instead of finishing
+--   loopStart / loopEnd = loop range in seconds (defaults: 0 / duration)
+--   camera    = false to leave the camera alone (editor camera recording)
+--   subScenes = the scenes sub-scene clips reference, { [name] = scene }
+function DirectorPlayback.Play(scene, onComplete, opts)
     if isPlaying then
         DirectorPlayback.Stop()
     end
 
+    opts = opts or {}
+
     -- Prepare the scene data
     currentScene = PrepareScene(scene)
+    ExpandSubScenes(currentScene, opts.subScenes, { [tostring(currentScene.name)] = true })
     playbackTime = 0.0
     triggeredKeyframes = {}
 
+    isLooping = opts.loop == true
+    loopStart = tonumber(opts.loopStart) or 0.0
+    loopEnd = tonumber(opts.loopEnd)
+    driveCamera = opts.camera ~= false
+
     -- Spawn all entities
     if currentScene.entities then
         for _, ent in ipairs(currentScene.entities) do
@@ -114,15 +338,32 @@ function DirectorPlayback.Play(scene, onComplete)
             elseif ent.type == "object" and ent.spawn then
                 DirectorEntities.SpawnObject(ent.id, ent.model, ent.spawn.pos, ent.spawn.rot and ToVec3(ent.spawn.rot))
             end
+
+            -- Sub-scene entities wait hidden for their clip
+            if ent.from and ent.from > 0 then
+                DirectorPlayback.ApplyEntityStateAt(ent, 0.0)
+            end
         end
     end
 
     -- Start camera playback
-    DirectorCamera.StartPlayback()
+    if driveCamera then
+        DirectorCamera.StartPlayback()
+    end
+
+    -- Subtitles, letterbox, fades and title cards
+    SendNUIMessage({ action = "overlayStart", overlays = currentScene.overlays, aspect = currentScene.aspect })
 
     isPlaying = true
     isPaused = false
 
+    -- Starting mid-scene: skip what already happened and put entities
+    -- where they would be at that point
+    local startTime = tonumber(opts.startTime) or 0.0
+    if startTime > 0 then
+        DirectorPlayback.Seek(startTime)
+    end
+
     print(string.format("^2[Director]^7 Playing scene: %s (%.1fs)", currentScene.name or "untitled", currentScene.duration or 0))
 
     -- Playback loop
@@ -135,13 +376,18 @@ function DirectorPlayback.Play(scene, onComplete)
                 playbackTime = playbackTime + dt
 
                 -- Update camera
-                if currentScene.camera and currentScene.camera.keyframes then
-                    DirectorCamera.UpdatePlayback(currentScene.camera.keyframes, playbackTime)
-                end
+                UpdateCamera()
 
                 -- Process entity keyframes
                 if currentScene.entities then
                     for _, ent in ipairs(currentScene.entities) do
+                        -- Sub-scene entities show up when their clip starts
+                        local fromKey = ent.id .. "_from"
+                        if ent.from and playbackTime >= ent.from and not triggeredKeyframes[fromKey] then
+                            triggeredKeyframes[fromKey] = true
+                            DirectorPlayback.ApplyEntityStateAt(ent, ent.from)
+                        end
+
                         if ent.keyframes then
                             for kfIdx, kf in ipairs(ent.keyframes) do
                                 local kfKey = ent.id .. "_" .. kfIdx
@@ -172,8 +418,13 @@ function DirectorPlayback.Play(scene, onComplete)
                     duration = currentScene.duration or 0
                 })
 
+                -- Loop back to the start of the range
+                local rangeEnd = loopEnd or currentScene.duration
+                if isLooping and rangeEnd and playbackTime >= rangeEnd then
+                    DirectorPlayback.Seek(loopStart)
+
                 -- Check if scene is done
-                if currentScene.duration and playbackTime >= currentScene.duration then
+                elseif currentScene.duration and playbackTime >= currentScene.duration then
                     DirectorPlayback.Stop()
                     if onComplete then
                         onComplete()
@@ -196,9 +447,13 @@ function DirectorPlayback.Stop()
     -- Stop camera
     DirectorCamera.StopPlayback()
 
+    SendNUIMessage({ action = "overlayStop" })
+
     currentScene = nil
     playbackTime = 0.0
     triggeredKeyframes = {}
+    isLooping = false
+    driveCamera = true
 
     print("^2[Director]^7 Playback stopped")
 end
@@ -220,13 +475,48 @@ function DirectorPlayback.SetSpeed(speed)
     playbackSpeed = math.max(0.1, math.min(10.0, speed))
 end
 
+-- Jump to a point in the scene. Keyframes and events before that point
+-- count as already triggered, and entities are placed in the state they
+-- would be in at that time. A ped caught in the middle of a move_to is
+-- sent on from there, since its keyframe won't fire again.
 function DirectorPlayback.Seek(time)
-    -- Reset triggered keyframes that are after the new time
-    for key, _ in pairs(triggeredKeyframes) do
-        -- Simple approach: reset all on seek
-    end
     triggeredKeyframes = {}
     playbackTime = math.max(0, time)
+
+    if not currentScene then return end
+
+    if currentScene.entities then
+        for _, ent in ipairs(currentScene.entities) do
+            if ent.from and ent.from < playbackTime then
+                triggeredKeyframes[ent.id .. "_from"] = true
+            end
+            for kfIdx, kf in ipairs(ent.keyframes or {}) do
+                if kf.time < playbackTime then
+                    triggeredKeyframes[ent.id .. "_" .. kfIdx] = true
+                end
+            end
+            local state = DirectorPlayback.ApplyEntityStateAt(ent, playbackTime)
+            if state.exists and state.walk then
+                DirectorEntities.MoveTo(ent.id, state.walk.target, state.walk.speed)
+            end
+        end
+    end
+
+    if currentScene.events then
+        for evIdx, ev in ipairs(currentScene.events) do
+            if ev.time < playbackTime then
+                triggeredKeyframes["event_" .. evIdx] = true
+            end
+        end
+    end
+
+    -- Show the new frame right away, even while paused
+    UpdateCamera()
+    SendNUIMessage({
+        action = "playbackTimeUpdate",
+        time = playbackTime,
+        duration = currentScene.duration or 0
+    })
 end
 
 function DirectorPlayback.IsPlaying()
@@ -245,6 +535,92 @@ function DirectorPlayback.GetScene()
     return currentScene
 end
 
+--[[ =========================================================================
+    ENTITY STATE AT A GIVEN TIME
+
+    Replays an entity's keyframes up to `time` without running them,
+    giving where it stands, which way it faces and which anim it is in.
+    Used for seeking during playback and for scrubbing in the editor.
+========================================================================= ]]
+
+-- Position along an in-progress move_to at time t
+local function ResolveMove(move, t)
+    local delta = move.target - move.from
+    local dist = #delta
+    if dist < 0.01 then return move.target end
+    local walked = (t - move.start) * WALK_SPEED * move.speed
+    return move.from + delta * math.min(1.0, walked / dist)
+end
+
+function DirectorPlayback.GetEntityStateAt(ent, time)
+    local state = {
+        pos = ToVec3(ent.spawn and ent.spawn.pos) or vector3(0, 0, 0),
+        heading = ent.spawn and ent.spawn.heading or 0.0,
+        anim = nil,
+        -- Sub-scene entities (see SUB-SCENES) don't exist before ent.from
+        exists = ent.from == nil or time >= ent.from
+    }
+    local move = nil
+
+    for _, kf in ipairs(ent.keyframes or {}) do
+        if kf.time > time then break end
+
+        -- Settle any walk that this keyframe interrupts
+        if move then
+            state.pos = ResolveMove(move, kf.time)
+            move = nil
+        end
+
+        local action = kf.action or kf.type
+        if action == "anim" then
+            state.anim = { dict = kf.dict, name = kf.name, flags = kf.flags, start = kf.time }
+        elseif action == "stop_anim" then
+            state.anim = nil
+        elseif action == "teleport" and kf.pos then
+            state.pos = ToVec3(kf.pos)
+            state.heading = kf.heading or state.heading
+        elseif action == "move_to" and kf.pos then
+            local target = ToVec3(kf.pos)
+            move = { from = state.pos, target = target, start = kf.time, speed = kf.speed or 1.0 }
+            state.heading = GetHeadingFromVector_2d(target.x - state.pos.x, target.y - state.pos.y)
+            state.anim = nil
+        elseif action == "delete" then
+            state.exists = false
+        end
+    end
+
+    if move then
+        state.pos = ResolveMove(move, time)
+        -- Not there yet: walk = where the ped is still heading
+        if #(move.target - state.pos) > 0.01 then
+            state.walk = { target = move.target, speed = move.speed }
+        end
+    end
+
+    if state.anim then
+        state.anim.elapsed = time - state.anim.start
+    end
+
+    return state
+end
+
+-- Spawn, hide or pose an entity to match its state at `time`; returns
+-- that state
+function DirectorPlayback.ApplyEntityStateAt(ent, time)
+    local state = DirectorPlayback.GetEntityStateAt(ent, time)
+
+    if state.exists and not DirectorEntities.GetHandle(ent.id) and ent.spawn then
+        if ent.type == "ped" then
+            DirectorEntities.SpawnPed(ent.id, ent.model, state.pos, state.heading)
+        else
+            DirectorEntities.SpawnObject(ent.id, ent.model, state.pos, ent.spawn.rot and ToVec3(ent.spawn.rot))
+        end
+    end
+
+    DirectorEntities.ApplyState(ent.id, state)
+    return state
+end
+
 --[[ =========================================================================
     ENTITY KEYFRAME EXECUTION
 ========================================================================= ]]
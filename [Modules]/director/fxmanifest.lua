@@ -11,6 +11,10 @@ dependencies {
     'Core'
 }
 
+shared_scripts {
+    'shared/sh_validation.lua'
+}
+
 client_scripts {
     'client/cl_camera.lua',
     'client/cl_entities.lua',
@@ -21,7 +25,11 @@ client_scripts {
 
 server_scripts {
     'server/sv_main.lua',
-    'server/sv_scenes.lua'
+    'server/sv_scenes.lua',
+    'server/sv_drafts.lua',
+    'server/sv_revisions.lua',
+    'server/sv_locks.lua',
+    'server/sv_prefabs.lua'
 }
 
 ui_page 'html/index.html'
@@ -29,5 +37,8 @@ ui_page 'html/index.html'
 files {
     'html/index.html',
     'html/style.css',
-    'html/editor.js'
+    'html/editor.js',
+    'html/overlay.css',
+    'html/overlay.js',
+    'html/catalog.js'
 }
@@ -0,0 +1,65 @@
+/*  =========================================================================
+    DIRECTOR — Model Catalog
+
+    Model names offered by the Add Entity picker, by entity type and
+    category. This is a starter list, not the game's full model table:
+    extend it with whatever your scenes use. Names that aren't listed can
+    still be added after a confirmation, and Lua checks every model
+    against the game (IsModelInCdimage) before it spawns.
+========================================================================= */
+
+var MODEL_CATALOG = {
+    ped: {
+        'Story': [
+            'player_zero', 'player_three', 'cs_dutch', 'cs_micahbell', 'cs_hoseamatthews',
+            'cs_mrsadler', 'cs_javierescuella', 'cs_charlessmith', 'cs_billwilliamson',
+            'cs_mrpearson', 'cs_uncle', 'cs_abigailroberts', 'cs_jackmarston'
+        ],
+        'Townsfolk': [
+            'a_m_m_valtownfolk_01', 'a_m_m_valtownfolk_02', 'a_f_m_valtownfolk_01',
+            'a_m_m_rhdtownfolk_01', 'a_m_m_blwupperclass_01', 'a_f_m_blwupperclass_01',
+            'a_m_m_saloonpatrons_01', 'a_m_m_cardgameplayers_01'
+        ],
+        'Workers': [
+            'a_m_m_valfarmer_01', 'a_m_m_rancher_01', 'a_m_m_bivworker_01',
+            'a_m_m_sddockworkers_02', 'u_m_m_valbartender_01', 'u_m_m_valgenstoreowner_01',
+            'u_m_m_valbarber_01'
+        ],
+        'Law': [
+            's_m_m_valdeputy_01', 's_m_m_ambientsdpolice_01', 's_m_m_ambientlawrural_01'
+        ],
+        'Gangs': [
+            'g_m_m_uniduster_01', 'g_m_m_unibanditos_01', 'g_m_m_unicriminals_01',
+            'g_m_y_uniexconfeds_01', 'g_m_m_unibraithwaites_01', 'g_m_m_unigrays_01',
+            'a_m_m_valcriminals_01'
+        ],
+        'Online': [
+            'mp_male', 'mp_female'
+        ],
+        'Horses': [
+            'a_c_horse_arabian_white', 'a_c_horse_americanpaint_overo', 'a_c_horse_morgan_bay',
+            'a_c_horse_tennesseewalker_chestnut', 'a_c_horse_kentuckysaddle_black'
+        ],
+        'Animals': [
+            'a_c_cow', 'a_c_bull_01', 'a_c_chicken_01', 'a_c_pig_01', 'a_c_sheep_01',
+            'a_c_deer_01', 'a_c_buck_01', 'a_c_wolf', 'a_c_bear_01', 'a_c_dogcollie_01',
+            'a_c_cat_01', 'a_c_crow_01', 'a_c_rabbit_01', 'a_c_fox_01', 'a_c_coyote_01'
+        ]
+    },
+    object: {
+        'Furniture': [
+            'p_chair04x', 'p_chair05x', 'p_table04x', 'p_bench06x', 'p_bed05x'
+        ],
+        'Tableware': [
+            'p_bottlebeer01x', 'p_bottlewhiskey01x', 'p_glass01x', 'p_mugcoffee01x',
+            'p_plate01x'
+        ],
+        'Camp': [
+            'p_campfire01x', 'p_lantern05x', 'p_tent01x', 'p_bedroll01x', 'p_kettle03x'
+        ],
+        'Props': [
+            'p_barrel01x', 'p_crate03x', 'p_hitchingpost01x', 'p_cigarette01x',
+            'p_newspaper01x', 'p_pocketwatch01x'
+        ]
+    }
+};
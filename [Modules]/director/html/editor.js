@@ -2,7 +2,12 @@
     DIRECTOR — Scene Editor JavaScript
 
     Camera: middle mouse hold → camera control
-    Timeline: scroll to zoom, drag to pan, click to set time
+    Timeline: scroll to zoom, right-drag to pan, left-drag to scrub
+              ruler: shift-drag sets the loop range, double-click clears it
+              one lane for the camera + one lane per entity,
+              one per overlay type in use
+              markers: click / shift-click / shift-drag box to select,
+              drag to retime (snaps to ticks and keyframes, Alt = free)
     FOV: scroll wheel (when not over timeline)
 ========================================================================= */
 
@@ -11,12 +16,14 @@ var scene = {
     duration: 30.0,
     camera: { keyframes: [] },
     entities: [],
-    events: []
+    events: [],
+    overlays: [],
+    markers: [],
+    subScenes: []
 };
 
 var selectedEntityId = null;
 var isPreviewPlaying = false;
-var camPollInterval = null;
 var currentTimelineTime = 0;
 
 // Timeline zoom/pan state
@@ -54,13 +61,21 @@ window.addEventListener('message', function(e) {
     switch (d.action) {
         case 'openEditor':
             scene = d.scene || scene;
+            clearHistory();
+            setEasingNames(d.easings);
+            fillCamSettings(d.camSettings);
+            setSceneLock(null);
+            markSceneClean();
             document.getElementById('editor').classList.remove('hidden');
             syncUI();
-            startCamPoll();
+            startDraftTimer();
+            requestPrefabList();
             break;
         case 'closeEditor':
             document.getElementById('editor').classList.add('hidden');
-            stopCamPoll();
+            hideConfirm();
+            stopDraftTimer();
+            overlayPreview(null, 0);
             break;
         case 'sceneUpdated':
             scene = d.scene;
@@ -68,24 +83,67 @@ window.addEventListener('message', function(e) {
             break;
         case 'sceneLoaded':
             scene = d.scene;
+            setSceneLock(d.lock);
+            clearHistory();
+            markSceneClean();
             tlZoom = 1.0;
             tlScrollOffset = 0;
             syncUI();
             toast('Scene loaded: ' + scene.name, 'success');
-            document.getElementById('load-dialog').classList.add('hidden');
+            closeLoadDialog();
             break;
         case 'sceneSaved':
-            toast(d.success ? ('Saved: ' + d.name) : 'Save failed', d.success ? 'success' : 'error');
+            onSceneSaved(d);
+            break;
+        case 'draftAvailable':
+            offerDraftRecovery(d);
             break;
         case 'sceneList':
             renderSceneList(d.scenes || []);
             break;
+        case 'sceneLibraryResult':
+            onSceneLibraryResult(d);
+            break;
+        case 'sceneMeta':
+            onImportSceneMeta(d);
+            break;
         case 'playbackTimeUpdate':
             updatePlayhead(d.time, d.duration);
+            if (recordState === 'recording') updateLiveTake();
             break;
         case 'previewEnded':
             exitPreviewMode();
             break;
+        case 'recordingFinished':
+            onRecordingFinished(d);
+            break;
+        case 'camState':
+            updateCamHud(d);
+            break;
+        case 'prefabList':
+            onPrefabList(d.prefabs);
+            break;
+        case 'prefabData':
+            onPrefabData(d);
+            break;
+        case 'prefabResult':
+            onPrefabResult(d);
+            break;
+        case 'revisionList':
+            onRevisionList(d);
+            break;
+        case 'revisionData':
+            onRevisionData(d);
+            break;
+        case 'revisionDiff':
+            onRevisionDiff(d);
+            break;
+        case 'lockStatus':
+            if (d.name === scene.name) setSceneLock(d.lock);
+            break;
+        case 'subScenesResolved':
+            onSubScenesResolved(d.scenes);
+            break;
     }
 });
 
@@ -154,9 +212,30 @@ function syncUI() {
     document.getElementById('scene-name').value = scene.name || 'untitled';
     document.getElementById('scene-duration').value = scene.duration || 30;
     document.getElementById('tl-duration').textContent = formatTime(scene.duration || 30);
+    if (selectedEntityId && !getEntityById(selectedEntityId)) selectedEntityId = null;
+    refreshEntityKfSelection();
+    refreshCamKfSelection();
+    refreshEventSelection();
+    refreshOverlaySelection();
+    refreshSubSceneSelection();
+    refreshShotSelection();
+    refreshMarkerSelection();
+    pruneTimelineSelection();
     renderCamKeyframes();
+    renderShotList();
+    renderEventList();
+    renderMarkerList();
+    renderOverlayList();
+    renderSubSceneList();
     renderEntityList();
+    renderEntitySpawn();
+    renderEntityKeyframes();
+    renderPrefabList();
     renderTimeline();
+    previewOverlayAtPlayhead();
+    renderGuides();
+    updateDirtyIndicator();
+    requestValidation();
 }
 
 // =========================================================================
@@ -203,9 +282,22 @@ function percentToTime(pct) {
     return tlScrollOffset + (pct / 100) * getVisibleDuration();
 }
 
+// Choose tick interval based on zoom level
+function getTickInterval() {
+    var visDur = getVisibleDuration();
+    if (visDur <= 5) return 0.5;
+    if (visDur <= 15) return 1;
+    if (visDur <= 30) return 2;
+    if (visDur <= 60) return 5;
+    if (visDur <= 180) return 10;
+    if (visDur <= 600) return 30;
+    return 60;
+}
+
 function renderTimeline() {
     renderTimelineRuler();
     renderTimelineMarkers();
+    renderOverview();
     updatePlayhead(currentTimelineTime, scene.duration);
 }
 
@@ -213,18 +305,17 @@ function renderTimelineRuler() {
     var ruler = document.getElementById('timeline-ruler');
     ruler.innerHTML = '';
 
+    if (loopRange) {
+        var band = document.createElement('div');
+        band.className = 'ruler-loop' + (loopEnabled ? ' active' : '');
+        band.style.left = timeToPercent(loopRange.start) + '%';
+        band.style.width = (timeToPercent(loopRange.end) - timeToPercent(loopRange.start)) + '%';
+        ruler.appendChild(band);
+    }
+
     var visDur = getVisibleDuration();
     var dur = scene.duration || 30;
-
-    // Choose tick interval based on zoom level
-    var tickInterval;
-    if (visDur <= 5) tickInterval = 0.5;
-    else if (visDur <= 15) tickInterval = 1;
-    else if (visDur <= 30) tickInterval = 2;
-    else if (visDur <= 60) tickInterval = 5;
-    else if (visDur <= 180) tickInterval = 10;
-    else if (visDur <= 600) tickInterval = 30;
-    else tickInterval = 60;
+    var tickInterval = getTickInterval();
 
     // Find first tick in view
     var firstTick = Math.ceil(tlScrollOffset / tickInterval) * tickInterval;
@@ -260,38 +351,116 @@ function renderTimelineRuler() {
             }
         }
     }
+
+    // Named markers, drawn over the ticks
+    var markers = scene.markers || [];
+    for (var i = 0; i < markers.length; i++) {
+        var mpct = timeToPercent(markers[i].time);
+        if (mpct < -1 || mpct > 101) continue;
+        var flag = document.createElement('div');
+        flag.className = 'ruler-marker' + (selectedMarker === i ? ' selected' : '');
+        flag.style.left = mpct + '%';
+        flag.title = markers[i].name + ' @ ' + formatTime(markers[i].time);
+        flag.setAttribute('data-idx', i);
+        flag.innerHTML = '<span>' + esc(markers[i].name) + '</span>';
+        flag.onmousedown = onRulerMarkerDown;
+        ruler.appendChild(flag);
+    }
 }
 
 function renderTimelineMarkers() {
     var markers = document.getElementById('timeline-markers');
     markers.innerHTML = '';
 
-    // Camera keyframes
+    // Shots lane (only once the camera track is split)
+    var shots = scene.camera ? scene.camera.shots || [] : [];
+    if (shots.length > 0) markers.appendChild(renderShotLane(shots));
+
+    // Camera lane
+    var camLane = createTimelineLane('Camera', 'cam');
     var kfs = scene.camera ? scene.camera.keyframes : [];
     for (var i = 0; i < kfs.length; i++) {
         var pct = timeToPercent(kfs[i].time);
         if (pct < -2 || pct > 102) continue;
         var m = document.createElement('div');
-        m.className = 'tl-marker cam';
+        m.className = 'tl-marker cam' + (isTimelineSelected({ index: i }) ? ' selected' : '');
         m.style.left = pct + '%';
         m.title = 'Cam @ ' + kfs[i].time.toFixed(1) + 's';
-        markers.appendChild(m);
+        m.setAttribute('data-idx', i);
+        m.onmousedown = onKfMarkerDown;
+        camLane.appendChild(m);
+    }
+    renderTakeRange(camLane);
+    markers.appendChild(camLane);
+
+    // Scene events lane
+    var evLane = createTimelineLane('Events', 'event');
+    var evs = scene.events || [];
+    for (var v = 0; v < evs.length; v++) {
+        var pct = timeToPercent(evs[v].time);
+        if (pct < -2 || pct > 102) continue;
+        var m = document.createElement('div');
+        m.className = 'tl-marker event' + (isTimelineSelected({ kind: 'event', index: v }) ? ' selected' : '');
+        m.style.left = pct + '%';
+        m.title = evs[v].name + ' @ ' + evs[v].time.toFixed(1) + 's';
+        m.setAttribute('data-idx', v);
+        m.setAttribute('data-kind', 'event');
+        m.onmousedown = onKfMarkerDown;
+        evLane.appendChild(m);
     }
+    markers.appendChild(evLane);
+
+    // Overlay lanes, one per cue type in use
+    renderOverlayLanes(markers);
 
-    // Entity keyframes
+    // Sub-scene clips (only once there are any)
+    renderSubSceneLane(markers);
+
+    // One lane per entity
     var ents = scene.entities || [];
     for (var e = 0; e < ents.length; e++) {
+        var lane = createTimelineLane(ents[e].id, 'entity', ents[e].id);
+        if (ents[e].id === selectedEntityId) lane.classList.add('selected');
+
         var ekfs = ents[e].keyframes || [];
         for (var k = 0; k < ekfs.length; k++) {
             var pct = timeToPercent(ekfs[k].time);
             if (pct < -2 || pct > 102) continue;
+            var action = ekfs[k].action || ekfs[k].type || 'anim';
             var m = document.createElement('div');
-            m.className = 'tl-marker entity';
+            m.className = 'tl-marker entity action-' + action;
+            if (isTimelineSelected({ entityId: ents[e].id, index: k })) m.classList.add('selected');
             m.style.left = pct + '%';
-            m.title = ents[e].id + ' @ ' + ekfs[k].time.toFixed(1) + 's';
-            markers.appendChild(m);
+            m.title = ents[e].id + ' · ' + action + ' @ ' + ekfs[k].time.toFixed(1) + 's';
+            m.setAttribute('data-entity', ents[e].id);
+            m.setAttribute('data-idx', k);
+            m.onmousedown = onKfMarkerDown;
+            lane.appendChild(m);
         }
+        markers.appendChild(lane);
     }
+
+    renderCurveGraph();
+    syncTimelineHeight();
+}
+
+function createTimelineLane(label, kind, entityId) {
+    var lane = document.createElement('div');
+    lane.className = 'tl-lane ' + kind;
+    if (entityId) lane.setAttribute('data-entity', entityId);
+
+    var name = document.createElement('span');
+    name.className = 'tl-lane-label';
+    name.textContent = label;
+    lane.appendChild(name);
+    return lane;
+}
+
+// Side panels end where the timeline begins, and the timeline grows
+// with the number of lanes.
+function syncTimelineHeight() {
+    var h = document.getElementById('timeline-bar').offsetHeight;
+    document.documentElement.style.setProperty('--timeline-height', h + 'px');
 }
 
 function updatePlayhead(time, duration) {
@@ -299,9 +468,396 @@ function updatePlayhead(time, duration) {
     var pct = timeToPercent(time);
     pct = Math.max(-1, Math.min(101, pct));
     document.getElementById('timeline-playhead').style.left = pct + '%';
-    document.getElementById('tl-time').textContent = formatTime(time);
+    document.getElementById('curve-playhead').style.left = pct + '%';
+    setTimeReadout(time);
+    updateOverviewPlayhead(time);
+    previewOverlayAtPlayhead();
+}
+
+// =========================================================================
+// TIMELINE — SELECTION, BOX SELECT, DRAG TO RETIME
+// =========================================================================
+
+// Selected timeline markers, index is 0-based:
+//   camera keyframe  { index }
+//   entity keyframe  { entityId, index }
+//   scene event      { kind: 'event', index }
+//   overlay cue      { kind: 'overlay', index }
+//   sub-scene clip   { kind: 'subScene', index }
+var tlSelection = [];
+
+var SNAP_PX = 8;           // snap distance in pixels
+var DRAG_THRESHOLD_PX = 3; // movement before a click becomes a drag
+
+function refKey(ref) {
+    if (ref.kind === 'event') return 'evt:' + ref.index;
+    if (ref.kind === 'overlay') return 'ovl:' + ref.index;
+    if (ref.kind === 'subScene') return 'sub:' + ref.index;
+    return (ref.entityId ? 'ent:' + ref.entityId : 'cam') + ':' + ref.index;
+}
+
+// Same marker lane, different index (after a re-sort)
+function refWithIndex(ref, index) {
+    var r = { index: index };
+    if (ref.kind) r.kind = ref.kind;
+    if (ref.entityId) r.entityId = ref.entityId;
+    return r;
+}
+
+function isTimelineSelected(ref) {
+    var key = refKey(ref);
+    for (var i = 0; i < tlSelection.length; i++) {
+        if (refKey(tlSelection[i]) === key) return true;
+    }
+    return false;
+}
+
+function getKeyframeList(ref) {
+    if (ref.kind === 'event') return scene.events || [];
+    if (ref.kind === 'overlay') return scene.overlays || [];
+    if (ref.kind === 'subScene') return scene.subScenes || [];
+    if (!ref.entityId) return scene.camera ? scene.camera.keyframes : [];
+    var ent = getEntityById(ref.entityId);
+    return ent ? ent.keyframes : [];
+}
+
+function getKeyframeByRef(ref) {
+    return getKeyframeList(ref)[ref.index] || null;
+}
+
+function setTimelineSelection(refs) {
+    tlSelection = refs;
+    renderCamKeyframes();
+    renderEventList();
+    renderOverlayList();
+    renderSubSceneList();
+    renderTimelineMarkers();
+}
+
+function toggleTimelineSelection(ref) {
+    var key = refKey(ref);
+    var next = tlSelection.filter(function(r) { return refKey(r) !== key; });
+    if (next.length === tlSelection.length) next.push(ref);
+    setTimelineSelection(next);
+}
+
+// Drop selected refs that no longer point at a keyframe
+function pruneTimelineSelection() {
+    tlSelection = tlSelection.filter(function(r) { return getKeyframeByRef(r) !== null; });
+}
+
+function refFromMarker(el) {
+    var ref = { index: parseInt(el.getAttribute('data-idx')) };
+    if (el.hasAttribute('data-entity')) ref.entityId = el.getAttribute('data-entity');
+    if (el.hasAttribute('data-kind')) ref.kind = el.getAttribute('data-kind');
+    return ref;
+}
+
+// --- Marker drag ---
+
+var tlKfDrag = null; // { grabbed, origTimes: [], startX, moved }
+
+function onKfMarkerDown(e) {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+
+    var ref = refFromMarker(this);
+
+    if (e.shiftKey) {
+        toggleTimelineSelection(ref);
+        return;
+    }
+
+    if (!isTimelineSelected(ref)) {
+        setTimelineSelection([ref]);
+    }
+    if (ref.kind === 'event') {
+        selectEvent(ref.index);
+    } else if (ref.kind === 'overlay') {
+        selectOverlay(ref.index);
+    } else if (ref.kind === 'subScene') {
+        selectSubScene(ref.index);
+    } else if (ref.entityId) {
+        selectEntityKeyframe(ref.entityId, ref.index);
+    } else {
+        selectCameraKeyframe(ref.index, false);
+    }
+
+    tlKfDrag = {
+        grabbed: ref,
+        refs: tlSelection.slice(),
+        origTimes: tlSelection.map(function(r) { return getKeyframeByRef(r).time; }),
+        grabbedOrig: getKeyframeByRef(ref).time,
+        snapshot: snapshotScene(),
+        startX: e.clientX,
+        moved: false
+    };
+}
+
+// Times a dragged keyframe may snap to: ruler ticks (major + minor),
+// the playhead, and every keyframe that isn't part of the drag.
+function findSnapTime(time, excludeKeys) {
+    var rect = document.getElementById('timeline-track').getBoundingClientRect();
+    var threshold = SNAP_PX * getVisibleDuration() / rect.width;
+    var best = time;
+    var bestDist = threshold;
+
+    function consider(t) {
+        var d = Math.abs(t - time);
+        if (d < bestDist) { best = t; bestDist = d; }
+    }
+
+    var tick = getTickInterval();
+    var step = tick >= 2 ? tick / 2 : tick;
+    consider(Math.round(time / step) * step);
+    consider(currentTimelineTime);
+
+    var camKfs = scene.camera ? scene.camera.keyframes : [];
+    for (var i = 0; i < camKfs.length; i++) {
+        if (!excludeKeys[refKey({ index: i })]) consider(camKfs[i].time);
+    }
+    var ents = scene.entities || [];
+    for (var e = 0; e < ents.length; e++) {
+        var ekfs = ents[e].keyframes || [];
+        for (var k = 0; k < ekfs.length; k++) {
+            if (!excludeKeys[refKey({ entityId: ents[e].id, index: k })]) consider(ekfs[k].time);
+        }
+    }
+    var evs = scene.events || [];
+    for (var v = 0; v < evs.length; v++) {
+        if (!excludeKeys[refKey({ kind: 'event', index: v })]) consider(evs[v].time);
+    }
+    var cues = scene.overlays || [];
+    for (var o = 0; o < cues.length; o++) {
+        if (!excludeKeys[refKey({ kind: 'overlay', index: o })]) consider(cues[o].time);
+    }
+    var clips = scene.subScenes || [];
+    for (var c = 0; c < clips.length; c++) {
+        if (!excludeKeys[refKey({ kind: 'subScene', index: c })]) consider(clips[c].time);
+    }
+
+    return best;
+}
+
+function updateKfDrag(e) {
+    var rect = document.getElementById('timeline-track').getBoundingClientRect();
+    var dx = e.clientX - tlKfDrag.startX;
+    if (!tlKfDrag.moved && Math.abs(dx) < DRAG_THRESHOLD_PX) return;
+    tlKfDrag.moved = true;
+
+    var pxPerSecond = rect.width / getVisibleDuration();
+    var target = tlKfDrag.grabbedOrig + dx / pxPerSecond;
+
+    // Hold Alt to move freely
+    if (!e.altKey) {
+        var exclude = {};
+        tlKfDrag.refs.forEach(function(r) { exclude[refKey(r)] = true; });
+        target = findSnapTime(target, exclude);
+    }
+
+    // Keep the whole selection inside the scene
+    var delta = target - tlKfDrag.grabbedOrig;
+    var minOrig = Math.min.apply(null, tlKfDrag.origTimes);
+    var maxOrig = Math.max.apply(null, tlKfDrag.origTimes);
+    delta = Math.max(-minOrig, Math.min((scene.duration || 30) - maxOrig, delta));
+
+    // Preview locally; Lua owns the real data and replies with sceneUpdated
+    tlKfDrag.refs.forEach(function(r, i) {
+        var kf = getKeyframeByRef(r);
+        if (kf) kf.time = tlKfDrag.origTimes[i] + delta;
+    });
+    setTimeReadout(tlKfDrag.grabbedOrig + delta);
+    renderTimelineMarkers();
+}
+
+function cancelKfDrag() {
+    if (!tlKfDrag) return;
+    tlKfDrag.refs.forEach(function(r, i) {
+        var kf = getKeyframeByRef(r);
+        if (kf) kf.time = tlKfDrag.origTimes[i];
+    });
+    tlKfDrag = null;
+    renderTimeline();
+}
+
+function finishKfDrag() {
+    var drag = tlKfDrag;
+    tlKfDrag = null;
+    if (!drag.moved) return;
+
+    var changes = drag.refs.map(function(r) {
+        var kf = getKeyframeByRef(r);
+        return { ref: r, time: kf ? kf.time : 0 };
+    });
+
+    retimeKeyframes(changes, drag.snapshot).then(function(newRefs) {
+        if (!newRefs) return;
+        setTimelineSelection(newRefs);
+
+        // Keep the inspectors on the keyframes they were showing
+        var entKey = selectedEntityKf ? refKey(selectedEntityKf) : null;
+        var camKey = selectedCamKf !== null ? refKey({ index: selectedCamKf }) : null;
+        var evKey = selectedEvent !== null ? refKey({ kind: 'event', index: selectedEvent }) : null;
+        var ovlKey = selectedOverlay !== null ? refKey({ kind: 'overlay', index: selectedOverlay }) : null;
+        var subKey = selectedSubScene !== null ? refKey({ kind: 'subScene', index: selectedSubScene }) : null;
+        for (var i = 0; i < drag.refs.length; i++) {
+            var key = refKey(drag.refs[i]);
+            if (key === entKey) selectEntityKeyframe(newRefs[i].entityId, newRefs[i].index);
+            if (key === camKey) selectCameraKeyframe(newRefs[i].index, false);
+            if (key === evKey) selectEvent(newRefs[i].index);
+            if (key === ovlKey) selectOverlay(newRefs[i].index);
+            if (key === subKey) selectSubScene(newRefs[i].index);
+        }
+        updatePlayhead(currentTimelineTime, scene.duration);
+    });
+}
+
+// Commit new times for a set of markers ([{ ref, time }]). A single one
+// goes through its regular update callback; several go through one batch
+// so the Lua re-sort can't shift indices between calls. Resolves to the
+// refs at their new (re-sorted) indices, or null on failure.
+function retimeKeyframes(changes, before) {
+    function toPayload(c) {
+        var p = { index: c.ref.index + 1, time: c.time };
+        if (c.ref.entityId) p.entityId = c.ref.entityId;
+        if (c.ref.kind) p.kind = c.ref.kind;
+        return p;
+    }
+
+    if (changes.length === 1) {
+        var c = changes[0];
+        var name = 'director:updateCameraKeyframe';
+        if (c.ref.kind === 'event') name = 'director:updateEvent';
+        else if (c.ref.kind === 'overlay') name = 'director:updateOverlay';
+        else if (c.ref.kind === 'subScene') name = 'director:updateSubScene';
+        else if (c.ref.entityId) name = 'director:updateEntityKeyframe';
+
+        return editNui(name, toPayload(c), 'Retime keyframe', before).then(function(r) {
+            if (!r.ok) { toast(r.message || 'Retime failed', 'error'); return null; }
+            return [refWithIndex(c.ref, (r.index || c.ref.index + 1) - 1)];
+        });
+    }
+
+    return editNui('director:retimeKeyframes', { changes: changes.map(toPayload) }, 'Retime keyframes', before).then(function(r) {
+        if (!r.ok) { toast(r.message || 'Retime failed', 'error'); return null; }
+        return changes.map(function(c, i) {
+            return refWithIndex(c.ref, (r.indices[i] || c.ref.index + 1) - 1);
+        });
+    });
 }
 
+// --- Box select (Shift + drag on empty track) ---
+
+var tlBoxSelect = null; // { startX, startY, additive: [] }
+
+function updateBoxSelect(e) {
+    var trackRect = document.getElementById('timeline-track').getBoundingClientRect();
+    var x1 = Math.min(tlBoxSelect.startX, e.clientX);
+    var x2 = Math.max(tlBoxSelect.startX, e.clientX);
+    var y1 = Math.min(tlBoxSelect.startY, e.clientY);
+    var y2 = Math.max(tlBoxSelect.startY, e.clientY);
+
+    var box = document.getElementById('tl-select-box');
+    box.classList.remove('hidden');
+    box.style.left = (x1 - trackRect.left) + 'px';
+    box.style.top = (y1 - trackRect.top) + 'px';
+    box.style.width = (x2 - x1) + 'px';
+    box.style.height = (y2 - y1) + 'px';
+
+    var refs = tlBoxSelect.additive.slice();
+    var markers = document.querySelectorAll('#timeline-markers .tl-marker');
+    for (var i = 0; i < markers.length; i++) {
+        var r = markers[i].getBoundingClientRect();
+        if (r.right >= x1 && r.left <= x2 && r.bottom >= y1 && r.top <= y2) {
+            var ref = refFromMarker(markers[i]);
+            var key = refKey(ref);
+            if (!refs.some(function(x) { return refKey(x) === key; })) refs.push(ref);
+        }
+    }
+    setTimelineSelection(refs);
+}
+
+function finishBoxSelect() {
+    tlBoxSelect = null;
+    document.getElementById('tl-select-box').classList.add('hidden');
+}
+
+// =========================================================================
+// TIMELINE — SCRUBBING & LOOP RANGE
+//
+// Dragging the playhead asks Lua to pose the scene at that time. During a
+// preview it seeks the playback instead. Only one scrub request is in
+// flight at a time; newer positions replace the pending one.
+// =========================================================================
+
+var tlScrubbing = false;
+var scrubInFlight = false;
+var scrubPending = null;
+var scrubDrivesCamera = true; // "Cam" toggle: scrubbing also moves the camera
+
+var loopEnabled = false;
+var loopRange = null;  // { start, end } in seconds, null = whole scene
+var tlLoopDrag = null; // { anchor }
+
+function mouseToTime(e) {
+    var rect = document.getElementById('timeline-track').getBoundingClientRect();
+    var pct = ((e.clientX - rect.left) / rect.width) * 100;
+    return Math.max(0, Math.min(scene.duration || 30, percentToTime(pct)));
+}
+
+function startScrub(e) {
+    tlScrubbing = true;
+    scrubToMouse(e);
+}
+
+function scrubToMouse(e) {
+    scrubTo(mouseToTime(e));
+}
+
+function scrubTo(time) {
+    if (recordState === 'recording') return;
+    // Jumps (keys, typed time, markers) follow the playhead; drags stay put
+    if (!tlScrubbing) revealTime(time);
+    currentTimelineTime = time;
+    updatePlayhead(time, scene.duration);
+    requestScrub(time);
+}
+
+function requestScrub(time) {
+    scrubPending = time;
+    if (scrubInFlight) return;
+
+    scrubInFlight = true;
+    var t = scrubPending;
+    scrubPending = null;
+
+    nui('director:scrub', { time: t, camera: scrubDrivesCamera }).then(function() {
+        scrubInFlight = false;
+        if (scrubPending !== null) requestScrub(scrubPending);
+    });
+}
+
+function updateLoopDrag(e) {
+    var t = mouseToTime(e);
+    loopRange = {
+        start: Math.min(tlLoopDrag.anchor, t),
+        end: Math.max(tlLoopDrag.anchor, t)
+    };
+    renderTimelineRuler();
+}
+
+function getLoopBounds() {
+    if (loopRange && loopRange.end - loopRange.start > 0.05) return loopRange;
+    return { start: 0, end: scene.duration || 30 };
+}
+
+function setLoopEnabled(state) {
+    loopEnabled = state;
+    document.getElementById('tl-loop-toggle').classList.toggle('active', state);
+}
+
+// --- Track mouse handling ---
+
 // Timeline drag to pan
 var tlDragging = false;
 var tlDragStartX = 0;
@@ -309,11 +865,14 @@ var tlDragStartOffset = 0;
 
 document.getElementById('timeline-track').addEventListener('mousedown', function(e) {
     if (e.button === 0) {
-        // Left click: set playhead time
-        var rect = this.getBoundingClientRect();
-        var pct = ((e.clientX - rect.left) / rect.width) * 100;
-        currentTimelineTime = Math.max(0, percentToTime(pct));
-        updatePlayhead(currentTimelineTime, scene.duration);
+        if (e.shiftKey) {
+            // Shift + drag: box select, adding to the current selection
+            tlBoxSelect = { startX: e.clientX, startY: e.clientY, additive: tlSelection.slice() };
+            return;
+        }
+        // Left click: clear selection, grab the playhead
+        if (tlSelection.length) setTimelineSelection([]);
+        startScrub(e);
     } else if (e.button === 2) {
         // Right click: start drag to pan
         e.preventDefault();
@@ -324,6 +883,12 @@ document.getElementById('timeline-track').addEventListener('mousedown', function
 });
 
 document.addEventListener('mousemove', function(e) {
+    if (tlKfDrag) { updateKfDrag(e); return; }
+    if (tlShotDrag) { updateShotDrag(e); return; }
+    if (tlBoxSelect) { updateBoxSelect(e); return; }
+    if (tlScrubbing) { scrubToMouse(e); return; }
+    if (tlLoopDrag) { updateLoopDrag(e); return; }
+    if (tlOverviewDrag) { updateOverviewDrag(e); return; }
     if (!tlDragging) return;
     var rect = document.getElementById('timeline-track').getBoundingClientRect();
     var dx = e.clientX - tlDragStartX;
@@ -334,16 +899,264 @@ document.addEventListener('mousemove', function(e) {
 });
 
 document.addEventListener('mouseup', function(e) {
+    if (e.button === 0 && tlKfDrag) finishKfDrag();
+    if (e.button === 0 && tlShotDrag) finishShotDrag(e);
+    if (e.button === 0 && tlBoxSelect) finishBoxSelect();
+    if (e.button === 0) { tlScrubbing = false; tlLoopDrag = null; tlOverviewDrag = null; }
     if (e.button === 2 && tlDragging) {
         tlDragging = false;
     }
 });
 
+// Ruler: drag to scrub, Shift + drag to set the loop range,
+// double-click to clear it
+document.getElementById('timeline-ruler').addEventListener('mousedown', function(e) {
+    if (e.button !== 0) return;
+    if (e.shiftKey) {
+        var t = mouseToTime(e);
+        tlLoopDrag = { anchor: t };
+        loopRange = { start: t, end: t };
+        renderTimelineRuler();
+        return;
+    }
+    startScrub(e);
+});
+
+document.getElementById('timeline-ruler').addEventListener('dblclick', function() {
+    loopRange = null;
+    renderTimelineRuler();
+});
+
 // Prevent context menu on timeline
 document.getElementById('timeline-track').addEventListener('contextmenu', function(e) {
     e.preventDefault();
 });
 
+// =========================================================================
+// TIMELINE — NAVIGATION
+//
+// Overview strip: the whole scene at a glance, with the visible window as
+// a box that can be dragged (or click anywhere to centre it there). Zoom
+// to fit / to selection and the typed playhead time live here too.
+// =========================================================================
+
+var tlOverviewDrag = null;  // { startX, startOffset }
+
+var OVERVIEW_COLORS = {
+    cam: '#c9a84c',
+    entity: '#6a9fd8',
+    event: '#5a9a5a',
+    overlay: '#d8d2c4',
+    marker: '#d8895a'
+};
+
+function renderOverview() {
+    var canvas = document.getElementById('tl-overview-canvas');
+    var w = canvas.width = canvas.clientWidth;
+    var h = canvas.height = canvas.clientHeight;
+    var ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, w, h);
+    if (!w) return;
+
+    var dur = scene.duration || 30;
+    function x(t) { return Math.round((t / dur) * w) + 0.5; }
+
+    // Shots as faint bands behind everything
+    var shots = getShots();
+    var ranges = getDisplayShotRanges(shots);
+    for (var s = 0; s < shots.length; s++) {
+        ctx.globalAlpha = 0.18;
+        ctx.fillStyle = shots[s].color || OVERVIEW_COLORS.cam;
+        ctx.fillRect(x(ranges[s].start), 0, x(ranges[s].finish) - x(ranges[s].start), h);
+    }
+    ctx.globalAlpha = 1;
+
+    // One row per kind: camera, entities, events + overlay cues
+    function ticks(times, color, row) {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        times.forEach(function(t) {
+            ctx.moveTo(x(t), 2 + row * (h - 4) / 3);
+            ctx.lineTo(x(t), 2 + (row + 1) * (h - 4) / 3);
+        });
+        ctx.stroke();
+    }
+    ticks((scene.camera ? scene.camera.keyframes : []).map(function(kf) { return kf.time; }), OVERVIEW_COLORS.cam, 0);
+    var entTimes = [];
+    (scene.entities || []).forEach(function(ent) {
+        (ent.keyframes || []).forEach(function(kf) { entTimes.push(kf.time); });
+    });
+    ticks(entTimes, OVERVIEW_COLORS.entity, 1);
+    ticks((scene.events || []).map(function(ev) { return ev.time; }), OVERVIEW_COLORS.event, 2);
+    ticks((scene.overlays || []).map(function(cue) { return cue.time; }), OVERVIEW_COLORS.overlay, 2);
+
+    // Markers run the full height
+    ctx.strokeStyle = OVERVIEW_COLORS.marker;
+    ctx.fillStyle = OVERVIEW_COLORS.marker;
+    (scene.markers || []).forEach(function(marker) {
+        var mx = x(marker.time);
+        ctx.beginPath();
+        ctx.moveTo(mx, 0);
+        ctx.lineTo(mx, h);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(mx, 0);
+        ctx.lineTo(mx + 5, 0);
+        ctx.lineTo(mx, 5);
+        ctx.fill();
+    });
+
+    updateOverviewWindow();
+}
+
+function updateOverviewWindow() {
+    var dur = scene.duration || 30;
+    var box = document.getElementById('tl-overview-window');
+    box.style.left = (tlScrollOffset / dur) * 100 + '%';
+    box.style.width = Math.min(100, (getVisibleDuration() / dur) * 100) + '%';
+    box.classList.toggle('full', tlZoom <= MIN_ZOOM);
+}
+
+function updateOverviewPlayhead(time) {
+    var pct = (time / (scene.duration || 30)) * 100;
+    document.getElementById('tl-overview-playhead').style.left = Math.max(0, Math.min(100, pct)) + '%';
+}
+
+function updateOverviewDrag(e) {
+    var rect = document.getElementById('timeline-overview').getBoundingClientRect();
+    var dx = e.clientX - tlOverviewDrag.startX;
+    tlScrollOffset = tlOverviewDrag.startOffset + (dx / rect.width) * (scene.duration || 30);
+    clampTimelineOffset();
+    renderTimeline();
+}
+
+document.getElementById('timeline-overview').addEventListener('mousedown', function(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+
+    // Outside the box: centre the view on the click, then drag from there
+    if (e.target.id !== 'tl-overview-window') {
+        var rect = this.getBoundingClientRect();
+        var t = ((e.clientX - rect.left) / rect.width) * (scene.duration || 30);
+        tlScrollOffset = t - getVisibleDuration() / 2;
+        clampTimelineOffset();
+        renderTimeline();
+    }
+    tlOverviewDrag = { startX: e.clientX, startOffset: tlScrollOffset };
+});
+
+document.getElementById('timeline-overview').addEventListener('dblclick', zoomToFit);
+
+// --- Zoom commands ---
+
+// Show [start, end] with a little room either side
+function zoomToRange(start, end) {
+    var dur = scene.duration || 30;
+    var pad = Math.max((end - start) * 0.05, 0.1);
+    tlZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, dur / (end - start + pad * 2)));
+    tlScrollOffset = (start + end) / 2 - getVisibleDuration() / 2;
+    clampTimelineOffset();
+    renderTimeline();
+}
+
+function zoomToFit() {
+    tlZoom = MIN_ZOOM;
+    tlScrollOffset = 0;
+    renderTimeline();
+}
+
+// Time span of what is selected: timeline markers first, then the open
+// shot, entity or marker, then the loop range. null when nothing is.
+function getSelectionTimeRange() {
+    var start = Infinity, end = -Infinity;
+    function add(t0, t1) {
+        start = Math.min(start, t0);
+        end = Math.max(end, t1 === undefined ? t0 : t1);
+    }
+
+    tlSelection.forEach(function(ref) {
+        var item = getKeyframeByRef(ref);
+        if (!item) return;
+        var span = 0;
+        if (ref.kind === 'overlay') span = item.duration || 0;
+        else if (ref.kind === 'subScene') span = getSubSceneLength(item) || 0;
+        add(item.time, item.time + span);
+    });
+    if (start !== Infinity) return { start: start, end: end };
+
+    if (selectedShot !== null && getShots()[selectedShot]) {
+        var range = getDisplayShotRanges(getShots())[selectedShot];
+        return { start: range.start, end: range.finish };
+    }
+
+    var ent = selectedEntityId ? getEntityById(selectedEntityId) : null;
+    if (ent && ent.keyframes.length) {
+        ent.keyframes.forEach(function(kf) { add(kf.time); });
+        return { start: start, end: end };
+    }
+
+    var marker = selectedMarker !== null ? (scene.markers || [])[selectedMarker] : null;
+    if (marker) return { start: marker.time, end: marker.time };
+
+    return loopRange && loopRange.end > loopRange.start ? { start: loopRange.start, end: loopRange.end } : null;
+}
+
+function zoomToSelection() {
+    var range = getSelectionTimeRange();
+    if (!range) { toast('Select keyframes, a shot or an entity to zoom to'); return; }
+
+    // A single point gets a couple of seconds around it
+    if (range.end - range.start < 1) {
+        var mid = (range.start + range.end) / 2;
+        range = { start: mid - 1, end: mid + 1 };
+    }
+    zoomToRange(range.start, range.end);
+}
+
+// Scroll just enough to bring `time` into view (centred if it was off-screen)
+function revealTime(time) {
+    var vis = getVisibleDuration();
+    if (time >= tlScrollOffset && time <= tlScrollOffset + vis) return;
+    tlScrollOffset = time - vis / 2;
+    clampTimelineOffset();
+    renderTimeline();
+}
+
+// --- Typed playhead time ---
+
+// "83.5", "83.5s", "1:23.5" → seconds, or null
+function parseTimeInput(text) {
+    var m = /^\s*(?:(\d+):)?(\d+(?:\.\d*)?|\.\d+)\s*s?\s*$/.exec(text);
+    if (!m) return null;
+    var seconds = parseFloat(m[2]);
+    if (m[1] !== undefined) {
+        if (seconds >= 60) return null;
+        seconds += parseInt(m[1], 10) * 60;
+    }
+    return seconds;
+}
+
+function setTimeReadout(time) {
+    var input = document.getElementById('tl-time');
+    if (document.activeElement !== input) input.value = formatTime(time);
+}
+
+function onTimeInputKey(e) {
+    // Keep Enter / Escape / arrows away from the global editor shortcuts
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+        var t = parseTimeInput(this.value);
+        if (t === null) {
+            toast('Type a time like 83.5 or 1:23.5', 'error');
+            return;
+        }
+        this.blur();
+        scrubTo(Math.min(t, scene.duration || 30));
+    } else if (e.key === 'Escape') {
+        this.blur();
+    }
+}
+
 // =========================================================================
 // CAMERA KEYFRAMES (RIGHT PANEL)
 // =========================================================================
@@ -361,10 +1174,15 @@ function renderCamKeyframes() {
     for (var i = 0; i < kfs.length; i++) {
         var kf = kfs[i];
         var item = document.createElement('div');
-        item.className = 'list-item';
+        item.className = 'list-item' + (isTimelineSelected({ index: i }) ? ' selected' : '');
+        var target = kf.target
+            ? '<span class="item-badge target-' + kf.target.mode + '" title="' + esc(describeCamTarget(kf.target)) + '">' +
+                (kf.target.mode === 'follow' ? 'follow' : 'look') + '</span>'
+            : '';
         item.innerHTML =
             '<span class="item-time">' + formatTime(kf.time) + '</span>' +
             '<span class="item-label">fov ' + (kf.fov || 50).toFixed(0) + ' · ' + (kf.easing || 'linear') + '</span>' +
+            target +
             '<span class="item-delete" data-idx="' + i + '">×</span>';
         item.setAttribute('data-idx', i);
         item.onclick = onCamKfClick;
@@ -375,139 +1193,4236 @@ function renderCamKeyframes() {
 function onCamKfClick(e) {
     if (e.target.classList.contains('item-delete')) {
         var idx = parseInt(e.target.getAttribute('data-idx'));
-        nui('director:deleteCameraKeyframe', { index: idx + 1 });
+        if (selectedCamKf === idx) selectCameraKeyframe(null);
+        editNui('director:deleteCameraKeyframe', { index: idx + 1 }, 'Delete camera keyframe');
         return;
     }
-    var idx = parseInt(this.getAttribute('data-idx'));
-    nui('director:gotoCameraKeyframe', { index: idx + 1 });
+    selectCameraKeyframe(parseInt(this.getAttribute('data-idx')), true);
 }
 
 // =========================================================================
-// ENTITY LIST (LEFT PANEL)
+// CAMERA SHOTS
+//
+// Shots split the camera track into back-to-back named ranges (format in
+// cl_camera.lua, SHOTS). Lua owns the edits; blocks on the timeline can
+// be dragged onto another shot to reorder, which carries their camera
+// keyframes along.
 // =========================================================================
 
-function renderEntityList() {
-    var list = document.getElementById('entity-list');
-    var ents = scene.entities || [];
+var selectedShot = null;    // 0-based
+var tlShotDrag = null;      // { index, startX, moved }
+
+function getShots() {
+    return scene.camera ? scene.camera.shots || [] : [];
+}
+
+// Ranges as drawn: the last shot ends at the scene end
+function getDisplayShotRanges(shots) {
+    var ranges = getShotRanges(shots);
+    if (ranges.length) ranges[ranges.length - 1].finish = Math.max(ranges[ranges.length - 1].start, scene.duration || 30);
+    return ranges;
+}
+
+function renderShotLane(shots) {
+    var lane = createTimelineLane('Shots', 'shot');
+    var ranges = getDisplayShotRanges(shots);
+
+    for (var i = 0; i < shots.length; i++) {
+        var left = timeToPercent(ranges[i].start);
+        var right = timeToPercent(ranges[i].finish);
+        if (right < 0 || left > 100) continue;
+
+        var block = document.createElement('div');
+        block.className = 'tl-shot' + (selectedShot === i ? ' selected' : '');
+        if (i > 0 && shots[i].transition === 'crossfade') block.classList.add('crossfade');
+        block.style.left = left + '%';
+        block.style.width = Math.max(0, right - left) + '%';
+        block.style.setProperty('--shot-color', shots[i].color || '#c9a84c');
+        block.title = shots[i].name + ' · ' + (ranges[i].finish - ranges[i].start).toFixed(1) + 's' +
+            (i > 0 ? ' · ' + (shots[i].transition || 'cut') + ' in' : '');
+        block.textContent = shots[i].name;
+        block.setAttribute('data-idx', i);
+        block.onmousedown = onShotBlockDown;
+        lane.appendChild(block);
+    }
+    return lane;
+}
+
+function onShotBlockDown(e) {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    var index = parseInt(this.getAttribute('data-idx'));
+    selectShot(index);
+    tlShotDrag = { index: index, startX: e.clientX, moved: false };
+}
+
+function updateShotDrag(e) {
+    if (!tlShotDrag.moved && Math.abs(e.clientX - tlShotDrag.startX) < DRAG_THRESHOLD_PX) return;
+    tlShotDrag.moved = true;
+
+    // Highlight the shot it would swap places with
+    var target = shotIndexAt(getShotRanges(getShots()), mouseToTime(e));
+    var blocks = document.querySelectorAll('.tl-shot');
+    for (var i = 0; i < blocks.length; i++) {
+        blocks[i].classList.toggle('drop-target', parseInt(blocks[i].getAttribute('data-idx')) === target && target !== tlShotDrag.index);
+    }
+}
+
+function finishShotDrag(e) {
+    var drag = tlShotDrag;
+    tlShotDrag = null;
+    if (!drag.moved) return;
+
+    var to = shotIndexAt(getShotRanges(getShots()), mouseToTime(e));
+    if (to === drag.index) { renderTimelineMarkers(); return; }
+    moveShot(drag.index, to);
+}
+
+function moveShot(index, to) {
+    var shots = getShots();
+    if (to < 0 || to >= shots.length || to === index) return;
+    editNui('director:moveShot', { index: index + 1, to: to + 1 }, 'Reorder shots').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Reorder failed', 'error'); return; }
+        selectShot(r.index - 1);
+    });
+}
+
+function renderShotList() {
+    var list = document.getElementById('shot-list');
+    var shots = getShots();
     list.innerHTML = '';
 
-    if (ents.length === 0) {
-        list.innerHTML = '<div class="empty-hint">No entities. Click + to add.</div>';
+    if (shots.length === 0) {
+        list.innerHTML = '<div class="empty-hint">One continuous shot. + Shot cuts at the playhead.</div>';
         return;
     }
 
-    for (var i = 0; i < ents.length; i++) {
-        var ent = ents[i];
+    var ranges = getDisplayShotRanges(shots);
+    for (var i = 0; i < shots.length; i++) {
         var item = document.createElement('div');
-        item.className = 'list-item' + (ent.id === selectedEntityId ? ' selected' : '');
+        item.className = 'list-item' + (selectedShot === i ? ' selected' : '');
         item.innerHTML =
-            '<span class="item-label">' + esc(ent.id) + '</span>' +
-            '<span class="item-badge">' + ent.type + '</span>' +
-            '<span class="item-delete" data-id="' + esc(ent.id) + '">×</span>';
-        item.setAttribute('data-id', ent.id);
-        item.onclick = onEntityClick;
+            '<span class="shot-swatch" style="background:' + esc(shots[i].color || '#c9a84c') + '"></span>' +
+            '<span class="item-label">' + esc(shots[i].name) + '</span>' +
+            '<span class="item-time">' + (ranges[i].finish - ranges[i].start).toFixed(1) + 's</span>' +
+            (i > 0 ? '<span class="item-badge">' + (shots[i].transition === 'crossfade' ? 'xfade' : 'cut') + '</span>' : '') +
+            '<span class="item-move" data-dir="-1" title="Move earlier">&#9652;</span>' +
+            '<span class="item-move" data-dir="1" title="Move later">&#9662;</span>' +
+            '<span class="item-delete" title="Remove (merges into its neighbour)">×</span>';
+        item.setAttribute('data-idx', i);
+        item.onclick = onShotItemClick;
         list.appendChild(item);
     }
-}
+}
+
+function onShotItemClick(e) {
+    var index = parseInt(this.getAttribute('data-idx'));
+    if (e.target.classList.contains('item-delete')) {
+        if (selectedShot === index) selectShot(null);
+        editNui('director:deleteShot', { index: index + 1 }, 'Delete shot');
+        return;
+    }
+    if (e.target.classList.contains('item-move')) {
+        moveShot(index, index + parseInt(e.target.getAttribute('data-dir')));
+        return;
+    }
+    selectShot(index);
+}
+
+function selectShot(index) {
+    var shots = getShots();
+    selectedShot = (index !== null && shots[index]) ? index : null;
+    document.getElementById('shot-form').classList.toggle('hidden', selectedShot === null);
+    if (selectedShot !== null) fillShotForm(selectedShot);
+    renderShotList();
+    renderTimelineMarkers();
+}
+
+function refreshShotSelection() {
+    if (selectedShot === null) return;
+    if (!getShots()[selectedShot]) {
+        selectedShot = null;
+        document.getElementById('shot-form').classList.add('hidden');
+    } else {
+        fillShotForm(selectedShot);
+    }
+}
+
+function fillShotForm(index) {
+    var shot = getShots()[index];
+    var range = getDisplayShotRanges(getShots())[index];
+    document.getElementById('shot-name').value = shot.name || '';
+    document.getElementById('shot-duration').value = (range.finish - range.start).toFixed(2);
+    document.getElementById('shot-transition').value = shot.transition || 'cut';
+    document.getElementById('shot-fade').value = (shot.fade || 0.5).toFixed(2);
+    document.getElementById('shot-color').value = shot.color || '#c9a84c';
+
+    // The first shot has nothing to transition from
+    document.getElementById('shot-transition-row').classList.toggle('hidden', index === 0);
+    syncShotFadeField();
+}
+
+function syncShotFadeField() {
+    var show = selectedShot > 0 && document.getElementById('shot-transition').value === 'crossfade';
+    document.getElementById('shot-fade-row').classList.toggle('hidden', !show);
+}
+
+function applyShotForm() {
+    if (selectedShot === null) return;
+    var data = {
+        index: selectedShot + 1,
+        name: document.getElementById('shot-name').value.trim() || 'Shot ' + (selectedShot + 1),
+        duration: Math.max(0.1, parseFloat(document.getElementById('shot-duration').value) || 0.1),
+        transition: document.getElementById('shot-transition').value,
+        fade: Math.max(0, parseFloat(document.getElementById('shot-fade').value) || 0),
+        color: document.getElementById('shot-color').value
+    };
+    editNui('director:updateShot', data, 'Edit shot').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        toast('Shot updated', 'success');
+    });
+}
+
+function addShotAtPlayhead() {
+    editNui('director:addShot', { time: currentTimelineTime }, 'Add shot').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        selectShot(r.index - 1);
+    });
+}
+
+// =========================================================================
+// CAMERA RECORDING
+//
+// Record runs the scene from the playhead (or through the loop range)
+// without the scripted camera while the user flies the free cam; Lua
+// samples the pose (cl_editor.lua, CAMERA RECORDING) and sends back the
+// raw take. It is simplified here, shown on the camera lane, and only
+// written to the scene when kept.
+// =========================================================================
+
+var REC_PREROLL = 3;      // countdown (s) to get a hand on the camera
+
+var recordState = 'idle'; // 'idle' | 'countdown' | 'recording'
+var recordStart = 0;
+var recordCountdown = null;
+var recordTake = null;    // { start, finish, samples, keyframes }
+
+function toggleRecording() {
+    if (recordState === 'countdown') { cancelCountdown(); return; }
+    if (recordState === 'recording') { nui('director:stopRecording', {}); return; }
+    if (isPreviewPlaying) return;
+    if (recordTake) { toast('Keep or discard the last take first', 'error'); return; }
+
+    recordStart = currentTimelineTime;
+    var end = null;
+    if (loopEnabled) {
+        var bounds = getLoopBounds();
+        if (recordStart < bounds.start || recordStart >= bounds.end) recordStart = bounds.start;
+        end = bounds.end;
+    }
+
+    var left = REC_PREROLL;
+    recordState = 'countdown';
+    setRecordButton(left + '…');
+    recordCountdown = setInterval(function() {
+        left--;
+        if (left > 0) { setRecordButton(left + '…'); return; }
+        clearInterval(recordCountdown);
+        recordCountdown = null;
+        beginRecording(end);
+    }, 1000);
+}
+
+function cancelCountdown() {
+    clearInterval(recordCountdown);
+    recordCountdown = null;
+    recordState = 'idle';
+    setRecordButton(null);
+}
+
+function beginRecording(end) {
+    var data = { startTime: recordStart };
+    if (end !== null) data.endTime = end;
+
+    nui('director:startRecording', data).then(function(r) {
+        if (!r.ok) {
+            recordState = 'idle';
+            setRecordButton(null);
+            toast(r.message || 'Could not start recording', 'error');
+            return;
+        }
+        recordState = 'recording';
+        setRecordButton('&#9632; Stop');
+        renderTimelineMarkers();
+    });
+}
+
+function setRecordButton(label) {
+    var btn = document.getElementById('tl-rec-toggle');
+    btn.innerHTML = label || '&#9679; Rec';
+    btn.classList.toggle('recording', label !== null);
+}
+
+function onRecordingFinished(d) {
+    recordState = 'idle';
+    setRecordButton(null);
+    updatePlayhead(recordStart, scene.duration);
+
+    var samples = d.samples || [];
+    if (samples.length < 2) {
+        toast('Take too short', 'error');
+        renderTimelineMarkers();
+        return;
+    }
+
+    recordTake = { start: d.start, finish: d.finish, samples: samples, keyframes: [] };
+    document.getElementById('take-bar').classList.remove('hidden');
+    simplifyTake();
+    syncTimelineHeight();
+}
+
+// How far a sample strays from the straight line between two kept ones,
+// as a multiple of the tolerance (> 1 = must keep more keyframes)
+function takeDeviation(a, b, sample, posTol, rotTol) {
+    var t = (sample.time - a.time) / ((b.time - a.time) || 1);
+    var dx = sample.pos.x - lerp(a.pos.x, b.pos.x, t);
+    var dy = sample.pos.y - lerp(a.pos.y, b.pos.y, t);
+    var dz = sample.pos.z - lerp(a.pos.z, b.pos.z, t);
+    var worst = Math.sqrt(dx * dx + dy * dy + dz * dz) / posTol;
+
+    ['x', 'y', 'z'].forEach(function(axis) {
+        var d = sample.rot[axis] - lerpAngle(a.rot[axis], b.rot[axis], t);
+        d = ((d % 360) + 540) % 360 - 180;
+        worst = Math.max(worst, Math.abs(d) / rotTol);
+    });
+    // FOV counts in degrees, like rotation
+    return Math.max(worst, Math.abs(sample.fov - lerp(a.fov, b.fov, t)) / rotTol);
+}
+
+// Ramer–Douglas–Peucker over the sample times: keep the endpoints, then
+// split at the worst sample until every one is within tolerance.
+function simplifySamples(samples, posTol, rotTol) {
+    var keep = [0, samples.length - 1];
+    var stack = [[0, samples.length - 1]];
+
+    while (stack.length) {
+        var span = stack.pop();
+        var worst = 1, worstIdx = -1;
+        for (var i = span[0] + 1; i < span[1]; i++) {
+            var dev = takeDeviation(samples[span[0]], samples[span[1]], samples[i], posTol, rotTol);
+            if (dev > worst) { worst = dev; worstIdx = i; }
+        }
+        if (worstIdx < 0) continue;
+        keep.push(worstIdx);
+        stack.push([span[0], worstIdx], [worstIdx, span[1]]);
+    }
+
+    keep.sort(function(a, b) { return a - b; });
+    return keep.map(function(i) { return samples[i]; });
+}
+
+function simplifyTake() {
+    if (!recordTake) return;
+    var posTol = Math.max(0.001, parseFloat(document.getElementById('take-pos-tol').value) || 0.05);
+    var rotTol = Math.max(0.01, parseFloat(document.getElementById('take-rot-tol').value) || 1);
+    recordTake.keyframes = simplifySamples(recordTake.samples, posTol, rotTol);
+
+    var replaced = (scene.camera.keyframes || []).filter(function(kf) {
+        return kf.time >= recordTake.start - 0.001 && kf.time <= recordTake.finish + 0.001;
+    }).length;
+
+    document.getElementById('take-summary').textContent =
+        formatTime(recordTake.start) + '–' + formatTime(recordTake.finish) + ' · ' +
+        recordTake.samples.length + ' samples → ' + recordTake.keyframes.length + ' keyframes' +
+        (replaced ? ' (replaces ' + replaced + ')' : '');
+    renderTimelineMarkers();
+}
+
+function keepTake() {
+    if (!recordTake) return;
+    var take = recordTake;
+    var data = {
+        start: take.start,
+        finish: take.finish,
+        keyframes: take.keyframes.map(function(kf) {
+            return { time: kf.time, pos: kf.pos, rot: kf.rot, fov: kf.fov };
+        })
+    };
+    editNui('director:applyRecording', data, 'Record camera take').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed to keep take', 'error'); return; }
+        discardTake();
+        toast('Take kept: ' + r.count + ' keyframes', 'success');
+    });
+}
+
+function discardTake() {
+    recordTake = null;
+    document.getElementById('take-bar').classList.add('hidden');
+    renderTimelineMarkers();
+}
+
+function updateLiveTake() {
+    var band = document.querySelector('.tl-take.live');
+    if (!band) { renderTimelineMarkers(); return; }
+    band.style.width = Math.max(0, timeToPercent(currentTimelineTime) - timeToPercent(recordStart)) + '%';
+}
+
+// Recorded range (live while recording) and the keyframes a take would add
+function renderTakeRange(lane) {
+    var start, finish;
+    if (recordState === 'recording') {
+        start = recordStart;
+        finish = currentTimelineTime;
+    } else if (recordTake) {
+        start = recordTake.start;
+        finish = recordTake.finish;
+    } else {
+        return;
+    }
+
+    var band = document.createElement('div');
+    band.className = 'tl-take' + (recordState === 'recording' ? ' live' : '');
+    band.style.left = timeToPercent(start) + '%';
+    band.style.width = Math.max(0, timeToPercent(finish) - timeToPercent(start)) + '%';
+    lane.appendChild(band);
+
+    if (!recordTake) return;
+    recordTake.keyframes.forEach(function(kf) {
+        var pct = timeToPercent(kf.time);
+        if (pct < -2 || pct > 102) return;
+        var tick = document.createElement('div');
+        tick.className = 'tl-take-kf';
+        tick.style.left = pct + '%';
+        lane.appendChild(tick);
+    });
+}
+
+// =========================================================================
+// CAMERA KEYFRAME INSPECTOR
+// =========================================================================
+
+// Easing names supported by cl_camera.lua (sent with openEditor)
+var easingNames = ['linear', 'ease-in', 'ease-out', 'ease-in-out'];
+
+// Index (0-based) of the camera keyframe shown in the inspector
+var selectedCamKf = null;
+
+function setEasingNames(names) {
+    if (names && names.length) easingNames = names;
+
+    var selects = [document.getElementById('ckf-easing'), document.getElementById('cam-default-easing')];
+    for (var s = 0; s < selects.length; s++) {
+        var current = selects[s].value;
+        selects[s].innerHTML = '';
+        for (var i = 0; i < easingNames.length; i++) {
+            var opt = document.createElement('option');
+            opt.value = easingNames[i];
+            opt.textContent = easingNames[i];
+            selects[s].appendChild(opt);
+        }
+        if (easingNames.indexOf(current) !== -1) selects[s].value = current;
+        else if (easingNames.indexOf('ease-in-out') !== -1) selects[s].value = 'ease-in-out';
+    }
+}
+
+// Capture the free cam as a new keyframe at the playhead and select it
+function addCameraKeyframeAtPlayhead() {
+    var easing = document.getElementById('cam-default-easing').value || 'linear';
+    editNui('director:addCameraKeyframe', { time: currentTimelineTime, easing: easing }, 'Add camera keyframe').then(function(r) {
+        if (!r.ok) return;
+        var kfs = scene.camera.keyframes;
+        for (var i = 0; i < kfs.length; i++) {
+            if (kfs[i].time === r.keyframe.time) { selectCameraKeyframe(i, false); break; }
+        }
+    });
+}
+
+// Select a camera keyframe for the inspector. `jump` also snaps the
+// free cam to it. Passing null closes the inspector.
+function selectCameraKeyframe(index, jump) {
+    var kfs = scene.camera ? scene.camera.keyframes : [];
+    if (index === null || !kfs[index]) {
+        selectedCamKf = null;
+        document.getElementById('cam-kf-form').classList.add('hidden');
+        renderCamKeyframes();
+        return;
+    }
+
+    selectedCamKf = index;
+    if (!isTimelineSelected({ index: index })) tlSelection = [{ index: index }];
+    fillCamKfForm(kfs[index]);
+    document.getElementById('cam-kf-form').classList.remove('hidden');
+    renderCamKeyframes();
+    renderTimelineMarkers();
+
+    if (jump) nui('director:gotoCameraKeyframe', { index: index + 1 });
+}
+
+// Inspectors refill on every sceneUpdated; leave the field being typed in alone
+function setFieldValue(id, value) {
+    var input = document.getElementById(id);
+    if (document.activeElement !== input) input.value = value;
+}
+
+function fillCamKfForm(kf) {
+    var pos = kf.pos || { x: 0, y: 0, z: 0 };
+    var rot = kf.rot || { x: 0, y: 0, z: 0 };
+
+    setFieldValue('ckf-time', kf.time.toFixed(2));
+    setFieldValue('ckf-fov', (kf.fov || 50).toFixed(1));
+    setFieldValue('ckf-easing', kf.easing || 'linear');
+    setFieldValue('ckf-pos-x', pos.x.toFixed(2));
+    setFieldValue('ckf-pos-y', pos.y.toFixed(2));
+    setFieldValue('ckf-pos-z', pos.z.toFixed(2));
+    setFieldValue('ckf-rot-x', rot.x.toFixed(2));
+    setFieldValue('ckf-rot-y', rot.y.toFixed(2));
+    setFieldValue('ckf-rot-z', rot.z.toFixed(2));
+
+    bezierDraft = (kf.bezier && kf.bezier.length === 4) ? kf.bezier.slice() : DEFAULT_BEZIER.slice();
+    syncBezierEditor();
+    fillCamTargetFields(kf.target);
+}
+
+// Re-read the inspector after Lua replaced the scene
+function refreshCamKfSelection() {
+    if (selectedCamKf === null) return;
+    var kfs = scene.camera ? scene.camera.keyframes : [];
+    if (!kfs[selectedCamKf]) {
+        selectedCamKf = null;
+        document.getElementById('cam-kf-form').classList.add('hidden');
+    } else {
+        fillCamKfForm(kfs[selectedCamKf]);
+    }
+}
+
+function readVec3(prefix) {
+    return {
+        x: parseFloat(document.getElementById(prefix + '-x').value) || 0,
+        y: parseFloat(document.getElementById(prefix + '-y').value) || 0,
+        z: parseFloat(document.getElementById(prefix + '-z').value) || 0
+    };
+}
+
+function applyCamKfForm(fromCamera) {
+    if (selectedCamKf === null) return;
+
+    var data = { index: selectedCamKf + 1 };
+    data.time = Math.max(0, parseFloat(document.getElementById('ckf-time').value) || 0);
+    data.easing = document.getElementById('ckf-easing').value;
+
+    if (fromCamera) {
+        data.fromCamera = true;
+    } else {
+        data.fov = Math.max(10, Math.min(120, parseFloat(document.getElementById('ckf-fov').value) || 50));
+        data.pos = readVec3('ckf-pos');
+        data.rot = readVec3('ckf-rot');
+        data.target = readCamTarget();
+    }
+    if (data.easing === 'cubic-bezier') data.bezier = bezierDraft.slice();
+
+    var label = fromCamera ? 'Replace camera keyframe' : 'Edit camera keyframe';
+    editNui('director:updateCameraKeyframe', data, label).then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        if (r.index) selectCameraKeyframe(r.index - 1, false);
+        toast(fromCamera ? 'Keyframe replaced with current camera' : 'Keyframe updated', 'success');
+    });
+}
+
+// Look-at / follow target fields. kf.target format is documented in
+// cl_camera.lua (CAMERA TARGETS); "none" is sent as false to clear it.
+function describeCamTarget(target) {
+    if (!target) return '';
+    var what = target.entityId
+        ? target.entityId
+        : (target.point ? target.point.x.toFixed(1) + ', ' + target.point.y.toFixed(1) + ', ' + target.point.z.toFixed(1) : '?');
+    return (target.mode === 'follow' ? 'Follow ' : 'Look at ') + what;
+}
+
+function fillCamTargetFields(target) {
+    var mode = target ? target.mode : 'none';
+    setFieldValue('ckf-target-mode', mode);
+    var entitySelect = document.getElementById('ckf-target-entity');
+    renderCamTargetEntities(document.activeElement === entitySelect ? undefined : (target ? (target.entityId || '') : ''));
+
+    var point = target && target.point;
+    var offset = target && target.offset;
+    ['x', 'y', 'z'].forEach(function(axis) {
+        setFieldValue('ckf-target-point-' + axis, point ? point[axis].toFixed(2) : '');
+        setFieldValue('ckf-target-offset-' + axis, offset ? offset[axis].toFixed(2) : '');
+    });
+    setFieldValue('ckf-target-height',
+        (target && typeof target.height === 'number' ? target.height : 0.6).toFixed(2));
+
+    syncCamTargetFields();
+}
+
+// Entity choices; follow needs an entity, look-at may aim at a world point
+function renderCamTargetEntities(selectedId) {
+    var select = document.getElementById('ckf-target-entity');
+    var mode = document.getElementById('ckf-target-mode').value;
+    var current = selectedId !== undefined ? selectedId : select.value;
+    var html = mode === 'follow' ? '' : '<option value="">(world point)</option>';
+    var found = !current;
+
+    (scene.entities || []).forEach(function(ent) {
+        if (ent.id === current) found = true;
+        html += '<option value="' + esc(ent.id) + '">' + esc(ent.id) + ' (' + esc(ent.model) + ')</option>';
+    });
+    // Keep a target on a deleted entity visible rather than silently retargeting
+    if (!found) html += '<option value="' + esc(current) + '">' + esc(current) + ' (missing)</option>';
+
+    select.innerHTML = html;
+    if (current) select.value = current;
+}
+
+function syncCamTargetFields() {
+    var mode = document.getElementById('ckf-target-mode').value;
+    var entityId = document.getElementById('ckf-target-entity').value;
+
+    document.getElementById('ckf-target-fields').classList.toggle('hidden', mode === 'none');
+    document.getElementById('ckf-target-point').classList.toggle('hidden', mode !== 'look_at' || !!entityId);
+    document.getElementById('ckf-target-offset').classList.toggle('hidden', mode !== 'follow');
+    document.getElementById('ckf-target-height-row').classList.toggle('hidden', !entityId);
+}
+
+function readCamTarget() {
+    var mode = document.getElementById('ckf-target-mode').value;
+    if (mode === 'none') return false;
+
+    var target = { mode: mode };
+    var entityId = document.getElementById('ckf-target-entity').value;
+    if (entityId) {
+        target.entityId = entityId;
+        target.height = parseFloat(document.getElementById('ckf-target-height').value) || 0;
+    } else {
+        target.point = readVec3('ckf-target-point');
+    }
+
+    // Blank offset: Lua keeps the camera where the keyframe already is
+    if (mode === 'follow') {
+        var blank = ['x', 'y', 'z'].some(function(axis) {
+            return document.getElementById('ckf-target-offset-' + axis).value.trim() === '';
+        });
+        if (!blank) target.offset = readVec3('ckf-target-offset');
+    }
+    return target;
+}
+
+// Aim point 5 m along the free cam's view direction
+function fillCamTargetPointFromCamera() {
+    nui('director:getCamState', {}).then(function(r) {
+        if (!r.ok) return;
+        var radX = r.rot.x * Math.PI / 180;
+        var radZ = r.rot.z * Math.PI / 180;
+        var dist = 5;
+        document.getElementById('ckf-target-point-x').value = (r.pos.x - Math.sin(radZ) * Math.cos(radX) * dist).toFixed(2);
+        document.getElementById('ckf-target-point-y').value = (r.pos.y + Math.cos(radZ) * Math.cos(radX) * dist).toFixed(2);
+        document.getElementById('ckf-target-point-z').value = (r.pos.z + Math.sin(radX) * dist).toFixed(2);
+    });
+}
+
+// =========================================================================
+// CAMERA EASINGS — mirror of the Easings table in cl_camera.lua
+//
+// The easing on a keyframe shapes the segment that ENDS at it. Keep these
+// in step with the Lua side so the graph shows what playback does.
+// =========================================================================
+
+var DEFAULT_BEZIER = [0.42, 0, 0.58, 1];
+
+function cubicBezier(x1, y1, x2, y2, x) {
+    function sample(a1, a2, s) {
+        var inv = 1 - s;
+        return 3 * inv * inv * s * a1 + 3 * inv * s * s * a2 + s * s * s;
+    }
+    function slope(a1, a2, s) {
+        var inv = 1 - s;
+        return 3 * inv * inv * a1 + 6 * inv * s * (a2 - a1) + 3 * s * s * (1 - a2);
+    }
+
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    var s = x;
+    for (var i = 0; i < 8; i++) {
+        var err = sample(x1, x2, s) - x;
+        if (Math.abs(err) < 1e-6) return sample(y1, y2, s);
+        var d = slope(x1, x2, s);
+        if (Math.abs(d) < 1e-6) break;
+        s = s - err / d;
+    }
+
+    var lo = 0, hi = 1;
+    s = x;
+    for (var j = 0; j < 30; j++) {
+        var v = sample(x1, x2, s);
+        if (Math.abs(v - x) < 1e-6) break;
+        if (v < x) lo = s; else hi = s;
+        s = (lo + hi) * 0.5;
+    }
+    return sample(y1, y2, s);
+}
+
+var EASINGS = {
+    'linear': function(t) { return t; },
+    'ease-in': function(t) { return t * t; },
+    'ease-out': function(t) { return t * (2 - t); },
+    'ease-in-out': function(t) {
+        return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+    },
+    'ease-in-cubic': function(t) { return t * t * t; },
+    'ease-out-cubic': function(t) {
+        var t1 = t - 1;
+        return t1 * t1 * t1 + 1;
+    },
+    'ease-in-out-cubic': function(t) {
+        if (t < 0.5) return 4 * t * t * t;
+        var t1 = 2 * t - 2;
+        return 0.5 * t1 * t1 * t1 + 1;
+    },
+    'cubic-bezier': function(t, kf) {
+        var b = (kf && kf.bezier && kf.bezier.length === 4) ? kf.bezier : DEFAULT_BEZIER;
+        return cubicBezier(b[0], b[1], b[2], b[3], t);
+    }
+};
+
+function lerp(a, b, t) { return a + (b - a) * t; }
+
+function lerpAngle(a, b, t) {
+    var diff = b - a;
+    while (diff > 180) diff -= 360;
+    while (diff < -180) diff += 360;
+    return a + diff * t;
+}
+
+// Same interpolation as DirectorCamera.Evaluate. Keyframes sorted by time.
+// Look-at / follow targets depend on live entity positions, so they are
+// not resolved here: the graph plots the stored pos/rot of those keyframes.
+function evaluateCamera(kfs, time) {
+    function pose(kf) {
+        return { pos: kf.pos, rot: kf.rot, fov: kf.fov || 50 };
+    }
+
+    if (time <= kfs[0].time || kfs.length === 1) return pose(kfs[0]);
+    if (time >= kfs[kfs.length - 1].time) return pose(kfs[kfs.length - 1]);
+
+    var prev = kfs[0], next = kfs[kfs.length - 1];
+    for (var i = 0; i < kfs.length - 1; i++) {
+        if (time >= kfs[i].time && time <= kfs[i + 1].time) {
+            prev = kfs[i];
+            next = kfs[i + 1];
+            break;
+        }
+    }
+
+    var segDur = next.time - prev.time;
+    var rawT = segDur > 0 ? (time - prev.time) / segDur : 1;
+    var easing = EASINGS[next.easing || 'linear'] || EASINGS.linear;
+    var t = easing(rawT, next);
+
+    return {
+        pos: {
+            x: lerp(prev.pos.x, next.pos.x, t),
+            y: lerp(prev.pos.y, next.pos.y, t),
+            z: lerp(prev.pos.z, next.pos.z, t)
+        },
+        rot: {
+            x: lerpAngle(prev.rot.x, next.rot.x, t),
+            y: lerpAngle(prev.rot.y, next.rot.y, t),
+            z: lerpAngle(prev.rot.z, next.rot.z, t)
+        },
+        fov: lerp(prev.fov || 50, next.fov || 50, t)
+    };
+}
+
+// Mirror of DirectorCamera.GetShotRanges / EvaluateTrack (cl_camera.lua,
+// SHOTS): no interpolation across shot boundaries, optional crossfade in.
+function getShotRanges(shots) {
+    var ranges = [];
+    var start = 0;
+    for (var i = 0; i < shots.length; i++) {
+        var finish = start + Math.max(0, shots[i].duration || 0);
+        if (i === shots.length - 1) finish = Infinity;
+        ranges.push({ start: start, finish: finish });
+        start = finish;
+    }
+    return ranges;
+}
+
+function shotIndexAt(ranges, time) {
+    for (var i = ranges.length - 1; i >= 0; i--) {
+        if (time >= ranges[i].start) return i;
+    }
+    return 0;
+}
+
+function keyframesInRange(kfs, range) {
+    return kfs.filter(function(kf) { return kf.time >= range.start && kf.time < range.finish; });
+}
+
+function evaluateCameraTrack(kfs, shots, time) {
+    if (!shots || shots.length === 0) return evaluateCamera(kfs, time);
+
+    var ranges = getShotRanges(shots);
+    var index = shotIndexAt(ranges, time);
+    var shotKfs = keyframesInRange(kfs, ranges[index]);
+    if (shotKfs.length === 0) return evaluateCamera(kfs, time);
+
+    var pose = evaluateCamera(shotKfs, time);
+    var shot = shots[index];
+    var into = time - ranges[index].start;
+    if (index > 0 && shot.transition === 'crossfade' && shot.fade > 0 && into < shot.fade) {
+        var prevKfs = keyframesInRange(kfs, ranges[index - 1]);
+        if (prevKfs.length > 0) {
+            var from = evaluateCamera(prevKfs, time);
+            var w = EASINGS['ease-in-out'](into / shot.fade);
+            pose = {
+                pos: {
+                    x: lerp(from.pos.x, pose.pos.x, w),
+                    y: lerp(from.pos.y, pose.pos.y, w),
+                    z: lerp(from.pos.z, pose.pos.z, w)
+                },
+                rot: {
+                    x: lerpAngle(from.rot.x, pose.rot.x, w),
+                    y: lerpAngle(from.rot.y, pose.rot.y, w),
+                    z: lerpAngle(from.rot.z, pose.rot.z, w)
+                },
+                fov: lerp(from.fov, pose.fov, w)
+            };
+        }
+    }
+    return pose;
+}
+
+// =========================================================================
+// CAMERA CURVE GRAPH
+//
+// Plots each camera channel over the visible timeline window. Channels
+// are normalized to their own range so position, rotation and FOV can
+// share one graph; the legend shows which is which.
+// =========================================================================
+
+var CURVE_CHANNELS = [
+    { id: 'pos-x', color: '#d86a6a', get: function(p) { return p.pos.x; } },
+    { id: 'pos-y', color: '#6ad87a', get: function(p) { return p.pos.y; } },
+    { id: 'pos-z', color: '#6a9fd8', get: function(p) { return p.pos.z; } },
+    { id: 'rot-x', color: '#d8a36a', get: function(p) { return p.rot.x; } },
+    { id: 'rot-y', color: '#a07ad0', get: function(p) { return p.rot.y; } },
+    { id: 'rot-z', color: '#5ab0a0', get: function(p) { return p.rot.z; } },
+    { id: 'fov',   color: '#c9a84c', get: function(p) { return p.fov; } }
+];
+
+var isCurvePanelOpen = false;
+
+// Camera keyframes as the graph should show them: the selected keyframe
+// uses the inspector's easing and bezier draft, so edits preview live.
+function getCurveKeyframes() {
+    var kfs = scene.camera ? scene.camera.keyframes : [];
+    if (selectedCamKf === null || !kfs[selectedCamKf]) return kfs;
+
+    var copy = kfs.slice();
+    var kf = {};
+    for (var k in kfs[selectedCamKf]) kf[k] = kfs[selectedCamKf][k];
+    kf.easing = document.getElementById('ckf-easing').value || kf.easing;
+    if (kf.easing === 'cubic-bezier') kf.bezier = bezierDraft;
+    copy[selectedCamKf] = kf;
+    return copy;
+}
+
+function renderCurveGraph() {
+    if (!isCurvePanelOpen) return;
+
+    var canvas = document.getElementById('curve-canvas');
+    var w = canvas.width = canvas.clientWidth;
+    var h = canvas.height = canvas.clientHeight;
+    var ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, w, h);
+
+    var kfs = getCurveKeyframes();
+    if (kfs.length < 2) {
+        ctx.fillStyle = 'rgba(200, 196, 188, 0.5)';
+        ctx.font = '11px monospace';
+        ctx.fillText('Add at least two camera keyframes to see the path.', 10, h / 2);
+        return;
+    }
+
+    var pad = 6;
+    var visDur = getVisibleDuration();
+
+    // Keyframe guides
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.setLineDash([3, 3]);
+    for (var i = 0; i < kfs.length; i++) {
+        var kx = ((kfs[i].time - tlScrollOffset) / visDur) * w;
+        if (kx < 0 || kx > w) continue;
+        ctx.beginPath();
+        ctx.moveTo(kx + 0.5, 0);
+        ctx.lineTo(kx + 0.5, h);
+        ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // Sample once per pixel, then draw each channel
+    var samples = [];
+    for (var x = 0; x <= w; x++) {
+        samples.push(evaluateCameraTrack(kfs, scene.camera.shots, tlScrollOffset + (x / w) * visDur));
+    }
+
+    for (var c = 0; c < CURVE_CHANNELS.length; c++) {
+        var ch = CURVE_CHANNELS[c];
+        if (!document.getElementById('curve-ch-' + ch.id).checked) continue;
+
+        var min = Infinity, max = -Infinity;
+        for (var s = 0; s < samples.length; s++) {
+            var v = ch.get(samples[s]);
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        var range = max - min || 1;
+
+        ctx.strokeStyle = ch.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (var s2 = 0; s2 < samples.length; s2++) {
+            var y = h - pad - ((ch.get(samples[s2]) - min) / range) * (h - pad * 2);
+            if (s2 === 0) ctx.moveTo(s2, y); else ctx.lineTo(s2, y);
+        }
+        ctx.stroke();
+    }
+}
+
+function toggleCurvePanel() {
+    isCurvePanelOpen = !isCurvePanelOpen;
+    document.getElementById('curve-panel').classList.toggle('hidden', !isCurvePanelOpen);
+    document.getElementById('tl-curves-toggle').classList.toggle('active', isCurvePanelOpen);
+    renderCurveGraph();
+    updatePlayhead(currentTimelineTime, scene.duration);
+    syncTimelineHeight();
+}
+
+// =========================================================================
+// BEZIER EASING EDITOR (camera keyframe inspector)
+// =========================================================================
+
+var bezierDraft = DEFAULT_BEZIER.slice(); // [x1, y1, x2, y2]
+var bezierDragHandle = null;               // 0 = first handle, 1 = second
+
+// Curve space → canvas: x in 0..1, y in -0.5..1.5 (room for overshoot)
+var BEZIER_Y_MIN = -0.5;
+var BEZIER_Y_MAX = 1.5;
+
+function bezierToCanvas(canvas, x, y) {
+    var pad = 12;
+    var size = canvas.width - pad * 2;
+    var hgt = canvas.height - pad * 2;
+    return {
+        x: pad + x * size,
+        y: pad + (1 - (y - BEZIER_Y_MIN) / (BEZIER_Y_MAX - BEZIER_Y_MIN)) * hgt
+    };
+}
+
+function canvasToBezier(canvas, px, py) {
+    var pad = 12;
+    var size = canvas.width - pad * 2;
+    var hgt = canvas.height - pad * 2;
+    var x = (px - pad) / size;
+    var y = BEZIER_Y_MIN + (1 - (py - pad) / hgt) * (BEZIER_Y_MAX - BEZIER_Y_MIN);
+    return {
+        x: Math.max(0, Math.min(1, x)),
+        y: Math.max(BEZIER_Y_MIN, Math.min(BEZIER_Y_MAX, y))
+    };
+}
+
+function syncBezierEditor() {
+    var show = document.getElementById('ckf-easing').value === 'cubic-bezier';
+    document.getElementById('ckf-bezier').classList.toggle('hidden', !show);
+    if (show) renderBezierEditor();
+    renderCurveGraph();
+}
+
+function renderBezierEditor() {
+    var canvas = document.getElementById('bezier-canvas');
+    var ctx = canvas.getContext('2d');
+    var b = bezierDraft;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    var p0 = bezierToCanvas(canvas, 0, 0);
+    var p3 = bezierToCanvas(canvas, 1, 1);
+    var h1 = bezierToCanvas(canvas, b[0], b[1]);
+    var h2 = bezierToCanvas(canvas, b[2], b[3]);
+
+    // 0..1 box
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.strokeRect(p0.x, p3.y, p3.x - p0.x, p0.y - p3.y);
+
+    // Handles
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.beginPath();
+    ctx.moveTo(p0.x, p0.y); ctx.lineTo(h1.x, h1.y);
+    ctx.moveTo(p3.x, p3.y); ctx.lineTo(h2.x, h2.y);
+    ctx.stroke();
+
+    // Curve
+    ctx.strokeStyle = '#c9a84c';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(p0.x, p0.y);
+    ctx.bezierCurveTo(h1.x, h1.y, h2.x, h2.y, p3.x, p3.y);
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    ctx.fillStyle = '#eae6de';
+    [h1, h2].forEach(function(h) {
+        ctx.beginPath();
+        ctx.arc(h.x, h.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    document.getElementById('bezier-values').textContent =
+        'cubic-bezier(' + b.map(function(v) { return v.toFixed(2); }).join(', ') + ')';
+}
+
+document.getElementById('bezier-canvas').addEventListener('mousedown', function(e) {
+    if (e.button !== 0) return;
+    var rect = this.getBoundingClientRect();
+    var px = (e.clientX - rect.left) * (this.width / rect.width);
+    var py = (e.clientY - rect.top) * (this.height / rect.height);
+
+    var best = null, bestDist = 14;
+    for (var i = 0; i < 2; i++) {
+        var h = bezierToCanvas(this, bezierDraft[i * 2], bezierDraft[i * 2 + 1]);
+        var d = Math.sqrt((h.x - px) * (h.x - px) + (h.y - py) * (h.y - py));
+        if (d < bestDist) { best = i; bestDist = d; }
+    }
+    bezierDragHandle = best;
+});
+
+document.addEventListener('mousemove', function(e) {
+    if (bezierDragHandle === null) return;
+    var canvas = document.getElementById('bezier-canvas');
+    var rect = canvas.getBoundingClientRect();
+    var p = canvasToBezier(canvas,
+        (e.clientX - rect.left) * (canvas.width / rect.width),
+        (e.clientY - rect.top) * (canvas.height / rect.height));
+    bezierDraft[bezierDragHandle * 2] = p.x;
+    bezierDraft[bezierDragHandle * 2 + 1] = p.y;
+    renderBezierEditor();
+    renderCurveGraph();
+});
+
+document.addEventListener('mouseup', function() {
+    bezierDragHandle = null;
+});
+
+// =========================================================================
+// SCENE EVENTS (RIGHT PANEL)
+//
+// scene.events = [{ time, name, data }] — playback calls
+// TriggerEvent(name, data) when it passes `time`.
+// =========================================================================
+
+var EVENT_NAME_PATTERN = /^[A-Za-z0-9_:.\-]+$/;
+
+// Index (0-based) of the event shown in the form, null when adding
+var selectedEvent = null;
+
+function renderEventList() {
+    var list = document.getElementById('event-list');
+    var evs = scene.events || [];
+    list.innerHTML = '';
+
+    if (evs.length === 0) {
+        list.innerHTML = '<div class="empty-hint">No events. Move the playhead and click +.</div>';
+        return;
+    }
+
+    for (var i = 0; i < evs.length; i++) {
+        var item = document.createElement('div');
+        item.className = 'list-item' + (selectedEvent === i || isTimelineSelected({ kind: 'event', index: i }) ? ' selected' : '');
+        item.innerHTML =
+            '<span class="item-time">' + formatTime(evs[i].time) + '</span>' +
+            '<span class="item-label">' + esc(evs[i].name) + '</span>' +
+            '<span class="item-delete" data-idx="' + i + '">×</span>';
+        item.setAttribute('data-idx', i);
+        item.onclick = onEventClick;
+        list.appendChild(item);
+    }
+}
+
+function onEventClick(e) {
+    var idx;
+    if (e.target.classList.contains('item-delete')) {
+        idx = parseInt(e.target.getAttribute('data-idx'));
+        if (selectedEvent === idx) hideEventForm();
+        editNui('director:deleteEvent', { index: idx + 1 }, 'Delete event');
+        return;
+    }
+    idx = parseInt(this.getAttribute('data-idx'));
+    selectEvent(idx);
+}
+
+function selectEvent(index) {
+    var ev = (scene.events || [])[index];
+    if (!ev) return;
+    selectedEvent = index;
+    if (!isTimelineSelected({ kind: 'event', index: index })) tlSelection = [{ kind: 'event', index: index }];
+    showEventForm(ev);
+    renderEventList();
+    renderTimelineMarkers();
+}
+
+function showEventForm(ev) {
+    var editing = !!ev;
+    ev = ev || { time: currentTimelineTime, name: '', data: {} };
+
+    document.getElementById('event-form-title').textContent = editing ? 'Edit Event' : 'Add Event';
+    document.getElementById('btn-confirm-event').textContent = editing ? 'Apply' : 'Add';
+    setFieldValue('event-time', ev.time.toFixed(2));
+    setFieldValue('event-name', ev.name || '');
+    // A half-typed payload keeps its text and its parse error
+    if (document.activeElement !== document.getElementById('event-data')) {
+        document.getElementById('event-data').value = JSON.stringify(ev.data || {}, null, 2);
+        setEventDataError(null);
+    }
+    document.getElementById('event-form').classList.remove('hidden');
+}
+
+function hideEventForm() {
+    selectedEvent = null;
+    document.getElementById('event-form').classList.add('hidden');
+    renderEventList();
+}
+
+function refreshEventSelection() {
+    if (selectedEvent === null) return;
+    var ev = (scene.events || [])[selectedEvent];
+    if (ev) showEventForm(ev);
+    else hideEventForm();
+}
+
+function setEventDataError(msg) {
+    var el = document.getElementById('event-data-error');
+    el.textContent = msg || '';
+    el.classList.toggle('hidden', !msg);
+    document.getElementById('event-data').classList.toggle('invalid', !!msg);
+}
+
+// Parse the payload textarea. Returns { ok, value } or { ok: false, error }.
+// The payload must be a JSON object or array: it is handed to event
+// handlers as their first argument.
+function parseEventData(text) {
+    text = text.trim();
+    if (text === '') return { ok: true, value: {} };
+
+    var value;
+    try {
+        value = JSON.parse(text);
+    } catch (err) {
+        return { ok: false, error: 'Invalid JSON: ' + err.message };
+    }
+    if (value === null || typeof value !== 'object') {
+        return { ok: false, error: 'Payload must be a JSON object or array' };
+    }
+    return { ok: true, value: value };
+}
+
+function confirmEvent() {
+    var name = document.getElementById('event-name').value.trim();
+    var time = Math.max(0, parseFloat(document.getElementById('event-time').value) || 0);
+    var parsed = parseEventData(document.getElementById('event-data').value);
+
+    if (!name) { toast('Event name required', 'error'); return; }
+    if (!EVENT_NAME_PATTERN.test(name)) {
+        toast('Event name may only contain letters, digits, _ : . -', 'error');
+        return;
+    }
+    if (!parsed.ok) { setEventDataError(parsed.error); return; }
+    setEventDataError(null);
+
+    var editing = selectedEvent !== null;
+    var data = { time: time, name: name, data: parsed.value };
+    if (editing) data.index = selectedEvent + 1;
+
+    var call = editing ? 'director:updateEvent' : 'director:addEvent';
+    editNui(call, data, editing ? 'Edit event' : 'Add event').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        if (r.index) selectEvent(r.index - 1);
+        toast(editing ? 'Event updated' : 'Event added', 'success');
+    });
+}
+
+// =========================================================================
+// TIMELINE MARKERS (RIGHT PANEL)
+//
+// scene.markers = [{ time, name }] — named points for finding your way
+// around long scenes; drawn on the ruler and the overview, ignored by
+// playback. [ / ] jump between them.
+// =========================================================================
+
+// Index (0-based) of the marker shown in the form
+var selectedMarker = null;
+
+function renderMarkerList() {
+    var list = document.getElementById('marker-list');
+    var markers = scene.markers || [];
+    list.innerHTML = '';
+
+    if (markers.length === 0) {
+        list.innerHTML = '<div class="empty-hint">No markers. Move the playhead and click + (M).</div>';
+        return;
+    }
+
+    for (var i = 0; i < markers.length; i++) {
+        var item = document.createElement('div');
+        item.className = 'list-item' + (selectedMarker === i ? ' selected' : '');
+        item.innerHTML =
+            '<span class="item-time">' + formatTime(markers[i].time) + '</span>' +
+            '<span class="item-label">' + esc(markers[i].name) + '</span>' +
+            '<span class="item-delete" data-idx="' + i + '">×</span>';
+        item.setAttribute('data-idx', i);
+        item.onclick = onMarkerClick;
+        list.appendChild(item);
+    }
+}
+
+function onMarkerClick(e) {
+    var idx;
+    if (e.target.classList.contains('item-delete')) {
+        idx = parseInt(e.target.getAttribute('data-idx'));
+        if (selectedMarker === idx) hideMarkerForm();
+        editNui('director:deleteMarker', { index: idx + 1 }, 'Delete marker');
+        return;
+    }
+    idx = parseInt(this.getAttribute('data-idx'));
+    selectMarker(idx);
+    scrubTo(Math.min(scene.markers[idx].time, scene.duration || 30));
+}
+
+// Ruler flags: click jumps the playhead there and opens the marker
+function onRulerMarkerDown(e) {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    var idx = parseInt(this.getAttribute('data-idx'));
+    selectMarker(idx);
+    scrubTo(Math.min(scene.markers[idx].time, scene.duration || 30));
+}
+
+function selectMarker(index) {
+    var marker = (scene.markers || [])[index];
+    if (!marker) return;
+    selectedMarker = index;
+    showMarkerForm(marker);
+    renderMarkerList();
+    renderTimelineRuler();
+}
+
+function showMarkerForm(marker) {
+    document.getElementById('marker-name').value = marker.name || '';
+    document.getElementById('marker-time').value = marker.time.toFixed(2);
+    document.getElementById('marker-form').classList.remove('hidden');
+}
+
+function hideMarkerForm() {
+    selectedMarker = null;
+    document.getElementById('marker-form').classList.add('hidden');
+    renderMarkerList();
+    renderTimelineRuler();
+}
+
+function refreshMarkerSelection() {
+    if (selectedMarker === null) return;
+    var marker = (scene.markers || [])[selectedMarker];
+    if (marker) showMarkerForm(marker);
+    else hideMarkerForm();
+}
+
+function addMarkerAtPlayhead() {
+    editNui('director:addMarker', { time: currentTimelineTime }, 'Add marker').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        selectMarker(r.index - 1);
+        // Straight into naming it
+        var input = document.getElementById('marker-name');
+        input.focus();
+        input.select();
+    });
+}
+
+function applyMarkerForm() {
+    if (selectedMarker === null) return;
+    var name = document.getElementById('marker-name').value.trim();
+    if (!name) { toast('Marker name required', 'error'); return; }
+
+    editNui('director:updateMarker', {
+        index: selectedMarker + 1,
+        name: name,
+        time: Math.max(0, parseFloat(document.getElementById('marker-time').value) || 0)
+    }, 'Edit marker').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        if (r.index) selectMarker(r.index - 1);
+    });
+}
+
+// Playhead to the next / previous marker
+function jumpToMarker(direction) {
+    var target = null;
+    (scene.markers || []).forEach(function(marker) {
+        var t = marker.time;
+        if (direction > 0 && t > currentTimelineTime + 1e-4 && (target === null || t < target)) target = t;
+        if (direction < 0 && t < currentTimelineTime - 1e-4 && (target === null || t > target)) target = t;
+    });
+    if (target !== null) scrubTo(Math.min(target, scene.duration || 30));
+}
+
+// =========================================================================
+// OVERLAYS
+//
+// scene.overlays = [{ time, type, ... }] — cues for the playback overlay
+// (overlay.js): subtitles, letterbox bars, fades and title cards. One
+// list sorted by time; each type gets its own timeline lane.
+// =========================================================================
+
+var OVERLAY_TYPES = {
+    subtitle:  { label: 'Subtitles', add: 'Sub' },
+    letterbox: { label: 'Letterbox', add: 'Bars', states: { 'in': 'Bars in', out: 'Bars out' } },
+    fade:      { label: 'Fades', add: 'Fade', states: { out: 'Fade to black', 'in': 'Fade from black' } },
+    title:     { label: 'Titles', add: 'Title' }
+};
+
+// Index (0-based) of the cue shown in the form
+var selectedOverlay = null;
+var overlayPreviewEnabled = true; // show cues over the game view while scrubbing
+
+function describeOverlay(cue) {
+    var type = OVERLAY_TYPES[cue.type];
+    if (cue.type === 'subtitle') return (cue.speaker ? cue.speaker + ': ' : '') + (cue.text || '…');
+    if (cue.type === 'title') return cue.title || 'Title card';
+    return type && type.states ? type.states[cue.state] || cue.state : cue.type;
+}
+
+function renderOverlayLanes(markers) {
+    var cues = scene.overlays || [];
+    Object.keys(OVERLAY_TYPES).forEach(function(type) {
+        var lane = null;
+        for (var i = 0; i < cues.length; i++) {
+            if (cues[i].type !== type) continue;
+            if (!lane) lane = createTimelineLane(OVERLAY_TYPES[type].label, 'overlay');
+
+            var pct = timeToPercent(cues[i].time);
+            var endPct = timeToPercent(cues[i].time + (cues[i].duration || 0));
+            if (endPct < -2 || pct > 102) continue;
+
+            // How long the cue stays up (or takes to transition)
+            var span = document.createElement('div');
+            span.className = 'tl-overlay-span type-' + type;
+            span.style.left = pct + '%';
+            span.style.width = Math.max(0, endPct - pct) + '%';
+            lane.appendChild(span);
+
+            var m = document.createElement('div');
+            m.className = 'tl-marker overlay type-' + type + (isTimelineSelected({ kind: 'overlay', index: i }) ? ' selected' : '');
+            m.style.left = pct + '%';
+            m.title = describeOverlay(cues[i]) + ' @ ' + cues[i].time.toFixed(1) + 's';
+            m.setAttribute('data-idx', i);
+            m.setAttribute('data-kind', 'overlay');
+            m.onmousedown = onKfMarkerDown;
+            lane.appendChild(m);
+        }
+        if (lane) markers.appendChild(lane);
+    });
+}
+
+function renderOverlayList() {
+    var list = document.getElementById('overlay-list');
+    var cues = scene.overlays || [];
+    list.innerHTML = '';
+
+    if (cues.length === 0) {
+        list.innerHTML = '<div class="empty-hint">No overlays. Move the playhead and add one.</div>';
+        return;
+    }
+
+    for (var i = 0; i < cues.length; i++) {
+        var item = document.createElement('div');
+        item.className = 'list-item' + (selectedOverlay === i || isTimelineSelected({ kind: 'overlay', index: i }) ? ' selected' : '');
+        item.innerHTML =
+            '<span class="item-time">' + formatTime(cues[i].time) + '</span>' +
+            '<span class="item-badge">' + esc(OVERLAY_TYPES[cues[i].type] ? OVERLAY_TYPES[cues[i].type].add : cues[i].type) + '</span>' +
+            '<span class="item-label">' + esc(describeOverlay(cues[i])) + '</span>' +
+            '<span class="item-delete" data-idx="' + i + '">×</span>';
+        item.setAttribute('data-idx', i);
+        item.onclick = onOverlayClick;
+        list.appendChild(item);
+    }
+}
+
+function onOverlayClick(e) {
+    var idx;
+    if (e.target.classList.contains('item-delete')) {
+        idx = parseInt(e.target.getAttribute('data-idx'));
+        if (selectedOverlay === idx) hideOverlayForm();
+        editNui('director:deleteOverlay', { index: idx + 1 }, 'Delete overlay');
+        return;
+    }
+    idx = parseInt(this.getAttribute('data-idx'));
+    selectOverlay(idx);
+}
+
+function selectOverlay(index) {
+    var cue = (scene.overlays || [])[index];
+    if (!cue) return;
+    selectedOverlay = index;
+    if (!isTimelineSelected({ kind: 'overlay', index: index })) tlSelection = [{ kind: 'overlay', index: index }];
+    showOverlayForm(cue);
+    renderOverlayList();
+    renderTimelineMarkers();
+}
+
+function showOverlayForm(cue) {
+    var type = OVERLAY_TYPES[cue.type] || {};
+    document.getElementById('overlay-form-title').textContent = type.label ? type.label.replace(/s$/, '') : 'Overlay';
+    document.getElementById('ovl-time').value = cue.time.toFixed(2);
+    document.getElementById('ovl-duration').value = (cue.duration || 0).toFixed(2);
+    document.getElementById('ovl-duration-label').firstChild.textContent =
+        type.states ? 'Transition (s) ' : 'Duration (s) ';
+
+    document.getElementById('ovl-subtitle-fields').classList.toggle('hidden', cue.type !== 'subtitle');
+    document.getElementById('ovl-title-fields').classList.toggle('hidden', cue.type !== 'title');
+    document.getElementById('ovl-state-fields').classList.toggle('hidden', !type.states);
+
+    if (cue.type === 'subtitle') {
+        document.getElementById('ovl-speaker').value = cue.speaker || '';
+        document.getElementById('ovl-text').value = cue.text || '';
+    } else if (cue.type === 'title') {
+        document.getElementById('ovl-title').value = cue.title || '';
+        document.getElementById('ovl-subtitle').value = cue.subtitle || '';
+    } else if (type.states) {
+        var select = document.getElementById('ovl-state');
+        select.innerHTML = Object.keys(type.states).map(function(state) {
+            return '<option value="' + state + '">' + esc(type.states[state]) + '</option>';
+        }).join('');
+        select.value = cue.state;
+    }
+
+    document.getElementById('overlay-form').classList.remove('hidden');
+}
+
+function hideOverlayForm() {
+    selectedOverlay = null;
+    document.getElementById('overlay-form').classList.add('hidden');
+    renderOverlayList();
+}
+
+function refreshOverlaySelection() {
+    if (selectedOverlay === null) return;
+    var cue = (scene.overlays || [])[selectedOverlay];
+    if (cue) showOverlayForm(cue);
+    else hideOverlayForm();
+}
+
+function addOverlayAtPlayhead(type) {
+    editNui('director:addOverlay', { type: type, time: currentTimelineTime }, 'Add overlay').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        selectOverlay(r.index - 1);
+    });
+}
+
+function applyOverlayForm() {
+    if (selectedOverlay === null) return;
+    var cue = scene.overlays[selectedOverlay];
+    var data = {
+        index: selectedOverlay + 1,
+        time: Math.max(0, parseFloat(document.getElementById('ovl-time').value) || 0),
+        duration: Math.max(0, parseFloat(document.getElementById('ovl-duration').value) || 0)
+    };
+    if (cue.type === 'subtitle') {
+        data.speaker = document.getElementById('ovl-speaker').value.trim();
+        data.text = document.getElementById('ovl-text').value.trim();
+    } else if (cue.type === 'title') {
+        data.title = document.getElementById('ovl-title').value.trim();
+        data.subtitle = document.getElementById('ovl-subtitle').value.trim();
+    } else {
+        data.state = document.getElementById('ovl-state').value;
+    }
+
+    editNui('director:updateOverlay', data, 'Edit overlay').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        if (r.index) selectOverlay(r.index - 1);
+        toast('Overlay updated', 'success');
+    });
+}
+
+function previewOverlayAtPlayhead() {
+    if (isPreviewPlaying) return;
+    overlayPreview(overlayPreviewEnabled ? scene.overlays : null, currentTimelineTime);
+}
+
+// =========================================================================
+// SUB-SCENES
+//
+// scene.subScenes = [{ scene, time, trimIn, trimOut, offset }] — clips
+// that play another saved scene inside this one, sorted by time (format
+// in cl_playback.lua). Lua fetches the scenes they reference for the
+// preview; the NUI only hears how long each one is.
+// =========================================================================
+
+// Index (0-based) of the clip shown in the form
+var selectedSubScene = null;
+// { name: { duration } | false } — false when no saved scene has the name
+var subSceneInfo = {};
+
+function onSubScenesResolved(scenes) {
+    subSceneInfo = scenes && !Array.isArray(scenes) ? scenes : {};
+    renderSubSceneList();
+    refreshSubSceneSelection();
+    renderTimelineMarkers();
+    requestValidation();
+}
+
+// Seconds of the referenced scene a clip plays, or null while its
+// length isn't known
+function getSubSceneLength(clip) {
+    var info = subSceneInfo[clip.scene];
+    var end = typeof clip.trimOut === 'number' ? clip.trimOut : null;
+    if (info) end = end === null ? info.duration : Math.min(end, info.duration);
+    if (end === null) return null;
+    return Math.max(0, end - (clip.trimIn || 0));
+}
+
+function describeSubSceneLength(clip) {
+    if (subSceneInfo[clip.scene] === false) return 'missing';
+    var length = getSubSceneLength(clip);
+    return length === null ? '…' : length.toFixed(1) + 's';
+}
+
+function describeSubSceneSource(clip) {
+    if (!clip.scene) return 'Pick a saved scene to play here.';
+    var info = subSceneInfo[clip.scene];
+    if (info === false) return 'No saved scene is called "' + clip.scene + '".';
+    if (!info) return 'Looking up "' + clip.scene + '"…';
+
+    var trimIn = clip.trimIn || 0;
+    var length = getSubSceneLength(clip);
+    return 'Plays ' + formatTime(trimIn) + '–' + formatTime(trimIn + length) +
+        ' of ' + formatTime(info.duration) + ', until ' + formatTime(clip.time + length) + ' here.';
+}
+
+function renderSubSceneLane(markers) {
+    var clips = scene.subScenes || [];
+    if (clips.length === 0) return;
+
+    var lane = createTimelineLane('Sub-scenes', 'subscene');
+    for (var i = 0; i < clips.length; i++) {
+        var length = getSubSceneLength(clips[i]);
+        var pct = timeToPercent(clips[i].time);
+        var endPct = timeToPercent(clips[i].time + (length || 0));
+        if (endPct < -2 || pct > 102) continue;
+
+        // The stretch of this timeline the clip plays over
+        if (length !== null) {
+            var span = document.createElement('div');
+            span.className = 'tl-subscene-span';
+            span.style.left = pct + '%';
+            span.style.width = Math.max(0, endPct - pct) + '%';
+            span.textContent = clips[i].scene;
+            lane.appendChild(span);
+        }
+
+        var m = document.createElement('div');
+        m.className = 'tl-marker subscene' + (isTimelineSelected({ kind: 'subScene', index: i }) ? ' selected' : '');
+        m.style.left = pct + '%';
+        m.title = (clips[i].scene || 'No scene') + ' @ ' + clips[i].time.toFixed(1) + 's';
+        m.setAttribute('data-idx', i);
+        m.setAttribute('data-kind', 'subScene');
+        m.onmousedown = onKfMarkerDown;
+        lane.appendChild(m);
+    }
+    markers.appendChild(lane);
+}
+
+function renderSubSceneList() {
+    var list = document.getElementById('subscene-list');
+    var clips = scene.subScenes || [];
+    list.innerHTML = '';
+
+    if (clips.length === 0) {
+        list.innerHTML = '<div class="empty-hint">No sub-scenes. Move the playhead and click +.</div>';
+        return;
+    }
+
+    for (var i = 0; i < clips.length; i++) {
+        var item = document.createElement('div');
+        item.className = 'list-item' + (selectedSubScene === i || isTimelineSelected({ kind: 'subScene', index: i }) ? ' selected' : '');
+        item.innerHTML =
+            '<span class="item-time">' + formatTime(clips[i].time) + '</span>' +
+            '<span class="item-label">' + esc(clips[i].scene || '(no scene)') + '</span>' +
+            '<span class="item-badge">' + esc(describeSubSceneLength(clips[i])) + '</span>' +
+            '<span class="item-delete" data-idx="' + i + '">×</span>';
+        item.setAttribute('data-idx', i);
+        item.onclick = onSubSceneClick;
+        list.appendChild(item);
+    }
+}
+
+function onSubSceneClick(e) {
+    var idx;
+    if (e.target.classList.contains('item-delete')) {
+        idx = parseInt(e.target.getAttribute('data-idx'));
+        if (selectedSubScene === idx) hideSubSceneForm();
+        editNui('director:deleteSubScene', { index: idx + 1 }, 'Delete sub-scene');
+        return;
+    }
+    idx = parseInt(this.getAttribute('data-idx'));
+    selectSubScene(idx);
+}
+
+function selectSubScene(index) {
+    var clip = (scene.subScenes || [])[index];
+    if (!clip) return;
+    selectedSubScene = index;
+    if (!isTimelineSelected({ kind: 'subScene', index: index })) tlSelection = [{ kind: 'subScene', index: index }];
+    showSubSceneForm(clip);
+    renderSubSceneList();
+    renderTimelineMarkers();
+}
+
+function formatOffsetField(offset, axis) {
+    return offset ? offset[axis].toFixed(2) : '';
+}
+
+function showSubSceneForm(clip) {
+    // Suggest the scenes the Load dialog last listed, except this one
+    document.getElementById('subscene-names').innerHTML = sceneLibrary.filter(function(entry) {
+        return entry.name !== scene.name;
+    }).map(function(entry) {
+        return '<option value="' + esc(entry.name) + '">';
+    }).join('');
+
+    document.getElementById('subscene-name').value = clip.scene || '';
+    document.getElementById('subscene-time').value = clip.time.toFixed(2);
+    document.getElementById('subscene-trim-in').value = (clip.trimIn || 0).toFixed(2);
+    document.getElementById('subscene-trim-out').value = typeof clip.trimOut === 'number' ? clip.trimOut.toFixed(2) : '';
+    document.getElementById('subscene-offset-x').value = formatOffsetField(clip.offset, 'x');
+    document.getElementById('subscene-offset-y').value = formatOffsetField(clip.offset, 'y');
+    document.getElementById('subscene-offset-z').value = formatOffsetField(clip.offset, 'z');
+    document.getElementById('subscene-info').textContent = describeSubSceneSource(clip);
+    document.getElementById('subscene-form').classList.remove('hidden');
+}
+
+function hideSubSceneForm() {
+    selectedSubScene = null;
+    document.getElementById('subscene-form').classList.add('hidden');
+    renderSubSceneList();
+}
+
+function refreshSubSceneSelection() {
+    if (selectedSubScene === null) return;
+    var clip = (scene.subScenes || [])[selectedSubScene];
+    if (clip) showSubSceneForm(clip);
+    else hideSubSceneForm();
+}
+
+function addSubSceneAtPlayhead() {
+    editNui('director:addSubScene', { time: currentTimelineTime }, 'Add sub-scene').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        selectSubScene(r.index - 1);
+        document.getElementById('subscene-name').focus();
+    });
+}
+
+function applySubSceneForm() {
+    if (selectedSubScene === null) return;
+    var name = document.getElementById('subscene-name').value.trim();
+    if (!name) { toast('Scene name required', 'error'); return; }
+    if (name === scene.name) { toast('A scene can\'t play inside itself', 'error'); return; }
+
+    // Blank trim out plays to the end; blank offset fields mean no offset
+    var trimOut = parseFloat(document.getElementById('subscene-trim-out').value);
+    var axes = ['x', 'y', 'z'].map(function(axis) {
+        return document.getElementById('subscene-offset-' + axis).value.trim();
+    });
+    var offset = false;
+    if (axes.some(function(v) { return v !== ''; })) {
+        offset = { x: parseFloat(axes[0]) || 0, y: parseFloat(axes[1]) || 0, z: parseFloat(axes[2]) || 0 };
+    }
+
+    editNui('director:updateSubScene', {
+        index: selectedSubScene + 1,
+        scene: name,
+        time: Math.max(0, parseFloat(document.getElementById('subscene-time').value) || 0),
+        trimIn: Math.max(0, parseFloat(document.getElementById('subscene-trim-in').value) || 0),
+        trimOut: isNaN(trimOut) ? '' : trimOut,
+        offset: offset
+    }, 'Edit sub-scene').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        if (r.index) selectSubScene(r.index - 1);
+        toast('Sub-scene updated', 'success');
+    });
+}
+
+// =========================================================================
+// ENTITY LIST (LEFT PANEL)
+// =========================================================================
+
+function renderEntityList() {
+    var list = document.getElementById('entity-list');
+    var ents = scene.entities || [];
+    list.innerHTML = '';
+
+    if (ents.length === 0) {
+        list.innerHTML = '<div class="empty-hint">No entities. Click + to add.</div>';
+        return;
+    }
+
+    for (var i = 0; i < ents.length; i++) {
+        var ent = ents[i];
+        var item = document.createElement('div');
+        item.className = 'list-item' + (ent.id === selectedEntityId ? ' selected' : '');
+        item.innerHTML =
+            '<span class="item-label">' + esc(ent.id) + '</span>' +
+            '<span class="item-badge">' + ent.type + '</span>' +
+            '<span class="item-delete" data-id="' + esc(ent.id) + '">×</span>';
+        item.setAttribute('data-id', ent.id);
+        item.onclick = onEntityClick;
+        list.appendChild(item);
+    }
+}
+
+function onEntityClick(e) {
+    if (e.target.classList.contains('item-delete')) {
+        editNui('director:removeEntity', { id: e.target.getAttribute('data-id') }, 'Delete entity');
+        if (selectedEntityId === e.target.getAttribute('data-id')) selectEntity(null);
+        return;
+    }
+    selectEntity(this.getAttribute('data-id'));
+}
+
+function selectEntity(id) {
+    if (id !== selectedEntityId) {
+        selectedEntityKf = null;
+        hideEntityKfForm();
+    }
+    selectedEntityId = id;
+    setHudEntity(id);
+    renderEntityList();
+    renderEntitySpawn();
+    renderEntityKeyframes();
+    renderTimelineMarkers();
+}
+
+function getEntityById(id) {
+    var ents = scene.entities || [];
+    for (var i = 0; i < ents.length; i++) {
+        if (ents[i].id === id) return ents[i];
+    }
+    return null;
+}
+
+// =========================================================================
+// ENTITY SPAWN INSPECTOR (LEFT PANEL)
+//
+// Edits spawn.pos / spawn.heading of the selected entity. Headings are
+// the game's: 0 = north, counter-clockwise, so the dial shows north up
+// and 90 on the left (west).
+// =========================================================================
+
+var HEADING_SNAP = 15;
+var headingDrag = null; // { heading }
+
+function renderEntitySpawn() {
+    var section = document.getElementById('entity-spawn-section');
+    var ent = getEntityById(selectedEntityId);
+
+    if (!ent) {
+        section.classList.add('hidden');
+        return;
+    }
+
+    section.classList.remove('hidden');
+    document.getElementById('entity-spawn-owner').textContent = ent.id;
+
+    var spawn = ent.spawn || {};
+    var pos = spawn.pos || {};
+    var fields = { x: pos.x, y: pos.y, z: pos.z };
+    for (var axis in fields) {
+        var input = document.getElementById('spawn-pos-' + axis);
+        if (document.activeElement !== input) input.value = typeof fields[axis] === 'number' ? fields[axis].toFixed(2) : '';
+    }
+
+    if (!headingDrag) setHeadingReadout(spawn.heading || 0);
+}
+
+function setHeadingReadout(heading) {
+    var input = document.getElementById('spawn-heading');
+    if (document.activeElement !== input) input.value = Math.round(heading);
+    renderHeadingDial(heading);
+}
+
+function renderHeadingDial(heading) {
+    var canvas = document.getElementById('heading-dial');
+    var ctx = canvas.getContext('2d');
+    var w = canvas.width, h = canvas.height;
+    var cx = w / 2, cy = h / 2, r = w / 2 - 14;
+
+    ctx.clearRect(0, 0, w, h);
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.fillStyle = '#6b6862';
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('N', cx, 7);
+    ctx.fillText('W', 7, cy);
+    ctx.fillText('S', cx, h - 7);
+    ctx.fillText('E', w - 7, cy);
+
+    var rad = heading * Math.PI / 180;
+    var tipX = cx - Math.sin(rad) * r, tipY = cy - Math.cos(rad) * r;
+    ctx.strokeStyle = '#c9a84c';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(tipX, tipY);
+    ctx.stroke();
+
+    ctx.fillStyle = '#c9a84c';
+    ctx.beginPath();
+    ctx.arc(tipX, tipY, 6, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function headingFromDial(e) {
+    var rect = document.getElementById('heading-dial').getBoundingClientRect();
+    var dx = e.clientX - (rect.left + rect.width / 2);
+    var dy = e.clientY - (rect.top + rect.height / 2);
+    var heading = Math.atan2(-dx, -dy) * 180 / Math.PI;
+    if (e.shiftKey) heading = Math.round(heading / HEADING_SNAP) * HEADING_SNAP;
+    return ((Math.round(heading) % 360) + 360) % 360;
+}
+
+function updateEntitySpawn(data, label) {
+    if (!selectedEntityId) return;
+    data.id = selectedEntityId;
+    data.time = currentTimelineTime;
+    editNui('director:updateEntitySpawn', data, label).then(function(r) {
+        if (!r.ok) toast(r.message || 'Failed', 'error');
+    });
+}
+
+function applySpawnPos() {
+    var x = document.getElementById('spawn-pos-x').value;
+    var y = document.getElementById('spawn-pos-y').value;
+    var z = document.getElementById('spawn-pos-z').value;
+    if (x === '' || y === '' || z === '') return;
+    updateEntitySpawn({ pos: { x: parseFloat(x) || 0, y: parseFloat(y) || 0, z: parseFloat(z) || 0 } }, 'Move entity spawn');
+}
+
+function applySpawnHeading() {
+    var heading = parseFloat(document.getElementById('spawn-heading').value) || 0;
+    updateEntitySpawn({ heading: ((heading % 360) + 360) % 360 }, 'Turn entity');
+}
+
+function placeEntityAtAim() {
+    if (!selectedEntityId) return;
+    editNui('director:placeEntityAtAim', { id: selectedEntityId, time: currentTimelineTime }, 'Place entity at aim').then(function(r) {
+        if (!r.ok) toast(r.message || 'Failed', 'error');
+    });
+}
+
+function snapEntityToGround() {
+    if (!selectedEntityId) return;
+    editNui('director:snapEntityToGround', { id: selectedEntityId, time: currentTimelineTime }, 'Snap entity to ground').then(function(r) {
+        if (!r.ok) toast(r.message || 'Failed', 'error');
+    });
+}
+
+document.getElementById('heading-dial').addEventListener('mousedown', function(e) {
+    if (e.button !== 0 || !selectedEntityId) return;
+    e.preventDefault();
+    headingDrag = { heading: headingFromDial(e) };
+    this.classList.add('dragging');
+    setHeadingReadout(headingDrag.heading);
+});
+
+document.addEventListener('mousemove', function(e) {
+    if (!headingDrag) return;
+    headingDrag.heading = headingFromDial(e);
+    setHeadingReadout(headingDrag.heading);
+});
+
+// One undo step per drag
+document.addEventListener('mouseup', function(e) {
+    if (!headingDrag || e.button !== 0) return;
+    var heading = headingDrag.heading;
+    headingDrag = null;
+    document.getElementById('heading-dial').classList.remove('dragging');
+    updateEntitySpawn({ heading: heading }, 'Turn entity');
+});
+
+// =========================================================================
+// IN-WORLD PICKING
+//
+// A left click on the bare game view casts a ray from the free cam
+// through the cursor (director:pickEntity) and selects the scene entity
+// it finds; a click on nothing clears the selection.
+// =========================================================================
+
+var pickInFlight = false;
+
+function pickEntityAt(e) {
+    if (pickInFlight) return;
+    pickInFlight = true;
+
+    nui('director:pickEntity', {
+        x: e.clientX / window.innerWidth,
+        y: e.clientY / window.innerHeight,
+        aspect: window.innerWidth / window.innerHeight
+    }).then(function(r) {
+        pickInFlight = false;
+        if (!r.ok) return;
+        selectEntity(r.entityId || null);
+        if (!r.entityId) return;
+
+        var row = document.querySelector('#entity-list .list-item.selected');
+        if (row) row.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+document.addEventListener('mousedown', function(e) {
+    if (e.button !== 0 || isPreviewPlaying) return;
+    if (e.target !== document.body && e.target !== document.documentElement) return;
+    if (document.getElementById('editor').classList.contains('hidden')) return;
+    pickEntityAt(e);
+});
+
+// =========================================================================
+// ENTITY KEYFRAMES (LEFT PANEL)
+// =========================================================================
+
+// Selected entity keyframe: { entityId, index } (index is 0-based)
+var selectedEntityKf = null;
+
+function isEntityKfSelected(entityId, index) {
+    return selectedEntityKf !== null &&
+        selectedEntityKf.entityId === entityId &&
+        selectedEntityKf.index === index;
+}
+
+function describeEntityKf(kf) {
+    var action = kf.action || kf.type || 'anim';
+    switch (action) {
+        case 'anim':
+            return 'anim ' + (kf.name || '?');
+        case 'move_to':
+        case 'teleport':
+            if (!kf.pos) return action;
+            return action + ' ' + kf.pos.x.toFixed(1) + ', ' + kf.pos.y.toFixed(1);
+        default:
+            return action;
+    }
+}
+
+function renderEntityKeyframes() {
+    var section = document.getElementById('entity-kf-section');
+    var ent = getEntityById(selectedEntityId);
+
+    if (!ent) {
+        section.classList.add('hidden');
+        hideEntityKfForm();
+        return;
+    }
+
+    section.classList.remove('hidden');
+    document.getElementById('entity-kf-owner').textContent = ent.id;
+
+    var list = document.getElementById('entity-kf-list');
+    var kfs = ent.keyframes || [];
+    list.innerHTML = '';
+
+    if (kfs.length === 0) {
+        list.innerHTML = '<div class="empty-hint">No keyframes. Move the playhead and click + KF.</div>';
+        return;
+    }
+
+    for (var i = 0; i < kfs.length; i++) {
+        var item = document.createElement('div');
+        item.className = 'list-item' + (isEntityKfSelected(ent.id, i) ? ' selected' : '');
+        item.innerHTML =
+            '<span class="item-time">' + formatTime(kfs[i].time) + '</span>' +
+            '<span class="item-label">' + esc(describeEntityKf(kfs[i])) + '</span>' +
+            '<span class="item-delete" data-idx="' + i + '">×</span>';
+        item.setAttribute('data-idx', i);
+        item.onclick = onEntityKfClick;
+        list.appendChild(item);
+    }
+}
+
+function onEntityKfClick(e) {
+    if (e.target.classList.contains('item-delete')) {
+        var idx = parseInt(e.target.getAttribute('data-idx'));
+        if (isEntityKfSelected(selectedEntityId, idx)) {
+            selectedEntityKf = null;
+            hideEntityKfForm();
+        }
+        editNui('director:deleteEntityKeyframe', { entityId: selectedEntityId, index: idx + 1 }, 'Delete entity keyframe');
+        return;
+    }
+    selectEntityKeyframe(selectedEntityId, parseInt(this.getAttribute('data-idx')));
+}
+
+function selectEntityKeyframe(entityId, index) {
+    var ent = getEntityById(entityId);
+    if (!ent || !ent.keyframes[index]) return;
+
+    if (entityId !== selectedEntityId) selectEntity(entityId);
+    selectedEntityKf = { entityId: entityId, index: index };
+    if (!isTimelineSelected(selectedEntityKf)) tlSelection = [{ entityId: entityId, index: index }];
+    showEntityKfForm(ent.keyframes[index]);
+    renderEntityKeyframes();
+    renderTimelineMarkers();
+}
+
+// Keep the selection and the open inspector pointing at a keyframe that
+// still exists after the scene was replaced by Lua.
+function refreshEntityKfSelection() {
+    if (!selectedEntityKf) return;
+    var ent = getEntityById(selectedEntityKf.entityId);
+    if (!ent || !ent.keyframes[selectedEntityKf.index]) {
+        selectedEntityKf = null;
+        hideEntityKfForm();
+    }
+}
+
+// =========================================================================
+// ENTITY KEYFRAME INSPECTOR
+// =========================================================================
+
+function showEntityKfForm(kf) {
+    var form = document.getElementById('entity-kf-form');
+    var editing = !!kf;
+    kf = kf || { time: currentTimelineTime, action: 'anim' };
+
+    document.getElementById('entity-kf-form-title').textContent = editing ? 'Edit Keyframe' : 'Add Keyframe';
+    document.getElementById('btn-confirm-ekf').textContent = editing ? 'Apply' : 'Add';
+
+    document.getElementById('ekf-time').value = (kf.time || 0).toFixed(2);
+    document.getElementById('ekf-action').value = kf.action || kf.type || 'anim';
+    document.getElementById('ekf-dict').value = kf.dict || '';
+    document.getElementById('ekf-name').value = kf.name || '';
+    document.getElementById('ekf-flags').value = kf.flags !== undefined ? kf.flags : 1;
+    document.getElementById('ekf-pos-x').value = kf.pos ? kf.pos.x.toFixed(2) : '';
+    document.getElementById('ekf-pos-y').value = kf.pos ? kf.pos.y.toFixed(2) : '';
+    document.getElementById('ekf-pos-z').value = kf.pos ? kf.pos.z.toFixed(2) : '';
+    document.getElementById('ekf-speed').value = kf.speed || 1;
+    document.getElementById('ekf-heading').value = kf.heading || 0;
+
+    syncEntityKfFields();
+    form.classList.remove('hidden');
+}
+
+function hideEntityKfForm() {
+    document.getElementById('entity-kf-form').classList.add('hidden');
+}
+
+// Show only the field groups that apply to the chosen action
+function syncEntityKfFields() {
+    var action = document.getElementById('ekf-action').value;
+    var groups = document.querySelectorAll('#entity-kf-form .ekf-fields');
+    for (var i = 0; i < groups.length; i++) {
+        var actions = groups[i].getAttribute('data-action').split(' ');
+        groups[i].classList.toggle('hidden', actions.indexOf(action) === -1);
+    }
+}
+
+function readEntityKfForm() {
+    var action = document.getElementById('ekf-action').value;
+    var data = {
+        entityId: selectedEntityId,
+        time: Math.max(0, parseFloat(document.getElementById('ekf-time').value) || 0),
+        action: action
+    };
+
+    if (action === 'anim') {
+        data.dict = document.getElementById('ekf-dict').value.trim();
+        data.name = document.getElementById('ekf-name').value.trim();
+        data.flags = parseInt(document.getElementById('ekf-flags').value) || 0;
+    } else if (action === 'move_to' || action === 'teleport') {
+        var x = document.getElementById('ekf-pos-x').value;
+        var y = document.getElementById('ekf-pos-y').value;
+        var z = document.getElementById('ekf-pos-z').value;
+        if (x === '' || y === '' || z === '') {
+            // Let Lua place it in front of the camera
+            data.fromCamera = true;
+        } else {
+            data.pos = { x: parseFloat(x) || 0, y: parseFloat(y) || 0, z: parseFloat(z) || 0 };
+        }
+        if (action === 'move_to') data.speed = parseFloat(document.getElementById('ekf-speed').value) || 1;
+        else data.heading = parseFloat(document.getElementById('ekf-heading').value) || 0;
+    }
+
+    return data;
+}
+
+function confirmEntityKf() {
+    if (!selectedEntityId) return;
+    var data = readEntityKfForm();
+
+    if (data.action === 'anim' && (!data.dict || !data.name)) {
+        toast('Anim dict and name required', 'error');
+        return;
+    }
+
+    var editing = selectedEntityKf !== null;
+    if (editing) data.index = selectedEntityKf.index + 1;
+
+    var name = editing ? 'director:updateEntityKeyframe' : 'director:addEntityKeyframe';
+    editNui(name, data, editing ? 'Edit entity keyframe' : 'Add entity keyframe').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        if (r.index) {
+            selectedEntityKf = { entityId: data.entityId, index: r.index - 1 };
+            var ent = getEntityById(data.entityId);
+            if (ent && ent.keyframes[r.index - 1]) showEntityKfForm(ent.keyframes[r.index - 1]);
+        }
+        renderEntityKeyframes();
+        renderTimelineMarkers();
+        toast(editing ? 'Keyframe updated' : 'Keyframe added', 'success');
+    });
+}
+
+// Fill the position fields with the point a few meters in front of the camera
+function fillEntityKfPosFromCamera() {
+    nui('director:getCamState', {}).then(function(r) {
+        if (!r.ok) return;
+        var radZ = r.rot.z * Math.PI / 180;
+        document.getElementById('ekf-pos-x').value = (r.pos.x - Math.sin(radZ) * 3).toFixed(2);
+        document.getElementById('ekf-pos-y').value = (r.pos.y + Math.cos(radZ) * 3).toFixed(2);
+        document.getElementById('ekf-pos-z').value = (r.pos.z - 2).toFixed(2);
+    });
+}
+
+// =========================================================================
+// PREFABS (LEFT PANEL)
+//
+// Library rows come from the server index (sv_prefabs.lua):
+// { name, kind: 'entity' | 'camera', version, modified, author, model, keyframes }
+// Insert / update first fetch the full prefab (director:getPrefab answers
+// with a prefabData message), then hand it to Lua as an undoable edit.
+// Copies in the scene carry a prefab tag (cl_editor.lua, PREFABS); one
+// older than the library version gets an Update button.
+// =========================================================================
+
+var prefabLibrary = [];
+var prefabPending = {};         // name → { op: 'insert' | 'update', time }
+var prefabSources = [];         // options of the save form
+var prefabDeleteArmed = null;   // name awaiting a second Delete click
+var prefabDeleteTimer = null;
+
+function requestPrefabList() {
+    nui('director:listPrefabs', {});
+}
+
+function getPrefabEntry(name) {
+    for (var i = 0; i < prefabLibrary.length; i++) {
+        if (prefabLibrary[i].name === name) return prefabLibrary[i];
+    }
+    return null;
+}
+
+// Copies of a library prefab in the scene: { total, stale }.
+// A camera copy is one insertion (all keyframes sharing an instance).
+function countPrefabCopies(entry) {
+    var copies = {};
+    function visit(tag, key) {
+        if (!tag || tag.name !== entry.name) return;
+        var stale = (tag.version || 0) < (entry.version || 0);
+        copies[key] = copies[key] || stale;
+    }
+
+    if (entry.kind === 'entity') {
+        (scene.entities || []).forEach(function(ent) { visit(ent.prefab, ent.id); });
+    } else {
+        (scene.camera ? scene.camera.keyframes : []).forEach(function(kf) {
+            if (kf.prefab) visit(kf.prefab, kf.prefab.instance);
+        });
+    }
+
+    var counts = { total: 0, stale: 0 };
+    for (var key in copies) {
+        counts.total++;
+        if (copies[key]) counts.stale++;
+    }
+    return counts;
+}
+
+function onPrefabList(prefabs) {
+    prefabLibrary = Array.isArray(prefabs) ? prefabs : [];
+    prefabLibrary.sort(function(a, b) { return a.name.localeCompare(b.name); });
+    renderPrefabList();
+    updatePrefabNameHint();
+}
+
+function renderPrefabList() {
+    var list = document.getElementById('prefab-list');
+    list.innerHTML = '';
+
+    if (prefabLibrary.length === 0) {
+        list.innerHTML = '<div class="empty-hint">No prefabs. Select an entity or camera keyframes and click + Save.</div>';
+        return;
+    }
+
+    prefabLibrary.forEach(function(entry) {
+        var copies = countPrefabCopies(entry);
+        var armed = prefabDeleteArmed === entry.name;
+        var detail = entry.kind === 'entity'
+            ? (entry.model || '') + ', ' + (entry.keyframes || 0) + ' keyframes'
+            : (entry.keyframes || 0) + ' camera keyframes';
+
+        var item = document.createElement('div');
+        item.className = 'list-item prefab-row';
+        item.title = detail + (entry.author ? ' — ' + entry.author : '') +
+            (copies.total ? '\n' + copies.total + ' in this scene' : '');
+        item.innerHTML =
+            '<span class="item-badge">' + (entry.kind === 'entity' ? 'ent' : 'cam') + '</span>' +
+            '<span class="item-label">' + esc(entry.name) + '</span>' +
+            '<span class="item-time">v' + (entry.version || 1) + '</span>' +
+            (copies.stale
+                ? '<button class="row-btn stale" data-op="update" title="Rebuild the copies in this scene from v' +
+                    (entry.version || 1) + '">Update ' + copies.stale + '</button>'
+                : '') +
+            '<button class="row-btn" data-op="insert" title="Insert at the playhead">Insert</button>' +
+            '<button class="row-btn danger' + (armed ? ' armed' : '') + '" data-op="delete" title="Delete from the library">' +
+                (armed ? 'Sure?' : 'Del') + '</button>';
+
+        item.onclick = function(e) {
+            var btn = e.target.closest('.row-btn');
+            if (btn) onPrefabRowAction(entry.name, btn.getAttribute('data-op'));
+        };
+        list.appendChild(item);
+    });
+}
+
+function onPrefabRowAction(name, op) {
+    if (op === 'delete') {
+        if (prefabDeleteArmed !== name) {
+            // First click arms, second click (within 3s) deletes
+            disarmPrefabDelete();
+            prefabDeleteArmed = name;
+            prefabDeleteTimer = setTimeout(function() { disarmPrefabDelete(); renderPrefabList(); }, 3000);
+            renderPrefabList();
+            return;
+        }
+        disarmPrefabDelete();
+        nui('director:deletePrefab', { name: name });
+        return;
+    }
+
+    disarmPrefabDelete();
+    prefabPending[name] = { op: op, time: currentTimelineTime };
+    nui('director:getPrefab', { name: name });
+}
+
+function disarmPrefabDelete() {
+    if (prefabDeleteTimer) clearTimeout(prefabDeleteTimer);
+    prefabDeleteTimer = null;
+    prefabDeleteArmed = null;
+}
+
+function onPrefabData(d) {
+    var pending = prefabPending[d.name];
+    delete prefabPending[d.name];
+    if (!pending) return;
+
+    if (!d.prefab) {
+        toast('Prefab "' + d.name + '" no longer exists', 'error');
+        requestPrefabList();
+        return;
+    }
+
+    if (pending.op === 'update') {
+        editNui('director:updatePrefabCopies', { prefab: d.prefab }, 'Update prefab copies').then(function(r) {
+            if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+            toast('Updated ' + r.count + ' cop' + (r.count === 1 ? 'y' : 'ies') + ' of ' + d.name + ' to v' + d.prefab.version, 'success');
+        });
+        return;
+    }
+
+    editNui('director:insertPrefab', { prefab: d.prefab, time: pending.time }, 'Insert prefab').then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        if (r.entityId) {
+            selectEntity(r.entityId);
+            toast('Inserted ' + d.name + ' as ' + r.entityId, 'success');
+        } else {
+            toast('Inserted ' + d.name + ' at ' + formatTime(pending.time), 'success');
+        }
+    });
+}
+
+function onPrefabResult(d) {
+    if (!d.ok) {
+        toast(d.message || ('Could not ' + d.op + ' prefab'), 'error');
+        return;
+    }
+    toast((d.op === 'delete' ? 'Deleted prefab ' : 'Saved prefab ') + d.name, 'success');
+}
+
+// Save form ---------------------------------------------------------------
+
+// What the save form can take a prefab from, given the current selection
+function getPrefabSources() {
+    var sources = [];
+
+    var ent = selectedEntityId ? getEntityById(selectedEntityId) : null;
+    if (ent) {
+        sources.push({
+            label: 'Entity ' + ent.id,
+            name: ent.id,
+            payload: { source: 'entity', entityId: ent.id }
+        });
+    }
+
+    var camIndices = tlSelection
+        .filter(function(ref) { return !ref.kind && !ref.entityId; })
+        .map(function(ref) { return ref.index + 1; })
+        .sort(function(a, b) { return a - b; });
+    if (camIndices.length) {
+        sources.push({
+            label: camIndices.length + ' selected camera keyframe' + (camIndices.length === 1 ? '' : 's'),
+            name: 'camera_move',
+            payload: { source: 'camera', indices: camIndices }
+        });
+    }
+
+    var shots = getShots();
+    if (selectedShot !== null && shots[selectedShot]) {
+        var range = getDisplayShotRanges(shots)[selectedShot];
+        var last = selectedShot === shots.length - 1;
+        var shotIndices = [];
+        scene.camera.keyframes.forEach(function(kf, i) {
+            if (kf.time >= range.start && (last || kf.time < range.finish)) shotIndices.push(i + 1);
+        });
+        if (shotIndices.length) {
+            sources.push({
+                label: 'Shot ' + shots[selectedShot].name + ' (' + shotIndices.length + ' keyframes)',
+                name: shots[selectedShot].name,
+                payload: { source: 'camera', indices: shotIndices }
+            });
+        }
+    }
+
+    return sources;
+}
+
+function showPrefabForm() {
+    prefabSources = getPrefabSources();
+    if (prefabSources.length === 0) {
+        toast('Select an entity, a shot or camera keyframes first', 'error');
+        return;
+    }
+
+    var select = document.getElementById('prefab-source');
+    select.innerHTML = prefabSources.map(function(s, i) {
+        return '<option value="' + i + '">' + esc(s.label) + '</option>';
+    }).join('');
+
+    document.getElementById('prefab-form').classList.remove('hidden');
+    suggestPrefabName();
+    requestPrefabList();
+}
+
+function hidePrefabForm() {
+    document.getElementById('prefab-form').classList.add('hidden');
+}
+
+function suggestPrefabName() {
+    var source = prefabSources[document.getElementById('prefab-source').value];
+    var input = document.getElementById('prefab-name');
+    input.value = source ? source.name.replace(/[^A-Za-z0-9_\-]+/g, '_').replace(/^_+/, '').toLowerCase() : '';
+    updatePrefabNameHint();
+}
+
+// Saving under an existing name is how a prefab gets a new version
+function updatePrefabNameHint() {
+    var name = document.getElementById('prefab-name').value.trim();
+    var hint = document.getElementById('prefab-name-hint');
+    var existing = getPrefabEntry(name);
+    var source = prefabSources[document.getElementById('prefab-source').value];
+    var kind = source && source.payload.source === 'entity' ? 'entity' : 'camera';
+
+    hint.className = 'field-hint';
+    if (name && !SCENE_NAME_PATTERN.test(name)) {
+        hint.textContent = 'Letters, digits, _ and - only';
+        hint.classList.add('warn');
+    } else if (name.charAt(0) === '_') {
+        hint.textContent = 'Names starting with _ are reserved';
+        hint.classList.add('warn');
+    } else if (existing && existing.kind !== kind) {
+        hint.textContent = 'Name taken by a ' + existing.kind + ' prefab';
+        hint.classList.add('warn');
+    } else if (existing) {
+        hint.textContent = 'Saves v' + ((existing.version || 1) + 1) + ' of the existing prefab';
+    } else {
+        hint.textContent = '';
+    }
+    document.getElementById('btn-confirm-prefab').textContent = existing ? 'Overwrite' : 'Save';
+}
+
+function confirmSavePrefab() {
+    var name = document.getElementById('prefab-name').value.trim();
+    var source = prefabSources[document.getElementById('prefab-source').value];
+    if (!source) return;
+    if (!SCENE_NAME_PATTERN.test(name)) {
+        toast('Prefab names may only use letters, digits, _ and -', 'error');
+        return;
+    }
+    if (name.charAt(0) === '_') {
+        toast('Prefab names can\'t start with _ (reserved for the prefab index)', 'error');
+        return;
+    }
+
+    var payload = { name: name };
+    for (var key in source.payload) payload[key] = source.payload[key];
+
+    nui('director:savePrefab', payload).then(function(r) {
+        if (!r.ok) { toast(r.message || 'Failed', 'error'); return; }
+        hidePrefabForm();
+    });
+}
+
+// =========================================================================
+// CAMERA HUD
+//
+// Lua pushes a camState message whenever the rendered camera moves (free
+// cam or preview): { pos, rot, fov, speed, entityId, distance }. Distance
+// is to the entity selected here, which Lua learns through
+// director:setHudEntity.
+// =========================================================================
+
+var hudEntityId = null;
+
+function updateCamHud(d) {
+    document.getElementById('cam-x').textContent = d.pos.x.toFixed(1);
+    document.getElementById('cam-y').textContent = d.pos.y.toFixed(1);
+    document.getElementById('cam-z').textContent = d.pos.z.toFixed(1);
+    document.getElementById('cam-pitch').textContent = d.rot.x.toFixed(1) + '\u00b0';
+    document.getElementById('cam-roll').textContent = d.rot.y.toFixed(1) + '\u00b0';
+    document.getElementById('cam-yaw').textContent = d.rot.z.toFixed(1) + '\u00b0';
+    document.getElementById('cam-fov').textContent = d.fov.toFixed(1);
+    document.getElementById('cam-speed').textContent = (d.speed || 0).toFixed(1) + ' m/s';
+
+    var dist = document.getElementById('cam-dist');
+    if (typeof d.distance === 'number') {
+        dist.textContent = d.distance.toFixed(2) + ' m';
+        dist.title = 'Distance to ' + d.entityId;
+    } else {
+        dist.textContent = '\u2014';
+        dist.title = 'Distance to the selected entity';
+    }
+}
+
+function setHudEntity(id) {
+    if (id === hudEntityId) return;
+    hudEntityId = id;
+    nui('director:setHudEntity', { id: id });
+}
+
+// =========================================================================
+// COMPOSITION GUIDES
+//
+// Drawn over the game view inside the frame of the scene's aspect mask
+// (scene.aspect, see OVERLAY_ASPECTS in overlay.js) — the same frame the
+// playback overlay masks to. Which guides are on is a per-user
+// preference kept in localStorage; the aspect belongs to the scene.
+// =========================================================================
+
+var GUIDE_STORAGE_KEY = 'director.guides';
+var guidePrefs = { visible: true, thirds: true, center: false, safe: false };
+
+function loadGuidePrefs() {
+    try {
+        var stored = JSON.parse(localStorage.getItem(GUIDE_STORAGE_KEY) || '{}') || {};
+        for (var key in guidePrefs) {
+            if (typeof stored[key] === 'boolean') guidePrefs[key] = stored[key];
+        }
+    } catch (e) { /* keep the defaults */ }
+
+    document.getElementById('guides-toggle').checked = guidePrefs.visible;
+    document.querySelectorAll('[data-guide]').forEach(function(box) {
+        box.checked = guidePrefs[box.getAttribute('data-guide')];
+    });
+}
+
+function saveGuidePrefs() {
+    try {
+        localStorage.setItem(GUIDE_STORAGE_KEY, JSON.stringify(guidePrefs));
+    } catch (e) { /* storage unavailable */ }
+}
+
+function fillAspectOptions() {
+    var select = document.getElementById('scene-aspect');
+    var html = '<option value="">Full screen</option>';
+    for (var key in OVERLAY_ASPECTS) {
+        html += '<option value="' + key + '">' + OVERLAY_ASPECTS[key].label + '</option>';
+    }
+    select.innerHTML = html;
+}
+
+function renderGuides() {
+    var aspect = OVERLAY_ASPECTS[scene.aspect] ? scene.aspect : '';
+    document.getElementById('scene-aspect').value = aspect;
+
+    var frame = document.getElementById('guide-frame');
+    overlayApplyFrame(frame, aspect);
+    frame.classList.remove('hidden');  // the frame carries the guides even unmasked
+    frame.classList.toggle('masked', !!aspect);
+
+    var show = guidePrefs.visible;
+    document.getElementById('frame-guides').classList.toggle('hidden', !show);
+    document.getElementById('guide-thirds').classList.toggle('hidden', !guidePrefs.thirds);
+    document.getElementById('guide-center').classList.toggle('hidden', !guidePrefs.center);
+    document.getElementById('guide-action-safe').classList.toggle('hidden', !guidePrefs.safe);
+    document.getElementById('guide-title-safe').classList.toggle('hidden', !guidePrefs.safe);
+}
+
+function setGuidesVisible(visible) {
+    guidePrefs.visible = visible;
+    document.getElementById('guides-toggle').checked = visible;
+    saveGuidePrefs();
+    renderGuides();
+}
+
+function setSceneAspect(aspect) {
+    var before = snapshotScene();
+    scene.aspect = aspect || undefined;
+    renderGuides();
+    editNui('director:updateScene', { aspect: aspect }, 'Change aspect mask', before);
+}
+
+// =========================================================================
+// FREE CAM SETTINGS
+//
+// Lua owns the values (clamped and stored per user); every change is sent
+// through director:setCamSettings and the form shows what Lua replies with.
+// =========================================================================
+
+// setting key → { input id, label id?, decimals for the label }
+var CAM_SETTING_FIELDS = {
+    speed: { id: 'cam-speed', label: 'cam-speed-val', decimals: 2 },
+    sensitivity: { id: 'cam-sensitivity', label: 'cam-sensitivity-val', decimals: 1 },
+    slowMultiplier: { id: 'cam-slow' },
+    fastMultiplier: { id: 'cam-fast' },
+    fovStep: { id: 'cam-fov-step' },
+    fovMin: { id: 'cam-fov-min' },
+    fovMax: { id: 'cam-fov-max' }
+};
+
+function fillCamSettings(settings) {
+    if (!settings) return;
+    for (var key in CAM_SETTING_FIELDS) {
+        if (settings[key] === undefined) continue;
+        var field = CAM_SETTING_FIELDS[key];
+        document.getElementById(field.id).value = settings[key];
+        if (field.label) {
+            document.getElementById(field.label).textContent = settings[key].toFixed(field.decimals);
+        }
+    }
+    document.getElementById('cam-roll-lock').checked = settings.rollLock !== false;
+}
+
+function sendCamSettings(partial) {
+    nui('director:setCamSettings', partial).then(function(r) {
+        if (r.ok) fillCamSettings(r.settings);
+    });
+}
+
+function bindCamSettings() {
+    Object.keys(CAM_SETTING_FIELDS).forEach(function(key) {
+        var field = CAM_SETTING_FIELDS[key];
+        var input = document.getElementById(field.id);
+        var isRange = input.type === 'range';
+
+        // Sliders apply live; number fields once the value is committed
+        input[isRange ? 'oninput' : 'onchange'] = function() {
+            var value = parseFloat(input.value);
+            if (isNaN(value)) return;
+            if (field.label) document.getElementById(field.label).textContent = value.toFixed(field.decimals);
+            var settings = {};
+            settings[key] = value;
+            sendCamSettings({ settings: settings });
+        };
+    });
+
+    document.getElementById('cam-roll-lock').onchange = function() {
+        sendCamSettings({ settings: { rollLock: this.checked } });
+    };
+    document.getElementById('btn-reset-cam-settings').onclick = function() {
+        sendCamSettings({ reset: true });
+    };
+}
+
+// =========================================================================
+// PREVIEW
+// =========================================================================
+
+var previewStartTime = 0;
+var isPreviewPaused = false;
+
+function enterPreviewMode() {
+    if (recordState !== 'idle') return;
+    var errors = countProblemErrors();
+    if (errors > 0) toast('Previewing with ' + errors + ' error' + (errors === 1 ? '' : 's') + ', see Problems', 'error');
+    // Start from the playhead; when looping a range, start inside it
+    var start = currentTimelineTime;
+    var data = { startTime: start, loop: loopEnabled };
+    if (loopEnabled) {
+        var bounds = getLoopBounds();
+        if (start < bounds.start || start >= bounds.end) start = bounds.start;
+        data.startTime = start;
+        data.loopStart = bounds.start;
+        data.loopEnd = bounds.end;
+    }
+
+    previewStartTime = start;
+    isPreviewPlaying = true;
+    setPreviewPaused(false);
+    document.getElementById('btn-preview').classList.add('hidden');
+    document.getElementById('btn-stop').classList.remove('hidden');
+    document.getElementById('btn-pause').classList.remove('hidden');
+    nui('director:preview', data);
+}
+
+function exitPreviewMode() {
+    isPreviewPlaying = false;
+    setPreviewPaused(false);
+    document.getElementById('btn-preview').classList.remove('hidden');
+    document.getElementById('btn-stop').classList.add('hidden');
+    document.getElementById('btn-pause').classList.add('hidden');
+    updatePlayhead(previewStartTime, scene.duration);
+}
+
+function togglePreviewPause() {
+    if (!isPreviewPlaying) return;
+    nui('director:togglePause', {}).then(function(r) {
+        if (r.ok) setPreviewPaused(r.paused);
+    });
+}
+
+function setPreviewPaused(paused) {
+    isPreviewPaused = paused;
+    document.getElementById('btn-pause').innerHTML = paused ? '&#9654; Resume' : '&#10074;&#10074; Pause';
+}
+
+// =========================================================================
+// LOAD DIALOG
+// =========================================================================
+
+// Rows come from the server manifest:
+// { name, duration, entities, keyframes, modified, author }
+var sceneLibrary = [];
+var sceneSort = { key: 'name', dir: 1 };
+var sceneRowEdit = null;        // { name, op: 'rename' | 'duplicate' } while the inline name input is open
+var sceneDeleteArmed = null;    // name awaiting a second Delete click
+var sceneDeleteTimer = null;
+var SCENE_NAME_PATTERN = /^[A-Za-z0-9_\-]+$/;
+
+function renderSceneList(scenes) {
+    // Older servers sent a flat list of names
+    sceneLibrary = scenes.map(function(s) {
+        return typeof s === 'string' ? { name: s } : s;
+    });
+    sceneRowEdit = null;
+    disarmSceneDelete();
+    renderSceneRows();
+    document.getElementById('load-dialog').classList.remove('hidden');
+}
+
+function openLoadDialog() {
+    document.getElementById('scene-search').value = '';
+    nui('director:listScenes', {});
+}
+
+function closeLoadDialog() {
+    document.getElementById('load-dialog').classList.add('hidden');
+    sceneRowEdit = null;
+    disarmSceneDelete();
+}
+
+function formatModified(seconds) {
+    if (!seconds) return '—';
+    var d = new Date(seconds * 1000);
+    function pad(n) { return n < 10 ? '0' + n : '' + n; }
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) +
+        ' ' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+}
+
+function getVisibleScenes() {
+    var query = document.getElementById('scene-search').value.trim().toLowerCase();
+    var rows = sceneLibrary.filter(function(s) {
+        if (!query) return true;
+        return s.name.toLowerCase().indexOf(query) !== -1 ||
+            (s.author || '').toLowerCase().indexOf(query) !== -1;
+    });
+
+    var key = sceneSort.key, dir = sceneSort.dir;
+    rows.sort(function(a, b) {
+        var va = a[key], vb = b[key];
+        if (typeof va === 'string' || typeof vb === 'string') {
+            return dir * String(va || '').localeCompare(String(vb || ''));
+        }
+        return dir * ((va || 0) - (vb || 0));
+    });
+    return rows;
+}
+
+function renderSceneRows() {
+    var list = document.getElementById('scene-file-list');
+    list.innerHTML = '';
+
+    document.querySelectorAll('#scene-list-head [data-sort]').forEach(function(el) {
+        var active = el.getAttribute('data-sort') === sceneSort.key;
+        el.classList.toggle('sorted', active);
+        el.setAttribute('data-dir', active ? (sceneSort.dir > 0 ? 'asc' : 'desc') : '');
+    });
+
+    var rows = getVisibleScenes();
+    if (rows.length === 0) {
+        list.innerHTML = '<div class="empty-hint">' +
+            (sceneLibrary.length === 0 ? 'No saved scenes.' : 'No scenes match the search.') + '</div>';
+        return;
+    }
+
+    for (var i = 0; i < rows.length; i++) {
+        list.appendChild(createSceneRow(rows[i]));
+    }
+}
+
+function createSceneRow(entry) {
+    var row = document.createElement('div');
+    row.className = 'scene-row';
+    if (scene && scene.name === entry.name) row.classList.add('current');
+    row.setAttribute('data-name', entry.name);
+
+    var editing = sceneRowEdit && sceneRowEdit.name === entry.name;
+    var nameCell = editing
+        ? '<span class="col-name"><input type="text" class="scene-name-input" spellcheck="false"></span>'
+        : '<span class="col-name" title="' + esc(entry.name) + '">' + esc(entry.name) + describeSceneLock(entry.lock) + '</span>';
+
+    row.innerHTML = nameCell +
+        '<span class="col-num">' + (entry.duration !== undefined ? entry.duration.toFixed(1) + 's' : '—') + '</span>' +
+        '<span class="col-num">' + (entry.entities !== undefined ? entry.entities : '—') + '</span>' +
+        '<span class="col-num">' + (entry.keyframes !== undefined ? entry.keyframes : '—') + '</span>' +
+        '<span class="col-date">' + formatModified(entry.modified) + '</span>' +
+        '<span class="col-author">' + esc(entry.author || '—') + '</span>' +
+        '<span class="col-actions">' +
+            '<button class="row-btn" data-op="rename" title="Rename">Ren</button>' +
+            '<button class="row-btn" data-op="duplicate" title="Duplicate">Dup</button>' +
+            '<button class="row-btn danger' + (sceneDeleteArmed === entry.name ? ' armed' : '') +
+                '" data-op="delete" title="Delete">' + (sceneDeleteArmed === entry.name ? 'Sure?' : 'Del') + '</button>' +
+        '</span>';
+
+    row.onclick = function(e) {
+        var btn = e.target.closest('.row-btn');
+        if (btn) {
+            e.stopPropagation();
+            onSceneRowAction(entry.name, btn.getAttribute('data-op'));
+            return;
+        }
+        if (editing) return;
+        confirmDiscardChanges('load', function() {
+            nui('director:loadScene', { name: entry.name });
+        });
+    };
+
+    if (editing) {
+        var input = row.querySelector('.scene-name-input');
+        input.value = sceneRowEdit.op === 'duplicate' ? suggestCopyName(entry.name) : entry.name;
+        input.onkeydown = function(e) {
+            // Keep Enter / Escape away from the global editor shortcuts
+            e.stopPropagation();
+            if (e.key === 'Enter') submitSceneRowEdit(input.value.trim());
+            if (e.key === 'Escape') { sceneRowEdit = null; renderSceneRows(); }
+        };
+        setTimeout(function() { input.focus(); input.select(); }, 0);
+    }
+
+    return row;
+}
+
+function suggestCopyName(name) {
+    var taken = {};
+    sceneLibrary.forEach(function(s) { taken[s.name] = true; });
+    var candidate = name + '_copy';
+    for (var n = 2; taken[candidate]; n++) candidate = name + '_copy' + n;
+    return candidate;
+}
+
+function onSceneRowAction(name, op) {
+    if (op === 'delete') {
+        if (sceneDeleteArmed !== name) {
+            // First click arms, second click (within 3s) deletes
+            disarmSceneDelete();
+            sceneDeleteArmed = name;
+            sceneDeleteTimer = setTimeout(function() { disarmSceneDelete(); renderSceneRows(); }, 3000);
+            renderSceneRows();
+            return;
+        }
+        disarmSceneDelete();
+        nui('director:deleteScene', { name: name });
+        return;
+    }
+
+    disarmSceneDelete();
+    sceneRowEdit = { name: name, op: op };
+    renderSceneRows();
+}
+
+function disarmSceneDelete() {
+    if (sceneDeleteTimer) clearTimeout(sceneDeleteTimer);
+    sceneDeleteTimer = null;
+    sceneDeleteArmed = null;
+}
+
+function submitSceneRowEdit(newName) {
+    var edit = sceneRowEdit;
+    if (!edit) return;
+
+    if (edit.op === 'rename' && newName === edit.name) {
+        sceneRowEdit = null;
+        renderSceneRows();
+        return;
+    }
+    if (!SCENE_NAME_PATTERN.test(newName)) {
+        toast('Scene names may only use letters, digits, _ and -', 'error');
+        return;
+    }
+    if (newName.charAt(0) === '_') {
+        toast('Scene names can\'t start with _ (reserved for the scene library)', 'error');
+        return;
+    }
+    for (var i = 0; i < sceneLibrary.length; i++) {
+        if (sceneLibrary[i].name === newName) {
+            toast('A scene named "' + newName + '" already exists', 'error');
+            return;
+        }
+    }
+
+    sceneRowEdit = null;
+    nui(edit.op === 'rename' ? 'director:renameScene' : 'director:duplicateScene', {
+        name: edit.name,
+        newName: newName
+    });
+}
+
+function onSceneLibraryResult(d) {
+    if (!d.ok) {
+        toast(d.message || ('Could not ' + d.op + ' scene'), 'error');
+        renderSceneRows();
+        return;
+    }
+    if (d.op === 'rename') toast('Renamed ' + d.name + ' → ' + d.newName, 'success');
+    else if (d.op === 'duplicate') toast('Duplicated ' + d.name + ' as ' + d.newName, 'success');
+    else if (d.op === 'delete') toast('Deleted ' + d.name, 'success');
+    else if (d.op === 'branch') onRevisionBranched(d);
+}
+
+// =========================================================================
+// REVISION HISTORY
+//
+// Every save is kept server-side as a numbered revision
+// (sv_revisions.lua). Rows come from the scene's revision index:
+// { revision, saved, author, duration, entities, keyframes }
+// The diff is worked out server-side; see DIFF in sv_revisions.lua.
+// =========================================================================
+
+var revisionScene = null;       // scene the dialog shows the history of
+var revisionList = [];          // oldest first, as the server keeps them
+var revisionBranchEdit = null;  // revision whose inline branch name input is open
+var revisionRestoring = null;   // revision requested for a restore
+
+var DIFF_SECTIONS = [
+    { key: 'scene', label: 'Scene' },
+    { key: 'camera', label: 'Camera keyframes' },
+    { key: 'entities', label: 'Entities' },
+    { key: 'events', label: 'Events' }
+];
+var DIFF_SYMBOLS = { added: '+', removed: '\u2212', changed: '~' };
+
+function isHistoryDialogOpen() {
+    return !document.getElementById('history-dialog').classList.contains('hidden');
+}
+
+function openHistoryDialog() {
+    revisionScene = scene.name || 'untitled';
+    revisionList = [];
+    revisionBranchEdit = null;
+    revisionRestoring = null;
+
+    document.getElementById('history-scene').textContent = revisionScene;
+    document.getElementById('revision-list').innerHTML = '<div class="empty-hint">Loading…</div>';
+    document.getElementById('history-diff').innerHTML = '';
+    document.getElementById('history-dialog').classList.remove('hidden');
+    nui('director:listRevisions', { name: revisionScene });
+}
+
+function closeHistoryDialog() {
+    document.getElementById('history-dialog').classList.add('hidden');
+    revisionBranchEdit = null;
+    revisionRestoring = null;
+}
+
+function onRevisionList(d) {
+    if (d.name !== revisionScene) return;
+    revisionList = d.revisions || [];
+
+    // Default comparison: the latest save against the one before it
+    var n = revisionList.length;
+    fillRevisionSelects(n > 1 ? revisionList[n - 2].revision : null, n > 0 ? revisionList[n - 1].revision : null);
+    renderRevisionRows();
+    requestRevisionDiff();
+}
+
+function getSelectedRevision(id) {
+    return parseInt(document.getElementById(id).value) || null;
+}
+
+function fillRevisionSelects(from, to) {
+    ['history-from', 'history-to'].forEach(function(id, i) {
+        var select = document.getElementById(id);
+        select.innerHTML = '';
+        for (var r = revisionList.length - 1; r >= 0; r--) {
+            var opt = document.createElement('option');
+            opt.value = revisionList[r].revision;
+            opt.textContent = 'r' + revisionList[r].revision;
+            select.appendChild(opt);
+        }
+        var value = i === 0 ? from : to;
+        if (value) select.value = value;
+    });
+}
+
+function renderRevisionRows() {
+    var list = document.getElementById('revision-list');
+    list.innerHTML = '';
+
+    if (revisionList.length === 0) {
+        list.innerHTML = '<div class="empty-hint">No saved revisions of "' + esc(revisionScene) + '" yet.</div>';
+        return;
+    }
+
+    for (var i = revisionList.length - 1; i >= 0; i--) {
+        list.appendChild(createRevisionRow(revisionList[i], i));
+    }
+}
+
+function createRevisionRow(entry, index) {
+    var rev = entry.revision;
+    var current = scene.meta && scene.meta.revision === rev && scene.name === revisionScene;
+    var editing = revisionBranchEdit === rev;
+
+    var row = document.createElement('div');
+    row.className = 'scene-row' + (current ? ' current' : '') +
+        (getSelectedRevision('history-to') === rev ? ' selected' : '');
+
+    var nameCell = editing
+        ? '<span class="col-name"><input type="text" class="scene-name-input" spellcheck="false"></span>'
+        : '<span class="col-name"' + (current ? ' title="The open scene is based on this revision"' : '') + '>r' + rev +
+            (current ? ' (open)' : '') + '</span>';
+
+    row.innerHTML = nameCell +
+        '<span class="col-num">' + (entry.duration !== undefined ? entry.duration.toFixed(1) + 's' : '—') + '</span>' +
+        '<span class="col-num">' + (entry.entities !== undefined ? entry.entities : '—') + '</span>' +
+        '<span class="col-num">' + (entry.keyframes !== undefined ? entry.keyframes : '—') + '</span>' +
+        '<span class="col-date">' + formatModified(entry.saved) + '</span>' +
+        '<span class="col-author">' + esc(entry.author || '—') + '</span>' +
+        '<span class="col-actions">' +
+            '<button class="row-btn" data-op="restore" title="Load this revision into the editor (undoable)">Restore</button>' +
+            '<button class="row-btn" data-op="branch" title="Save this revision as a new scene">Branch</button>' +
+        '</span>';
+
+    row.onclick = function(e) {
+        var btn = e.target.closest('.row-btn');
+        if (btn) {
+            e.stopPropagation();
+            onRevisionRowAction(rev, btn.getAttribute('data-op'));
+            return;
+        }
+        if (editing) return;
+        // Compare this revision with the one before it
+        var prev = index > 0 ? revisionList[index - 1].revision : rev;
+        fillRevisionSelects(prev, rev);
+        renderRevisionRows();
+        requestRevisionDiff();
+    };
+
+    if (editing) {
+        var input = row.querySelector('.scene-name-input');
+        input.value = revisionScene + '_r' + rev;
+        input.onkeydown = function(e) {
+            e.stopPropagation();
+            if (e.key === 'Enter') submitRevisionBranch(rev, input.value.trim());
+            if (e.key === 'Escape') { revisionBranchEdit = null; renderRevisionRows(); }
+        };
+        setTimeout(function() { input.focus(); input.select(); }, 0);
+    }
+
+    return row;
+}
+
+function onRevisionRowAction(rev, op) {
+    if (op === 'restore') {
+        if (isPreviewPlaying) return;
+        revisionRestoring = rev;
+        nui('director:requestRevision', { name: revisionScene, revision: rev });
+        return;
+    }
+    revisionBranchEdit = rev;
+    renderRevisionRows();
+}
+
+function submitRevisionBranch(rev, newName) {
+    if (!SCENE_NAME_PATTERN.test(newName)) {
+        toast('Scene names may only use letters, digits, _ and -', 'error');
+        return;
+    }
+    if (newName.charAt(0) === '_') {
+        toast('Scene names can\'t start with _ (reserved for the scene library)', 'error');
+        return;
+    }
+    revisionBranchEdit = null;
+    renderRevisionRows();
+    nui('director:branchRevision', { name: revisionScene, revision: rev, newName: newName });
+}
+
+// The branch is saved; offer to switch the editor over to it
+function onRevisionBranched(d) {
+    toast('Branched ' + d.name + ' as ' + d.newName, 'success');
+    if (!isHistoryDialogOpen()) return;
+    closeHistoryDialog();
+    confirmDiscardChanges('load', function() {
+        nui('director:loadScene', { name: d.newName });
+    });
+}
+
+// Restore into the working copy: an undoable edit, saved as a new
+// revision on the next save. Name and meta stay the open scene's.
+function onRevisionData(d) {
+    if (d.name !== revisionScene || d.revision !== revisionRestoring) return;
+    revisionRestoring = null;
+
+    if (!d.scene) {
+        toast('Revision r' + d.revision + ' not found', 'error');
+        return;
+    }
+
+    var restored = d.scene;
+    restored.name = scene.name;
+    restored.meta = scene.meta;
+    editNui('director:restoreScene', { scene: restored }, 'Restore revision r' + d.revision).then(function(r) {
+        if (!r.ok) { toast('Could not restore revision r' + d.revision, 'error'); return; }
+        closeHistoryDialog();
+        toast('Restored r' + d.revision + '. Save to keep it.', 'success');
+    });
+}
+
+function requestRevisionDiff() {
+    var from = getSelectedRevision('history-from');
+    var to = getSelectedRevision('history-to');
+    var out = document.getElementById('history-diff');
+
+    if (!from || !to || from === to) {
+        out.innerHTML = revisionList.length > 1
+            ? '<div class="report-row">Pick two different revisions to compare.</div>'
+            : '';
+        return;
+    }
+
+    out.innerHTML = '<div class="report-row">Comparing…</div>';
+    nui('director:diffRevisions', { name: revisionScene, from: from, to: to });
+}
+
+function onRevisionDiff(d) {
+    if (d.name !== revisionScene ||
+        d.from !== getSelectedRevision('history-from') ||
+        d.to !== getSelectedRevision('history-to')) return;
+
+    var out = document.getElementById('history-diff');
+    if (!d.diff) {
+        out.innerHTML = '<div class="report-head">' + esc(d.message || 'Could not compare') + '</div>';
+        return;
+    }
+    if (d.diff.length === 0) {
+        out.innerHTML = '<div class="report-ok">No differences between r' + d.from + ' and r' + d.to + '.</div>';
+        return;
+    }
+
+    var html = '';
+    DIFF_SECTIONS.forEach(function(section) {
+        var items = d.diff.filter(function(item) { return item.section === section.key; });
+        if (items.length === 0) return;
+        html += '<div class="report-section">' + section.label + '</div>';
+        items.forEach(function(item) {
+            html += '<div class="report-row ' + item.change + '">' +
+                '<span class="diff-symbol">' + DIFF_SYMBOLS[item.change] + '</span>' +
+                esc(item.label) +
+                (item.fields && item.fields.length ? ' <span class="diff-fields">(' + esc(item.fields.join(', ')) + ')</span>' : '') +
+                '</div>';
+        });
+    });
+    out.innerHTML = html;
+}
+
+// =========================================================================
+// EDIT LOCKS
+//
+// Lock status of the open scene from sv_locks.lua:
+// { holder, since, mine, others: [names], canForce }, or null for a
+// scene that has never been loaded or saved. While someone else holds
+// the lock the copy is read-only: edits and saves are refused here, and
+// the server refuses the save too.
+// =========================================================================
+
+var sceneLock = null;
+
+function formatClock(seconds) {
+    var d = new Date(seconds * 1000);
+    function pad(n) { return n < 10 ? '0' + n : '' + n; }
+    return pad(d.getHours()) + ':' + pad(d.getMinutes());
+}
+
+function isReadOnly() {
+    return !!(sceneLock && sceneLock.holder && !sceneLock.mine);
+}
+
+function readOnlyMessage() {
+    return 'Read-only: ' + sceneLock.holder + ' is editing this scene';
+}
+
+function setSceneLock(lock) {
+    var wasMine = !!(sceneLock && sceneLock.mine);
+    var wasReadOnly = isReadOnly();
+    var previousHolder = sceneLock && sceneLock.holder;
+    sceneLock = lock || null;
+
+    if (wasMine && isReadOnly()) {
+        toast(sceneLock.holder + ' took over editing. Your copy is read-only.', 'error');
+    } else if (wasReadOnly && sceneLock && !sceneLock.holder) {
+        toast(previousHolder + ' stopped editing. Take the lock to edit.', 'success');
+    }
+    renderLockBadge();
+}
+
+function renderLockBadge() {
+    var badge = document.getElementById('lock-badge');
+    var btn = document.getElementById('btn-take-lock');
+    var save = document.getElementById('btn-save');
+
+    save.disabled = isReadOnly();
+    save.title = isReadOnly() ? readOnlyMessage() : 'Save scene';
+    document.getElementById('scene-name').disabled = isReadOnly();
+    document.getElementById('scene-duration').disabled = isReadOnly();
+
+    if (!sceneLock) {
+        badge.classList.add('hidden');
+        btn.classList.add('hidden');
+        return;
+    }
+
+    var others = sceneLock.others || [];
+    var alsoOpen = others.length ? ' +' + others.length : '';
+    var alsoTitle = others.length ? '\nAlso open: ' + others.join(', ') : '';
+
+    badge.classList.remove('hidden', 'mine', 'locked');
+    btn.classList.add('hidden');
+
+    if (sceneLock.mine) {
+        badge.classList.add('mine');
+        badge.textContent = 'Editing' + alsoOpen;
+        badge.title = 'You hold the edit lock since ' + formatClock(sceneLock.since) + alsoTitle;
+    } else if (sceneLock.holder) {
+        badge.classList.add('locked');
+        badge.textContent = 'Read-only · ' + sceneLock.holder + alsoOpen;
+        badge.title = sceneLock.holder + ' is editing since ' + formatClock(sceneLock.since) + alsoTitle;
+        if (sceneLock.canForce) {
+            btn.textContent = 'Take Over';
+            btn.classList.remove('hidden');
+        }
+    } else {
+        badge.textContent = 'Not locked' + alsoOpen;
+        badge.title = 'Nobody holds the edit lock. Take it, or save to take it.' + alsoTitle;
+        btn.textContent = 'Take Lock';
+        btn.classList.remove('hidden');
+    }
+}
+
+function takeOverLock() {
+    if (!sceneLock) return;
+    if (!sceneLock.holder) {
+        nui('director:takeOverLock', {});
+        return;
+    }
+    showConfirm('Take over editing',
+        sceneLock.holder + ' is editing "' + scene.name + '". Taking over makes their copy read-only; ' +
+        'anything they haven\'t saved stays unsaved.', [
+        { label: 'Take Over', danger: true, action: function() { nui('director:takeOverLock', {}); } },
+        { label: 'Cancel', muted: true }
+    ]);
+}
+
+// Load dialog: who holds the lock on a library scene (if not us)
+function describeSceneLock(lock) {
+    if (!lock || lock.mine) return '';
+    return ' <span class="lock-tag" title="' + esc(lock.name) + ' is editing since ' + formatClock(lock.since) + '">' +
+        esc(lock.name) + '</span>';
+}
+
+// =========================================================================
+// SCENE SCHEMA
+//
+// Structural check for scene JSON coming from outside the editor (import).
+// Returns a list of { path, message } problems; empty means importable.
+// Positions may be {x,y,z} or [x,y,z] like the Lua loader accepts;
+// normalizeSceneVectors turns them all into {x,y,z} for the editor.
+// =========================================================================
+
+var ENTITY_TYPES = ['ped', 'object'];
+var ENTITY_ACTIONS = ['anim', 'stop_anim', 'move_to', 'teleport', 'freeze', 'unfreeze', 'delete'];
+
+function isNum(v) {
+    return typeof v === 'number' && isFinite(v);
+}
+
+function isVec3(v) {
+    if (Array.isArray(v)) return v.length === 3 && isNum(v[0]) && isNum(v[1]) && isNum(v[2]);
+    return !!v && typeof v === 'object' && isNum(v.x) && isNum(v.y) && isNum(v.z);
+}
+
+function validateSceneSchema(data) {
+    var errors = [];
+    function err(path, message) { errors.push({ path: path, message: message }); }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        err('(root)', 'scene must be a JSON object');
+        return errors;
+    }
+
+    if (typeof data.name !== 'string' || !data.name.trim()) err('name', 'must be a non-empty string');
+    if (!isNum(data.duration) || data.duration <= 0) err('duration', 'must be a number greater than 0');
+    if (data.aspect !== undefined && data.aspect !== null && !OVERLAY_ASPECTS.hasOwnProperty(data.aspect)) {
+        err('aspect', 'must be one of: ' + Object.keys(OVERLAY_ASPECTS).join(', '));
+    }
+
+    // Camera
+    if (!data.camera || typeof data.camera !== 'object') {
+        err('camera', 'must be an object with a keyframes array');
+    } else if (!Array.isArray(data.camera.keyframes)) {
+        err('camera.keyframes', 'must be an array');
+    } else {
+        if (data.camera.shots !== undefined) {
+            if (!Array.isArray(data.camera.shots)) err('camera.shots', 'must be an array');
+            else data.camera.shots.forEach(function(shot, i) {
+                var sp = 'camera.shots[' + i + ']';
+                if (!shot || typeof shot !== 'object') { err(sp, 'must be an object'); return; }
+                if (typeof shot.name !== 'string') err(sp + '.name', 'must be a string');
+                if (!isNum(shot.duration) || shot.duration <= 0) err(sp + '.duration', 'must be a number greater than 0');
+                if (shot.transition !== undefined && shot.transition !== 'cut' && shot.transition !== 'crossfade') {
+                    err(sp + '.transition', 'must be "cut" or "crossfade"');
+                }
+                if (shot.fade !== undefined && (!isNum(shot.fade) || shot.fade < 0)) err(sp + '.fade', 'must be a number >= 0');
+            });
+        }
+        data.camera.keyframes.forEach(function(kf, i) {
+            var p = 'camera.keyframes[' + i + ']';
+            if (!kf || typeof kf !== 'object') { err(p, 'must be an object'); return; }
+            if (!isNum(kf.time) || kf.time < 0) err(p + '.time', 'must be a number >= 0');
+            if (!isVec3(kf.pos)) err(p + '.pos', 'must be {x, y, z} or [x, y, z]');
+            if (!isVec3(kf.rot)) err(p + '.rot', 'must be {x, y, z} or [x, y, z]');
+            if (kf.fov !== undefined && !isNum(kf.fov)) err(p + '.fov', 'must be a number');
+            if (kf.easing !== undefined && easingNames.indexOf(kf.easing) === -1) {
+                err(p + '.easing', 'unknown easing "' + kf.easing + '" (one of: ' + easingNames.join(', ') + ')');
+            }
+            if (kf.bezier !== undefined && !(Array.isArray(kf.bezier) && kf.bezier.length === 4 && kf.bezier.every(isNum))) {
+                err(p + '.bezier', 'must be an array of 4 numbers');
+            }
+            if (kf.target !== undefined) {
+                var tp = p + '.target';
+                var target = kf.target;
+                if (!target || typeof target !== 'object') err(tp, 'must be an object');
+                else {
+                    if (target.mode !== 'look_at' && target.mode !== 'follow') err(tp + '.mode', 'must be "look_at" or "follow"');
+                    if (target.entityId !== undefined && typeof target.entityId !== 'string') err(tp + '.entityId', 'must be a string');
+                    if (target.point !== undefined && !isVec3(target.point)) err(tp + '.point', 'must be {x, y, z} or [x, y, z]');
+                    if (target.offset !== undefined && !isVec3(target.offset)) err(tp + '.offset', 'must be {x, y, z} or [x, y, z]');
+                    if (target.height !== undefined && !isNum(target.height)) err(tp + '.height', 'must be a number');
+                    if (target.mode === 'follow' && !target.entityId) err(tp + '.entityId', 'follow needs an entity');
+                    if (target.mode === 'look_at' && !target.entityId && target.point === undefined) {
+                        err(tp, 'look_at needs an entityId or a point');
+                    }
+                }
+            }
+        });
+    }
+
+    // Entities
+    if (!Array.isArray(data.entities)) {
+        err('entities', 'must be an array');
+    } else {
+        var seen = {};
+        data.entities.forEach(function(ent, i) {
+            var p = 'entities[' + i + ']';
+            if (!ent || typeof ent !== 'object') { err(p, 'must be an object'); return; }
+            if (typeof ent.id !== 'string' || !ent.id) err(p + '.id', 'must be a non-empty string');
+            else if (seen[ent.id]) err(p + '.id', 'duplicate id "' + ent.id + '"');
+            else seen[ent.id] = true;
+            if (ENTITY_TYPES.indexOf(ent.type) === -1) err(p + '.type', 'must be "ped" or "object"');
+            if (typeof ent.model !== 'string' || !ent.model) err(p + '.model', 'must be a non-empty string');
+            if (!ent.spawn || typeof ent.spawn !== 'object') err(p + '.spawn', 'must be an object with pos');
+            else {
+                if (!isVec3(ent.spawn.pos)) err(p + '.spawn.pos', 'must be {x, y, z} or [x, y, z]');
+                if (ent.spawn.heading !== undefined && !isNum(ent.spawn.heading)) err(p + '.spawn.heading', 'must be a number');
+            }
+
+            if (ent.keyframes === undefined) return;
+            if (!Array.isArray(ent.keyframes)) { err(p + '.keyframes', 'must be an array'); return; }
+            ent.keyframes.forEach(function(kf, k) {
+                var kp = p + '.keyframes[' + k + ']';
+                if (!kf || typeof kf !== 'object') { err(kp, 'must be an object'); return; }
+                if (!isNum(kf.time) || kf.time < 0) err(kp + '.time', 'must be a number >= 0');
+                var action = kf.action || kf.type;
+                if (ENTITY_ACTIONS.indexOf(action) === -1) {
+                    err(kp + '.action', 'unknown action "' + action + '" (one of: ' + ENTITY_ACTIONS.join(', ') + ')');
+                    return;
+                }
+                if (action === 'anim') {
+                    if (typeof kf.dict !== 'string') err(kp + '.dict', 'must be a string');
+                    if (typeof kf.name !== 'string') err(kp + '.name', 'must be a string');
+                    if (kf.flags !== undefined && !isNum(kf.flags)) err(kp + '.flags', 'must be a number');
+                } else if (action === 'move_to' || action === 'teleport') {
+                    if (!isVec3(kf.pos)) err(kp + '.pos', 'must be {x, y, z} or [x, y, z]');
+                    if (kf.speed !== undefined && !isNum(kf.speed)) err(kp + '.speed', 'must be a number');
+                    if (kf.heading !== undefined && !isNum(kf.heading)) err(kp + '.heading', 'must be a number');
+                }
+            });
+        });
+    }
+
+    // Events
+    if (data.events !== undefined) {
+        if (!Array.isArray(data.events)) {
+            err('events', 'must be an array');
+        } else {
+            data.events.forEach(function(ev, i) {
+                var p = 'events[' + i + ']';
+                if (!ev || typeof ev !== 'object') { err(p, 'must be an object'); return; }
+                if (!isNum(ev.time) || ev.time < 0) err(p + '.time', 'must be a number >= 0');
+                if (typeof ev.name !== 'string' || !EVENT_NAME_PATTERN.test(ev.name)) {
+                    err(p + '.name', 'must be an event name (letters, digits, _ : . -)');
+                }
+                if (ev.data !== undefined && (ev.data === null || typeof ev.data !== 'object')) {
+                    err(p + '.data', 'must be an object or array');
+                }
+            });
+        }
+    }
+
+    // Timeline markers
+    if (data.markers !== undefined) {
+        if (!Array.isArray(data.markers)) {
+            err('markers', 'must be an array');
+        } else {
+            data.markers.forEach(function(marker, i) {
+                var p = 'markers[' + i + ']';
+                if (!marker || typeof marker !== 'object') { err(p, 'must be an object'); return; }
+                if (!isNum(marker.time) || marker.time < 0) err(p + '.time', 'must be a number >= 0');
+                if (typeof marker.name !== 'string') err(p + '.name', 'must be a string');
+            });
+        }
+    }
+
+    // Sub-scene clips
+    if (data.subScenes !== undefined) {
+        if (!Array.isArray(data.subScenes)) {
+            err('subScenes', 'must be an array');
+        } else {
+            data.subScenes.forEach(function(clip, i) {
+                var p = 'subScenes[' + i + ']';
+                if (!clip || typeof clip !== 'object') { err(p, 'must be an object'); return; }
+                if (typeof clip.scene !== 'string' || !/^[\w-]+$/.test(clip.scene)) err(p + '.scene', 'must be a scene name');
+                if (!isNum(clip.time) || clip.time < 0) err(p + '.time', 'must be a number >= 0');
+                if (clip.trimIn !== undefined && (!isNum(clip.trimIn) || clip.trimIn < 0)) err(p + '.trimIn', 'must be a number >= 0');
+                if (clip.trimOut !== undefined && !isNum(clip.trimOut)) err(p + '.trimOut', 'must be a number');
+                if (clip.offset !== undefined && !isVec3(clip.offset)) err(p + '.offset', 'must be {x, y, z} or [x, y, z]');
+            });
+        }
+    }
+
+    // Overlay cues
+    if (data.overlays !== undefined) {
+        if (!Array.isArray(data.overlays)) {
+            err('overlays', 'must be an array');
+        } else {
+            data.overlays.forEach(function(cue, i) {
+                var p = 'overlays[' + i + ']';
+                if (!cue || typeof cue !== 'object') { err(p, 'must be an object'); return; }
+                if (!isNum(cue.time) || cue.time < 0) err(p + '.time', 'must be a number >= 0');
+                if (!isNum(cue.duration) || cue.duration < 0) err(p + '.duration', 'must be a number >= 0');
+                var type = OVERLAY_TYPES[cue.type];
+                if (!type) {
+                    err(p + '.type', 'must be one of: ' + Object.keys(OVERLAY_TYPES).join(', '));
+                } else if (type.states && !type.states.hasOwnProperty(cue.state)) {
+                    err(p + '.state', 'must be "in" or "out"');
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+function toVec3Object(v) {
+    return Array.isArray(v) ? { x: v[0], y: v[1], z: v[2] } : { x: v.x, y: v.y, z: v.z };
+}
+
+// Call only after validateSceneSchema passed
+function normalizeSceneVectors(data) {
+    data.camera.shots = data.camera.shots || [];
+    data.camera.keyframes.forEach(function(kf) {
+        kf.pos = toVec3Object(kf.pos);
+        kf.rot = toVec3Object(kf.rot);
+        if (kf.target && kf.target.point) kf.target.point = toVec3Object(kf.target.point);
+        if (kf.target && kf.target.offset) kf.target.offset = toVec3Object(kf.target.offset);
+    });
+    data.entities.forEach(function(ent) {
+        ent.spawn.pos = toVec3Object(ent.spawn.pos);
+        ent.keyframes = ent.keyframes || [];
+        ent.keyframes.forEach(function(kf) {
+            if (kf.pos) kf.pos = toVec3Object(kf.pos);
+        });
+    });
+    data.events = data.events || [];
+    data.overlays = data.overlays || [];
+    data.markers = data.markers || [];
+    data.subScenes = data.subScenes || [];
+    data.subScenes.forEach(function(clip) {
+        if (clip.offset) clip.offset = toVec3Object(clip.offset);
+    });
+    return data;
+}
+
+// =========================================================================
+// IMPORT / EXPORT (clipboard)
+// =========================================================================
+
+function copyToClipboard(text) {
+    // NUI pages often lack the async clipboard API; fall back to execCommand
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        return navigator.clipboard.writeText(text).catch(function() {
+            return legacyCopy(text);
+        });
+    }
+    return Promise.resolve(legacyCopy(text));
+}
+
+function legacyCopy(text) {
+    var ta = document.createElement('textarea');
+    ta.value = text;
+    ta.style.position = 'fixed';
+    ta.style.opacity = '0';
+    document.body.appendChild(ta);
+    ta.select();
+    var ok = false;
+    try { ok = document.execCommand('copy'); } catch (e) { ok = false; }
+    document.body.removeChild(ta);
+    if (!ok) throw new Error('copy failed');
+}
+
+function exportSceneToClipboard() {
+    var text = JSON.stringify(scene, null, 2);
+    copyToClipboard(text).then(function() {
+        toast('Scene copied to clipboard (' + text.length + ' chars)', 'success');
+    }).catch(function() {
+        // Last resort: show it so it can be copied by hand
+        openImportDialog(text);
+        toast('Clipboard unavailable — copy the JSON from the dialog', 'error');
+    });
+}
+
+function openImportDialog(prefill) {
+    document.getElementById('import-text').value = prefill || '';
+    renderImportReport(null);
+    document.getElementById('import-dialog').classList.remove('hidden');
+    document.getElementById('import-text').focus();
+}
+
+function closeImportDialog() {
+    document.getElementById('import-dialog').classList.add('hidden');
+}
+
+// Parse + validate the pasted text. Returns the scene or null.
+function checkImportText() {
+    var text = document.getElementById('import-text').value.trim();
+    if (!text) {
+        renderImportReport([{ path: '(input)', message: 'paste scene JSON first' }]);
+        return null;
+    }
+
+    var data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        renderImportReport([{ path: '(json)', message: e.message }]);
+        return null;
+    }
+
+    var errors = validateSceneSchema(data);
+    renderImportReport(errors);
+    return errors.length === 0 ? data : null;
+}
+
+function renderImportReport(errors) {
+    var report = document.getElementById('import-report');
+    report.innerHTML = '';
+    if (errors === null) { report.classList.add('hidden'); return; }
+    report.classList.remove('hidden');
+
+    if (errors.length === 0) {
+        report.innerHTML = '<div class="report-ok">Scene is valid.</div>';
+        return;
+    }
+
+    var head = document.createElement('div');
+    head.className = 'report-head';
+    head.textContent = errors.length + ' problem' + (errors.length === 1 ? '' : 's') + ' found:';
+    report.appendChild(head);
+
+    for (var i = 0; i < errors.length; i++) {
+        var row = document.createElement('div');
+        row.className = 'report-row';
+        row.innerHTML = '<span class="report-path">' + esc(errors[i].path) + '</span> ' + esc(errors[i].message);
+        report.appendChild(row);
+    }
+}
+
+// Scene waiting on the meta of the local scene it is about to replace
+var pendingImport = null;
+
+// The import keeps its source server's meta, so saving it over the
+// same-named scene here would be refused as a conflict. Ask for the local
+// scene's meta first and carry on in onImportSceneMeta.
+function confirmImport() {
+    var data = checkImportText();
+    if (!data) return;
+
+    normalizeSceneVectors(data);
+    pendingImport = data;
+    nui('director:requestSceneMeta', { name: data.name });
+}
+
+// Rebase the import onto the local scene of the same name, so it saves as
+// that scene's next revision; with no local scene it starts a new history
+function onImportSceneMeta(d) {
+    var data = pendingImport;
+    if (!data || data.name !== d.name) return;
+    pendingImport = null;
+
+    data.meta = data.meta && typeof data.meta === 'object' ? data.meta : {};
+    if (d.meta) {
+        data.meta.created = d.meta.created;
+        data.meta.revision = d.meta.revision;
+    } else {
+        delete data.meta.created;
+        delete data.meta.revision;
+    }
+
+    editNui('director:restoreScene', { scene: data }, 'Import scene').then(function(r) {
+        if (!r.ok) { toast('Import failed', 'error'); return; }
+        closeImportDialog();
+        tlZoom = 1.0;
+        tlScrollOffset = 0;
+        renderTimeline();
+        toast('Scene imported: ' + data.name, 'success');
+    });
+}
+
+// =========================================================================
+// ADD ENTITY FORM
+// =========================================================================
+
+function showAddEntityForm() {
+    document.getElementById('add-entity-form').classList.remove('hidden');
+    document.getElementById('new-entity-id').value = '';
+    document.getElementById('new-entity-model').value = '';
+    updateAddEntityChecks();
+}
+
+function hideAddEntityForm() {
+    closeModelSuggest();
+    document.getElementById('add-entity-form').classList.add('hidden');
+}
+
+function confirmAddEntity() {
+    var id = document.getElementById('new-entity-id').value.trim();
+    var type = document.getElementById('new-entity-type').value;
+    var model = document.getElementById('new-entity-model').value.trim();
+
+    var checks = updateAddEntityChecks();
+    if (checks.idError) {
+        toast(checks.idError, 'error');
+        document.getElementById('new-entity-id').focus();
+        return;
+    }
+    if (!model) { toast('Model required', 'error'); return; }
+
+    // Unlisted models take a second click
+    if (!checks.listed && unlistedModelConfirmed !== type + ':' + model) {
+        unlistedModelConfirmed = type + ':' + model;
+        document.getElementById('btn-confirm-entity').textContent = 'Add anyway';
+        return;
+    }
+
+    closeModelSuggest();
+    editNui('director:addEntity', { id: id, type: type, model: model }, 'Add entity').then(function(r) {
+        if (r.ok) {
+            rememberModel(type, model);
+            hideAddEntityForm();
+            toast('Entity added: ' + id, 'success');
+        } else {
+            toast(r.message || 'Failed', 'error');
+        }
+    });
+}
+
+// =========================================================================
+// MODEL PICKER
+//
+// Type-ahead over MODEL_CATALOG (catalog.js) for the Add Entity form,
+// with the models used most recently listed first. Models outside the
+// catalog are allowed but need a second click on Add.
+// =========================================================================
+
+var ENTITY_ID_PATTERN = /^[A-Za-z0-9_\-]+$/;
+var RECENT_MODELS_KEY = 'director.recentModels';
+var RECENT_MODELS_LIMIT = 8;
+var MODEL_SUGGEST_LIMIT = 60;
+
+var modelSuggestions = [];     // [{ model, group }] currently listed
+var modelSuggestActive = -1;
+var unlistedModelConfirmed = null; // "type:model" the user already confirmed
+
+function loadRecentModels() {
+    try {
+        var stored = JSON.parse(localStorage.getItem(RECENT_MODELS_KEY) || '{}') || {};
+        return {
+            ped: Array.isArray(stored.ped) ? stored.ped : [],
+            object: Array.isArray(stored.object) ? stored.object : []
+        };
+    } catch (e) {
+        return { ped: [], object: [] };
+    }
+}
+
+function rememberModel(type, model) {
+    var recent = loadRecentModels();
+    var list = (recent[type] || []).filter(function(m) { return m !== model; });
+    list.unshift(model);
+    recent[type] = list.slice(0, RECENT_MODELS_LIMIT);
+    try { localStorage.setItem(RECENT_MODELS_KEY, JSON.stringify(recent)); } catch (e) { /* storage unavailable */ }
+}
+
+// Catalog category of a model for an entity type, or null
+function findModelCategory(type, model) {
+    var groups = MODEL_CATALOG[type] || {};
+    for (var group in groups) {
+        if (groups[group].indexOf(model) !== -1) return group;
+    }
+    return null;
+}
+
+function getModelSuggestions(type, query) {
+    query = query.toLowerCase();
+    var results = [];
+    var seen = {};
+
+    function add(model, group) {
+        if (seen[model] || results.length >= MODEL_SUGGEST_LIMIT) return;
+        if (query && model.toLowerCase().indexOf(query) === -1) return;
+        seen[model] = true;
+        results.push({ model: model, group: group });
+    }
+
+    loadRecentModels()[type].forEach(function(m) { add(m, 'Recent'); });
+
+    // Catalog: names starting with the query before names containing it
+    var groups = MODEL_CATALOG[type] || {};
+    var contains = [];
+    Object.keys(groups).forEach(function(group) {
+        groups[group].forEach(function(m) {
+            if (!query || m.toLowerCase().indexOf(query) === 0) add(m, group);
+            else contains.push({ model: m, group: group });
+        });
+    });
+    contains.forEach(function(c) { add(c.model, c.group); });
+
+    return results;
+}
+
+function openModelSuggest() {
+    var type = document.getElementById('new-entity-type').value;
+    var query = document.getElementById('new-entity-model').value.trim();
+    modelSuggestions = getModelSuggestions(type, query);
+    modelSuggestActive = -1;
+    renderModelSuggest();
+}
+
+function closeModelSuggest() {
+    modelSuggestions = [];
+    modelSuggestActive = -1;
+    document.getElementById('model-suggest').classList.add('hidden');
+}
+
+function isModelSuggestOpen() {
+    return !document.getElementById('model-suggest').classList.contains('hidden');
+}
+
+function renderModelSuggest() {
+    var box = document.getElementById('model-suggest');
+    box.innerHTML = '';
+    if (modelSuggestions.length === 0) { box.classList.add('hidden'); return; }
+
+    var lastGroup = null;
+    modelSuggestions.forEach(function(s, i) {
+        if (s.group !== lastGroup) {
+            var head = document.createElement('div');
+            head.className = 'suggest-group';
+            head.textContent = s.group;
+            box.appendChild(head);
+            lastGroup = s.group;
+        }
+        var item = document.createElement('div');
+        item.className = 'suggest-item' + (i === modelSuggestActive ? ' active' : '');
+        item.textContent = s.model;
+        item.setAttribute('data-idx', i);
+        // mousedown so the input doesn't blur (and close the list) first
+        item.onmousedown = function(e) {
+            e.preventDefault();
+            pickModelSuggestion(parseInt(this.getAttribute('data-idx')));
+        };
+        box.appendChild(item);
+    });
+    box.classList.remove('hidden');
+
+    var active = box.querySelector('.suggest-item.active');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+function pickModelSuggestion(index) {
+    var s = modelSuggestions[index];
+    if (!s) return;
+    document.getElementById('new-entity-model').value = s.model;
+    closeModelSuggest();
+    updateAddEntityChecks();
+}
+
+function onModelInputKey(e) {
+    if (!isModelSuggestOpen()) {
+        if (e.key === 'ArrowDown') { e.preventDefault(); openModelSuggest(); }
+        else if (e.key === 'Enter') confirmAddEntity();
+        return;
+    }
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        var step = e.key === 'ArrowDown' ? 1 : -1;
+        modelSuggestActive = Math.max(0, Math.min(modelSuggestions.length - 1, modelSuggestActive + step));
+        renderModelSuggest();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+        if (modelSuggestActive >= 0) {
+            e.preventDefault();
+            pickModelSuggestion(modelSuggestActive);
+        } else {
+            closeModelSuggest();
+        }
+    } else if (e.key === 'Escape') {
+        // Only close the list, not the editor
+        e.stopPropagation();
+        closeModelSuggest();
+    }
+}
+
+function validateNewEntityId(id) {
+    if (!id) return 'ID required';
+    if (!ENTITY_ID_PATTERN.test(id)) return 'Only letters, digits, _ and -';
+    if (getEntityById(id)) return '"' + id + '" is already in the scene';
+    return null;
+}
+
+// Refresh the inline ID error and model hint. Returns { idError, listed }.
+function updateAddEntityChecks() {
+    var id = document.getElementById('new-entity-id').value.trim();
+    var type = document.getElementById('new-entity-type').value;
+    var model = document.getElementById('new-entity-model').value.trim();
+
+    var idError = id ? validateNewEntityId(id) : null;
+    var idEl = document.getElementById('new-entity-id-error');
+    idEl.textContent = idError || '';
+    idEl.classList.toggle('hidden', !idError);
+    document.getElementById('new-entity-id').classList.toggle('invalid', !!idError);
+
+    var hint = document.getElementById('new-entity-model-hint');
+    var category = model ? findModelCategory(type, model) : null;
+    var otherType = type === 'ped' ? 'object' : 'ped';
+    hint.className = 'field-hint';
+    if (!model) {
+        hint.textContent = '';
+    } else if (category) {
+        hint.textContent = '✓ ' + category;
+        hint.classList.add('ok');
+    } else if (findModelCategory(otherType, model)) {
+        hint.textContent = 'Listed as ' + (otherType === 'ped' ? 'a ped' : 'an object') + ' model, not ' + type;
+        hint.classList.add('warn');
+    } else {
+        hint.textContent = 'Not in the catalog. The game is checked when it spawns.';
+        hint.classList.add('warn');
+    }
 
-function onEntityClick(e) {
-    if (e.target.classList.contains('item-delete')) {
-        nui('director:removeEntity', { id: e.target.getAttribute('data-id') });
-        if (selectedEntityId === e.target.getAttribute('data-id')) selectedEntityId = null;
-        return;
+    if (unlistedModelConfirmed !== type + ':' + model) {
+        unlistedModelConfirmed = null;
+        document.getElementById('btn-confirm-entity').textContent = 'Add';
     }
-    selectedEntityId = this.getAttribute('data-id');
-    renderEntityList();
+
+    return { idError: id ? idError : validateNewEntityId(id), listed: !!category };
 }
 
 // =========================================================================
-// CAMERA POLLING
+// UNDO / REDO
+//
+// Every edit that goes to Lua is recorded as a snapshot of the scene as it
+// was before the edit. Undo/redo hands a snapshot back to Lua through
+// director:restoreScene, which swaps editScene and re-syncs spawned
+// entities, so the two sides never drift apart.
 // =========================================================================
 
-function startCamPoll() {
-    stopCamPoll();
-    camPollInterval = setInterval(function() {
-        nui('director:getCamState', {}).then(function(r) {
-            if (!r.ok) return;
-            document.getElementById('cam-x').textContent = r.pos.x.toFixed(1);
-            document.getElementById('cam-y').textContent = r.pos.y.toFixed(1);
-            document.getElementById('cam-z').textContent = r.pos.z.toFixed(1);
-            document.getElementById('cam-fov').textContent = r.fov.toFixed(1);
-        });
-    }, 250);
+var HISTORY_LIMIT = 100;
+var undoStack = [];   // [{ label, scene: <json string> }]
+var redoStack = [];
+var historyBusy = false;
+
+function snapshotScene() {
+    return JSON.stringify(scene);
 }
 
-function stopCamPoll() {
-    if (camPollInterval) { clearInterval(camPollInterval); camPollInterval = null; }
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    updateHistoryButtons();
 }
 
-// =========================================================================
-// PREVIEW
-// =========================================================================
+// Send an editing call to Lua and record it in the undo history once it
+// succeeds. `before` is an optional snapshot for edits that already touched
+// the local scene (drag preview, name/duration inputs).
+function editNui(name, data, label, before) {
+    if (isReadOnly()) {
+        toast(readOnlyMessage(), 'error');
+        return Promise.resolve({ ok: false, message: readOnlyMessage() });
+    }
+    var snapshot = before || snapshotScene();
+    return nui(name, data).then(function(r) {
+        if (r.ok) {
+            undoStack.push({ label: label, scene: snapshot });
+            if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+            redoStack = [];
+            updateHistoryButtons();
+        }
+        return r;
+    });
+}
 
-function enterPreviewMode() {
-    isPreviewPlaying = true;
-    document.getElementById('btn-preview').classList.add('hidden');
-    document.getElementById('btn-stop').classList.remove('hidden');
-    stopCamPoll();
-    nui('director:preview', {});
+function undo() {
+    stepHistory(undoStack, redoStack, 'Undo');
 }
 
-function exitPreviewMode() {
-    isPreviewPlaying = false;
-    document.getElementById('btn-preview').classList.remove('hidden');
-    document.getElementById('btn-stop').classList.add('hidden');
-    startCamPoll();
-    updatePlayhead(0, scene.duration);
+function redo() {
+    stepHistory(redoStack, undoStack, 'Redo');
+}
+
+function stepHistory(from, to, verb) {
+    if (historyBusy || from.length === 0 || isPreviewPlaying) return;
+
+    var entry = from.pop();
+    var current = snapshotScene();
+    historyBusy = true;
+
+    // Snapshots carry the meta from when they were taken; keep the current
+    // one, or undoing past a save would bring back the old revision and
+    // the next save would be rejected as a conflict
+    var restored = JSON.parse(entry.scene);
+    restored.meta = scene.meta;
+
+    nui('director:restoreScene', { scene: restored }).then(function(r) {
+        historyBusy = false;
+        if (!r.ok) {
+            from.push(entry);
+            toast(verb + ' failed', 'error');
+        } else {
+            to.push({ label: entry.label, scene: current });
+            toast(verb + ': ' + entry.label);
+        }
+        updateHistoryButtons();
+    });
+}
+
+function updateHistoryButtons() {
+    var undoBtn = document.getElementById('btn-undo');
+    var redoBtn = document.getElementById('btn-redo');
+    var lastUndo = undoStack[undoStack.length - 1];
+    var lastRedo = redoStack[redoStack.length - 1];
+
+    undoBtn.disabled = !lastUndo;
+    redoBtn.disabled = !lastRedo;
+    undoBtn.title = lastUndo ? 'Undo ' + lastUndo.label + shortcutHint('undo') : 'Nothing to undo';
+    redoBtn.title = lastRedo ? 'Redo ' + lastRedo.label + shortcutHint('redo') : 'Nothing to redo';
 }
 
 // =========================================================================
-// LOAD DIALOG
+// PROBLEMS
+//
+// Lint results for the working scene. The rules live in Lua
+// (shared/sh_validation.lua) so the server can enforce the same ones on
+// save; the list is refreshed after every scene update. Refs use Lua's
+// 1-based indices.
 // =========================================================================
 
-function renderSceneList(scenes) {
-    var list = document.getElementById('scene-file-list');
+var sceneProblems = [];
+var validateTimer = null;
+
+function requestValidation() {
+    if (validateTimer) clearTimeout(validateTimer);
+    validateTimer = setTimeout(function() {
+        validateTimer = null;
+        nui('director:validateScene', {}).then(function(r) {
+            if (r.ok) setProblems(r.problems);
+        });
+    }, 200);
+}
+
+function setProblems(problems) {
+    // Lua encodes an empty list as {}
+    sceneProblems = Array.isArray(problems) ? problems : [];
+    renderProblems();
+}
+
+function countProblemErrors() {
+    return sceneProblems.filter(function(p) { return p.severity === 'error'; }).length;
+}
+
+function renderProblems() {
+    var errors = countProblemErrors();
+    var warnings = sceneProblems.length - errors;
+
+    var badge = document.getElementById('problems-badge');
+    badge.classList.toggle('hidden', sceneProblems.length === 0);
+    badge.classList.toggle('has-errors', errors > 0);
+    badge.textContent = [
+        errors ? errors + ' error' + (errors === 1 ? '' : 's') : '',
+        warnings ? warnings + ' warning' + (warnings === 1 ? '' : 's') : ''
+    ].filter(Boolean).join(' · ');
+
+    document.getElementById('problems-section').classList.toggle('hidden', sceneProblems.length === 0);
+    var list = document.getElementById('problem-list');
     list.innerHTML = '';
-    if (scenes.length === 0) {
-        list.innerHTML = '<div class="empty-hint">No saved scenes.</div>';
-    }
-    for (var i = 0; i < scenes.length; i++) {
+    sceneProblems.forEach(function(problem, i) {
         var item = document.createElement('div');
-        item.className = 'list-item';
-        item.innerHTML = '<span class="item-label">' + esc(scenes[i]) + '</span>';
-        item.setAttribute('data-name', scenes[i]);
-        item.onclick = function() {
-            nui('director:loadScene', { name: this.getAttribute('data-name') });
-        };
+        item.className = 'list-item problem ' + problem.severity;
+        item.innerHTML =
+            '<span class="problem-icon">' + (problem.severity === 'error' ? '&#9679;' : '&#9650;') + '</span>' +
+            '<span class="item-label">' + esc(problem.message) + '</span>';
+        item.title = problem.message;
+        item.setAttribute('data-idx', i);
+        item.onclick = function() { jumpToProblem(sceneProblems[parseInt(this.getAttribute('data-idx'))]); };
         list.appendChild(item);
+    });
+}
+
+function revealProblems() {
+    var section = document.getElementById('problems-section');
+    section.scrollIntoView({ block: 'nearest' });
+    section.classList.remove('flash');
+    void section.offsetWidth; // restart the animation
+    section.classList.add('flash');
+}
+
+// Select the item a problem points at and move the playhead to it
+function jumpToProblem(problem) {
+    var ref = problem && problem.ref;
+    if (!ref) return;
+    var index = ref.index ? ref.index - 1 : null;
+    var item = null;
+
+    switch (ref.kind) {
+        case 'scene':
+            if (ref.field === 'aspect') {
+                document.getElementById('scene-aspect').focus();
+                return;
+            }
+            var field = document.getElementById(ref.field === 'duration' ? 'scene-duration' : 'scene-name');
+            field.focus();
+            field.select();
+            return;
+        case 'camera':
+            if (index === null) return;
+            selectCameraKeyframe(index, false);
+            item = scene.camera.keyframes[index];
+            break;
+        case 'shot':
+            selectShot(index);
+            return;
+        case 'entity':
+            selectEntity(ref.entityId);
+            return;
+        case 'entityKeyframe':
+            selectEntityKeyframe(ref.entityId, index);
+            var ent = getEntityById(ref.entityId);
+            item = ent && ent.keyframes[index];
+            break;
+        case 'event':
+            selectEvent(index);
+            item = (scene.events || [])[index];
+            break;
+        case 'overlay':
+            selectOverlay(index);
+            item = (scene.overlays || [])[index];
+            break;
+        case 'marker':
+            selectMarker(index);
+            item = (scene.markers || [])[index];
+            break;
+        case 'subScene':
+            selectSubScene(index);
+            item = (scene.subScenes || [])[index];
+            break;
+    }
+
+    if (item && typeof item.time === 'number') {
+        // Past-the-end items: the playhead stops at the scene end
+        scrubTo(Math.min(item.time, scene.duration || 30));
     }
-    document.getElementById('load-dialog').classList.remove('hidden');
 }
 
 // =========================================================================
-// ADD ENTITY FORM
+// UNSAVED CHANGES / DRAFTS
+//
+// The scene is dirty when it no longer matches the last saved / loaded
+// fingerprint, so undoing back to the saved state counts as clean.
+// While dirty, a draft is pushed to the server every DRAFT_INTERVAL ms;
+// the server hands it back the next time the editor opens.
 // =========================================================================
 
-function showAddEntityForm() {
-    document.getElementById('add-entity-form').classList.remove('hidden');
-    document.getElementById('new-entity-id').value = '';
-    document.getElementById('new-entity-model').value = '';
+var DRAFT_INTERVAL = 30000;
+var savedFingerprint = null;
+var pendingSaveFingerprint = null;
+var lastDraftFingerprint = null;
+var closeAfterSave = false;
+var draftTimer = null;
+var pendingDraft = null;        // { scene, savedAt } offered for recovery
+
+// Key order of tables coming from Lua isn't stable, so sort keys
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(stableStringify).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort().map(function(k) {
+            return JSON.stringify(k) + ':' + stableStringify(value[k]);
+        }).join(',') + '}';
+    }
+    return JSON.stringify(value);
 }
 
-function hideAddEntityForm() {
-    document.getElementById('add-entity-form').classList.add('hidden');
+// meta is stamped by the server on save, not edited here
+function sceneFingerprint() {
+    var content = {};
+    for (var key in scene) {
+        if (key !== 'meta') content[key] = scene[key];
+    }
+    return stableStringify(content);
 }
 
-function confirmAddEntity() {
-    var id = document.getElementById('new-entity-id').value.trim();
-    var type = document.getElementById('new-entity-type').value;
-    var model = document.getElementById('new-entity-model').value.trim();
-    if (!id || !model) { toast('ID and Model required', 'error'); return; }
+function markSceneClean() {
+    savedFingerprint = sceneFingerprint();
+    lastDraftFingerprint = savedFingerprint;
+    updateDirtyIndicator();
+}
+
+function isSceneDirty() {
+    return savedFingerprint !== null && sceneFingerprint() !== savedFingerprint;
+}
+
+function updateDirtyIndicator() {
+    var dirty = isSceneDirty();
+    var el = document.getElementById('dirty-indicator');
+    el.classList.toggle('hidden', !dirty);
+    document.getElementById('btn-save').classList.toggle('primary', dirty);
+}
+
+function saveScene() {
+    if (isReadOnly()) {
+        closeAfterSave = false;
+        toast(readOnlyMessage(), 'error');
+        return;
+    }
+    scene.name = document.getElementById('scene-name').value.trim() || 'untitled';
+    scene.duration = parseFloat(document.getElementById('scene-duration').value) || 30;
+    pendingSaveFingerprint = sceneFingerprint();
+    nui('director:updateScene', { name: scene.name, duration: scene.duration });
+    nui('director:saveScene', {}).then(function(r) {
+        if (r.ok || !r.problems) return;
+        // Blocked by validation errors
+        pendingSaveFingerprint = null;
+        closeAfterSave = false;
+        setProblems(r.problems);
+        revealProblems();
+        toast(r.message || 'Fix the errors before saving', 'error');
+    });
+}
+
+function onSceneSaved(d) {
+    var revision = d.meta && d.meta.revision;
+    toast(d.success ? ('Saved: ' + d.name + (revision ? ' (r' + revision + ')' : '')) : (d.message || 'Save failed'),
+        d.success ? 'success' : 'error');
+    if (d.success && d.meta && scene.name === d.name) {
+        scene.meta = d.meta;
+        if (isHistoryDialogOpen() && revisionScene === d.name) nui('director:listRevisions', { name: d.name });
+    }
+    if (d.success && pendingSaveFingerprint !== null) {
+        savedFingerprint = pendingSaveFingerprint;
+        lastDraftFingerprint = savedFingerprint;
+        updateDirtyIndicator();
+    }
+    pendingSaveFingerprint = null;
+
+    if (closeAfterSave) {
+        closeAfterSave = false;
+        if (d.success) nui('director:close', {});
+    }
+}
+
+// Escape / × go through here instead of closing straight away
+function requestClose() {
+    if (!isSceneDirty()) {
+        nui('director:close', {});
+        return;
+    }
+    showConfirm('Unsaved changes', '"' + (scene.name || 'untitled') + '" has unsaved changes.', [
+        { label: 'Save & Close', action: function() { closeAfterSave = true; saveScene(); } },
+        { label: 'Discard', danger: true, action: function() {
+            nui('director:discardDraft', {});
+            nui('director:close', {});
+        } },
+        { label: 'Cancel', muted: true }
+    ]);
+}
+
+// Run `proceed` now, or after confirming that unsaved edits get dropped
+function confirmDiscardChanges(verb, proceed) {
+    if (!isSceneDirty()) { proceed(); return; }
+    showConfirm('Unsaved changes', 'Discard unsaved changes to "' + (scene.name || 'untitled') + '" and ' + verb + '?', [
+        { label: 'Discard & ' + verb.charAt(0).toUpperCase() + verb.slice(1), danger: true, action: function() {
+            nui('director:discardDraft', {});
+            proceed();
+        } },
+        { label: 'Cancel', muted: true }
+    ]);
+}
+
+function startDraftTimer() {
+    stopDraftTimer();
+    draftTimer = setInterval(autosaveDraft, DRAFT_INTERVAL);
+}
+
+function stopDraftTimer() {
+    if (draftTimer) clearInterval(draftTimer);
+    draftTimer = null;
+}
+
+function autosaveDraft() {
+    if (isPreviewPlaying || !isSceneDirty()) return;
+    var fingerprint = sceneFingerprint();
+    if (fingerprint === lastDraftFingerprint) return;
+
+    nui('director:saveDraft', {}).then(function(r) {
+        if (!r.ok) return;
+        lastDraftFingerprint = fingerprint;
+        document.getElementById('dirty-indicator').title =
+            'Unsaved changes (draft autosaved ' + new Date().toLocaleTimeString() + ')';
+    });
+}
+
+function offerDraftRecovery(d) {
+    if (!d.scene) return;
+    pendingDraft = { scene: d.scene, savedAt: d.savedAt };
+
+    var when = d.savedAt ? new Date(d.savedAt * 1000).toLocaleString() : 'an earlier session';
+    showConfirm('Recover draft', 'An autosaved draft of "' + (d.scene.name || 'untitled') +
+        '" from ' + when + ' was found.', [
+        { label: 'Recover', action: recoverDraft },
+        { label: 'Discard', danger: true, action: function() {
+            pendingDraft = null;
+            nui('director:discardDraft', {});
+        } },
+        { label: 'Later', muted: true }
+    ]);
+}
+
+function recoverDraft() {
+    if (!pendingDraft) return;
+    var draft = pendingDraft;
+    pendingDraft = null;
+
+    // Undoable, and stays dirty until saved
+    editNui('director:restoreScene', { scene: draft.scene }, 'Recover draft').then(function(r) {
+        if (!r.ok) { toast('Draft recovery failed', 'error'); return; }
+        tlZoom = 1.0;
+        tlScrollOffset = 0;
+        renderTimeline();
+        toast('Draft recovered — save to keep it', 'success');
+    });
+}
+
+// =========================================================================
+// CONFIRM DIALOG
+//
+// NUI has no reliable window.confirm, so prompts use this dialog.
+// buttons: [{ label, action?, danger?, muted? }]; any button closes it.
+// =========================================================================
 
-    nui('director:addEntity', { id: id, type: type, model: model }).then(function(r) {
-        if (r.ok) { hideAddEntityForm(); toast('Entity added: ' + id, 'success'); }
-        else { toast(r.message || 'Failed', 'error'); }
+function showConfirm(title, message, buttons) {
+    document.getElementById('confirm-title').textContent = title;
+    document.getElementById('confirm-message').textContent = message;
+
+    var actions = document.getElementById('confirm-actions');
+    actions.innerHTML = '';
+    buttons.forEach(function(b) {
+        var btn = document.createElement('button');
+        btn.className = 'small-btn' + (b.muted ? ' muted' : '') + (b.danger ? ' danger' : '');
+        btn.textContent = b.label;
+        btn.onclick = function() {
+            hideConfirm();
+            if (b.action) b.action();
+        };
+        actions.appendChild(btn);
     });
+
+    document.getElementById('confirm-dialog').classList.remove('hidden');
+}
+
+function hideConfirm() {
+    document.getElementById('confirm-dialog').classList.add('hidden');
+}
+
+function isConfirmOpen() {
+    return !document.getElementById('confirm-dialog').classList.contains('hidden');
 }
 
 // =========================================================================
@@ -527,11 +5442,19 @@ function toast(msg, type) {
 // UTIL
 // =========================================================================
 
+// True when keyboard input belongs to a text field, not to the editor
+function isTypingTarget(el) {
+    if (!el || !el.tagName) return false;
+    var tag = el.tagName.toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || el.isContentEditable;
+}
+
+// Safe for text and quoted attributes alike; player names end up in title=""
 function esc(s) {
     if (!s) return '';
     var d = document.createElement('div');
     d.appendChild(document.createTextNode(s));
-    return d.innerHTML;
+    return d.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // =========================================================================
@@ -539,46 +5462,190 @@ function esc(s) {
 // =========================================================================
 
 document.addEventListener('DOMContentLoaded', function() {
-    document.getElementById('btn-close').onclick = function() { nui('director:close', {}); };
+    setEasingNames(null);
+    loadShortcutBindings();
+    fillAspectOptions();
+    loadGuidePrefs();
 
-    document.getElementById('btn-save').onclick = function() {
-        scene.name = document.getElementById('scene-name').value.trim() || 'untitled';
-        scene.duration = parseFloat(document.getElementById('scene-duration').value) || 30;
-        nui('director:updateScene', { name: scene.name, duration: scene.duration });
-        nui('director:saveScene', {});
-    };
+    document.getElementById('btn-close').onclick = requestClose;
 
-    document.getElementById('btn-load').onclick = function() { nui('director:listScenes', {}); };
+    document.getElementById('btn-undo').onclick = undo;
+    document.getElementById('btn-redo').onclick = redo;
+
+    document.getElementById('btn-save').onclick = saveScene;
+    document.getElementById('problems-badge').onclick = revealProblems;
+
+    document.getElementById('btn-load').onclick = openLoadDialog;
+    document.getElementById('scene-search').oninput = renderSceneRows;
+    document.querySelectorAll('#scene-list-head [data-sort]').forEach(function(el) {
+        el.onclick = function() {
+            var key = el.getAttribute('data-sort');
+            sceneSort = { key: key, dir: sceneSort.key === key ? -sceneSort.dir : 1 };
+            renderSceneRows();
+        };
+    });
+    document.getElementById('btn-export').onclick = exportSceneToClipboard;
+    document.getElementById('btn-import').onclick = function() { openImportDialog(''); };
+    document.getElementById('btn-check-import').onclick = checkImportText;
+    document.getElementById('btn-confirm-import').onclick = confirmImport;
+    document.getElementById('btn-cancel-import').onclick = closeImportDialog;
     document.getElementById('btn-preview').onclick = enterPreviewMode;
+    document.getElementById('btn-pause').onclick = togglePreviewPause;
+    document.getElementById('tl-loop-toggle').onclick = function() { setLoopEnabled(!loopEnabled); renderTimelineRuler(); };
+    document.getElementById('tl-cam-toggle').onclick = function() {
+        scrubDrivesCamera = !scrubDrivesCamera;
+        this.classList.toggle('active', scrubDrivesCamera);
+    };
+    document.getElementById('tl-rec-toggle').onclick = toggleRecording;
+    document.getElementById('tl-zoom-fit').onclick = zoomToFit;
+    document.getElementById('tl-zoom-sel').onclick = zoomToSelection;
+    document.getElementById('tl-time').onkeydown = onTimeInputKey;
+    document.getElementById('tl-time').onblur = function() { this.value = formatTime(currentTimelineTime); };
+    document.getElementById('guides-toggle').onchange = function() { setGuidesVisible(this.checked); };
+    document.querySelectorAll('[data-guide]').forEach(function(box) {
+        box.onchange = function() {
+            guidePrefs[box.getAttribute('data-guide')] = box.checked;
+            saveGuidePrefs();
+            renderGuides();
+        };
+    });
+    document.getElementById('scene-aspect').onchange = function() { setSceneAspect(this.value); };
+    window.addEventListener('resize', renderGuides);
+    document.getElementById('btn-add-marker').onclick = addMarkerAtPlayhead;
+    document.getElementById('btn-apply-marker').onclick = applyMarkerForm;
+    document.getElementById('btn-close-marker').onclick = hideMarkerForm;
+    document.getElementById('marker-name').onkeydown = function(e) {
+        if (e.key === 'Enter') applyMarkerForm();
+    };
+    document.getElementById('btn-take-keep').onclick = keepTake;
+    document.getElementById('btn-take-discard').onclick = discardTake;
+    document.getElementById('take-pos-tol').oninput = simplifyTake;
+    document.getElementById('take-rot-tol').oninput = simplifyTake;
     document.getElementById('btn-stop').onclick = function() {
         nui('director:stopPreview', {});
         exitPreviewMode();
     };
 
-    document.getElementById('btn-add-cam-kf').onclick = function() {
-        nui('director:addCameraKeyframe', { time: currentTimelineTime, easing: 'ease-in-out' });
+    document.getElementById('btn-add-cam-kf').onclick = addCameraKeyframeAtPlayhead;
+
+    document.getElementById('btn-apply-ckf').onclick = function() { applyCamKfForm(false); };
+    document.getElementById('btn-add-shot').onclick = addShotAtPlayhead;
+    document.getElementById('btn-apply-shot').onclick = applyShotForm;
+    document.getElementById('shot-transition').onchange = syncShotFadeField;
+    document.getElementById('btn-close-shot').onclick = function() { selectShot(null); };
+    document.getElementById('ckf-target-mode').onchange = function() {
+        renderCamTargetEntities();
+        syncCamTargetFields();
+    };
+    document.getElementById('ckf-target-entity').onchange = syncCamTargetFields;
+    document.getElementById('btn-ckf-target-aim').onclick = fillCamTargetPointFromCamera;
+    document.getElementById('ckf-easing').onchange = syncBezierEditor;
+    document.getElementById('tl-curves-toggle').onclick = toggleCurvePanel;
+    var curveToggles = document.querySelectorAll('#curve-legend input');
+    for (var i = 0; i < curveToggles.length; i++) curveToggles[i].onchange = renderCurveGraph;
+    document.getElementById('btn-ckf-from-cam').onclick = function() { applyCamKfForm(true); };
+    document.getElementById('btn-ckf-goto').onclick = function() {
+        if (selectedCamKf !== null) nui('director:gotoCameraKeyframe', { index: selectedCamKf + 1 });
     };
+    document.getElementById('btn-close-ckf').onclick = function() {
+        selectCameraKeyframe(null);
+        setTimelineSelection([]);
+    };
+
+    bindCamSettings();
 
-    document.getElementById('cam-speed').oninput = function() {
-        document.getElementById('cam-speed-val').textContent = parseFloat(this.value).toFixed(1);
+    document.getElementById('btn-add-event').onclick = function() {
+        selectedEvent = null;
+        showEventForm(null);
+        renderEventList();
+    };
+    document.getElementById('btn-confirm-event').onclick = confirmEvent;
+    Object.keys(OVERLAY_TYPES).forEach(function(type) {
+        document.getElementById('btn-add-overlay-' + type).onclick = function() { addOverlayAtPlayhead(type); };
+    });
+    document.getElementById('btn-apply-overlay').onclick = applyOverlayForm;
+    document.getElementById('btn-add-subscene').onclick = addSubSceneAtPlayhead;
+    document.getElementById('btn-apply-subscene').onclick = applySubSceneForm;
+    document.getElementById('btn-close-subscene').onclick = hideSubSceneForm;
+    document.getElementById('btn-cancel-overlay').onclick = hideOverlayForm;
+    document.getElementById('overlay-preview-toggle').onchange = function() {
+        overlayPreviewEnabled = this.checked;
+        previewOverlayAtPlayhead();
+    };
+    document.getElementById('btn-cancel-event').onclick = hideEventForm;
+    document.getElementById('event-data').oninput = function() {
+        var parsed = parseEventData(this.value);
+        setEventDataError(parsed.ok ? null : parsed.error);
     };
 
     document.getElementById('btn-add-entity').onclick = showAddEntityForm;
     document.getElementById('btn-confirm-entity').onclick = confirmAddEntity;
+    var modelInput = document.getElementById('new-entity-model');
+    modelInput.oninput = function() { openModelSuggest(); updateAddEntityChecks(); };
+    modelInput.onfocus = openModelSuggest;
+    modelInput.onblur = closeModelSuggest;
+    modelInput.onkeydown = onModelInputKey;
+    document.getElementById('new-entity-id').oninput = updateAddEntityChecks;
+    document.getElementById('new-entity-type').onchange = function() {
+        updateAddEntityChecks();
+        if (document.activeElement === modelInput) openModelSuggest();
+    };
     document.getElementById('btn-cancel-entity').onclick = hideAddEntityForm;
 
-    document.getElementById('btn-cancel-load').onclick = function() {
-        document.getElementById('load-dialog').classList.add('hidden');
+    ['x', 'y', 'z'].forEach(function(axis) {
+        document.getElementById('spawn-pos-' + axis).onchange = applySpawnPos;
+    });
+    document.getElementById('spawn-heading').onchange = applySpawnHeading;
+    document.getElementById('btn-spawn-aim').onclick = placeEntityAtAim;
+    document.getElementById('btn-spawn-ground').onclick = snapEntityToGround;
+
+    document.getElementById('btn-add-entity-kf').onclick = function() {
+        selectedEntityKf = null;
+        showEntityKfForm(null);
+        renderEntityKeyframes();
+        renderTimelineMarkers();
+    };
+    document.getElementById('ekf-action').onchange = syncEntityKfFields;
+    document.getElementById('btn-ekf-pos-cam').onclick = fillEntityKfPosFromCamera;
+    document.getElementById('btn-confirm-ekf').onclick = confirmEntityKf;
+    document.getElementById('btn-cancel-ekf').onclick = function() {
+        selectedEntityKf = null;
+        hideEntityKfForm();
+        renderEntityKeyframes();
+        renderTimelineMarkers();
+    };
+
+    document.getElementById('btn-new-prefab').onclick = showPrefabForm;
+    document.getElementById('prefab-source').onchange = suggestPrefabName;
+    document.getElementById('prefab-name').oninput = updatePrefabNameHint;
+    document.getElementById('btn-confirm-prefab').onclick = confirmSavePrefab;
+    document.getElementById('btn-cancel-prefab').onclick = hidePrefabForm;
+
+    document.getElementById('btn-cancel-load').onclick = closeLoadDialog;
+
+    document.getElementById('btn-history').onclick = openHistoryDialog;
+    document.getElementById('btn-take-lock').onclick = takeOverLock;
+    document.getElementById('btn-close-history').onclick = closeHistoryDialog;
+    document.getElementById('history-from').onchange = requestRevisionDiff;
+    document.getElementById('history-to').onchange = function() {
+        renderRevisionRows();
+        requestRevisionDiff();
     };
 
+    document.getElementById('btn-shortcuts').onclick = openShortcutDialog;
+    document.getElementById('btn-close-shortcuts').onclick = closeShortcutDialog;
+    document.getElementById('btn-reset-shortcuts').onclick = resetShortcuts;
+
     document.getElementById('scene-name').onchange = function() {
+        var before = snapshotScene();
         scene.name = this.value.trim() || 'untitled';
-        nui('director:updateScene', { name: scene.name });
+        editNui('director:updateScene', { name: scene.name }, 'Rename scene', before);
     };
 
     document.getElementById('scene-duration').onchange = function() {
+        var before = snapshotScene();
         scene.duration = parseFloat(this.value) || 30;
-        nui('director:updateScene', { duration: scene.duration });
+        editNui('director:updateScene', { duration: scene.duration }, 'Change duration', before);
         document.getElementById('tl-duration').textContent = formatTime(scene.duration);
         tlZoom = 1.0;
         tlScrollOffset = 0;
@@ -586,9 +5653,318 @@ document.addEventListener('DOMContentLoaded', function() {
     };
 });
 
-// Escape to close
+// =========================================================================
+// KEYBOARD SHORTCUTS
+//
+// Every action below can be rebound from the cheat sheet (? by default);
+// bindings are kept in localStorage. Escape is fixed: it cancels a drag,
+// closes the top dialog, or asks to close the editor. Nothing fires while
+// a text field has focus.
+// =========================================================================
+
+var SHORTCUT_STORAGE_KEY = 'director.shortcuts';
+var FRAME_STEP = 1 / 30;
+
+var SHORTCUT_ACTIONS = [
+    { id: 'playPause', group: 'Playback', label: 'Play / pause preview', keys: ['Space'], run: function() {
+        if (recordState !== 'idle') toggleRecording();
+        else if (isPreviewPlaying) togglePreviewPause();
+        else enterPreviewMode();
+    } },
+    { id: 'stopPreview', group: 'Playback', label: 'Stop preview', keys: ['Shift+Space'], run: function() {
+        if (!isPreviewPlaying) return;
+        nui('director:stopPreview', {});
+        exitPreviewMode();
+    } },
+    { id: 'record', group: 'Playback', label: 'Record camera take (again to stop)', keys: ['R'], run: toggleRecording },
+    { id: 'toggleLoop', group: 'Playback', label: 'Toggle loop range', keys: ['L'], run: function() {
+        setLoopEnabled(!loopEnabled);
+        renderTimelineRuler();
+    } },
+
+    { id: 'frameBack', group: 'Playhead', label: 'Back one frame', keys: ['ArrowLeft'], repeat: true, run: function() { stepPlayhead(-FRAME_STEP); } },
+    { id: 'frameForward', group: 'Playhead', label: 'Forward one frame', keys: ['ArrowRight'], repeat: true, run: function() { stepPlayhead(FRAME_STEP); } },
+    { id: 'secondBack', group: 'Playhead', label: 'Back one second', keys: ['Shift+ArrowLeft'], repeat: true, run: function() { stepPlayhead(-1); } },
+    { id: 'secondForward', group: 'Playhead', label: 'Forward one second', keys: ['Shift+ArrowRight'], repeat: true, run: function() { stepPlayhead(1); } },
+    { id: 'prevKeyframe', group: 'Playhead', label: 'Previous keyframe', keys: ['Ctrl+ArrowLeft'], repeat: true, run: function() { jumpToKeyframe(-1); } },
+    { id: 'nextKeyframe', group: 'Playhead', label: 'Next keyframe', keys: ['Ctrl+ArrowRight'], repeat: true, run: function() { jumpToKeyframe(1); } },
+    { id: 'gotoStart', group: 'Playhead', label: 'Go to start', keys: ['Home'], run: function() { scrubTo(0); } },
+    { id: 'gotoEnd', group: 'Playhead', label: 'Go to end', keys: ['End'], run: function() { scrubTo(scene.duration || 30); } },
+    { id: 'prevMarker', group: 'Playhead', label: 'Previous marker', keys: ['['], repeat: true, run: function() { jumpToMarker(-1); } },
+    { id: 'nextMarker', group: 'Playhead', label: 'Next marker', keys: [']'], repeat: true, run: function() { jumpToMarker(1); } },
+    { id: 'focusTime', group: 'Playhead', label: 'Type a playhead time', keys: ['T'], run: function() {
+        var input = document.getElementById('tl-time');
+        input.focus();
+        input.select();
+    } },
+
+    { id: 'zoomFit', group: 'Timeline', label: 'Zoom to fit the whole scene', keys: ['F'], run: zoomToFit },
+    { id: 'zoomSelection', group: 'Timeline', label: 'Zoom to selection', keys: ['Shift+F'], run: zoomToSelection },
+    { id: 'toggleGuides', group: 'View', label: 'Show / hide composition guides', keys: ['G'], run: function() {
+        setGuidesVisible(!guidePrefs.visible);
+    } },
+
+    { id: 'addCameraKeyframe', group: 'Editing', label: 'Add camera keyframe at playhead', keys: ['K'], edits: true, run: addCameraKeyframeAtPlayhead },
+    { id: 'addShot', group: 'Editing', label: 'Cut a new shot at playhead', keys: ['C'], edits: true, run: addShotAtPlayhead },
+    { id: 'addMarker', group: 'Editing', label: 'Add marker at playhead', keys: ['M'], edits: true, run: addMarkerAtPlayhead },
+    { id: 'deleteSelection', group: 'Editing', label: 'Delete selected keyframes / events / cues', keys: ['Delete'], edits: true, run: deleteTimelineSelection },
+    { id: 'undo', group: 'Editing', label: 'Undo', keys: ['Ctrl+Z'], repeat: true, run: undo },
+    { id: 'redo', group: 'Editing', label: 'Redo', keys: ['Ctrl+Shift+Z', 'Ctrl+Y'], repeat: true, run: redo },
+
+    { id: 'save', group: 'General', label: 'Save scene', keys: ['Ctrl+S'], run: saveScene },
+    { id: 'showShortcuts', group: 'General', label: 'Show this cheat sheet', keys: ['?'], run: openShortcutDialog }
+];
+
+var shortcutBindings = {};      // action id → [combo]
+var shortcutCapture = null;     // action id waiting for a key press
+
+function getShortcutAction(id) {
+    for (var i = 0; i < SHORTCUT_ACTIONS.length; i++) {
+        if (SHORTCUT_ACTIONS[i].id === id) return SHORTCUT_ACTIONS[i];
+    }
+    return null;
+}
+
+function loadShortcutBindings() {
+    var stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(SHORTCUT_STORAGE_KEY) || '{}') || {};
+    } catch (e) {
+        stored = {};
+    }
+
+    shortcutBindings = {};
+    SHORTCUT_ACTIONS.forEach(function(a) {
+        shortcutBindings[a.id] = Array.isArray(stored[a.id]) ? stored[a.id].slice() : a.keys.slice();
+    });
+}
+
+function saveShortcutBindings() {
+    try {
+        localStorage.setItem(SHORTCUT_STORAGE_KEY, JSON.stringify(shortcutBindings));
+    } catch (e) {
+        toast('Could not store shortcuts', 'error');
+    }
+}
+
+// "Ctrl+Shift+Z" style name for a key event, or null for a bare modifier.
+// Shift is dropped for symbols since it is already part of the character.
+function comboFromEvent(e) {
+    var key = e.key;
+    if (key === 'Control' || key === 'Shift' || key === 'Alt' || key === 'Meta') return null;
+    if (key === ' ') key = 'Space';
+
+    var symbol = key.length === 1 && !/[a-z]/i.test(key);
+    if (key.length === 1) key = key.toUpperCase();
+
+    var parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey && !symbol) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+function findShortcutAction(combo) {
+    for (var id in shortcutBindings) {
+        if (shortcutBindings[id].indexOf(combo) !== -1) return getShortcutAction(id);
+    }
+    return null;
+}
+
+function formatCombo(combo) {
+    return combo
+        .replace('ArrowLeft', '\u2190').replace('ArrowRight', '\u2192')
+        .replace('ArrowUp', '\u2191').replace('ArrowDown', '\u2193')
+        .replace(/\+/g, ' + ');
+}
+
+// " (Ctrl + Z)" for tooltips, or '' when the action is unbound
+function shortcutHint(id) {
+    var keys = shortcutBindings[id];
+    return keys && keys.length ? ' (' + formatCombo(keys[0]) + ')' : '';
+}
+
+function stepPlayhead(delta) {
+    var duration = scene.duration || 30;
+    scrubTo(Math.max(0, Math.min(duration, currentTimelineTime + delta)));
+}
+
+// Move the playhead to the nearest keyframe or event in a direction
+function jumpToKeyframe(direction) {
+    var times = (scene.camera.keyframes || []).map(function(kf) { return kf.time; });
+    (scene.entities || []).forEach(function(ent) {
+        (ent.keyframes || []).forEach(function(kf) { times.push(kf.time); });
+    });
+    (scene.events || []).forEach(function(ev) { times.push(ev.time); });
+    (scene.overlays || []).forEach(function(cue) { times.push(cue.time); });
+    (scene.subScenes || []).forEach(function(clip) { times.push(clip.time); });
+
+    var target = null;
+    times.forEach(function(t) {
+        if (direction > 0 && t > currentTimelineTime + 1e-4 && (target === null || t < target)) target = t;
+        if (direction < 0 && t < currentTimelineTime - 1e-4 && (target === null || t > target)) target = t;
+    });
+    if (target !== null) scrubTo(target);
+}
+
+function deleteTimelineSelection() {
+    if (tlSelection.length === 0) return;
+
+    var items = tlSelection.map(function(ref) {
+        return { entityId: ref.entityId, kind: ref.kind, index: ref.index + 1 };
+    });
+    var count = items.length;
+
+    // Indices are about to shift; drop every selection first
+    setTimelineSelection([]);
+    selectCameraKeyframe(null);
+    selectedEvent = null;
+    hideEventForm();
+    hideOverlayForm();
+    hideSubSceneForm();
+    selectedEntityKf = null;
+    hideEntityKfForm();
+
+    editNui('director:deleteKeyframes', { items: items }, count === 1 ? 'Delete keyframe' : 'Delete ' + count + ' keyframes').then(function(r) {
+        if (!r.ok) toast(r.message || 'Delete failed', 'error');
+    });
+}
+
+// Cheat sheet / remapping -------------------------------------------------
+
+function openShortcutDialog() {
+    shortcutCapture = null;
+    renderShortcutList();
+    document.getElementById('shortcut-dialog').classList.remove('hidden');
+}
+
+function closeShortcutDialog() {
+    shortcutCapture = null;
+    document.getElementById('shortcut-dialog').classList.add('hidden');
+}
+
+function isShortcutDialogOpen() {
+    return !document.getElementById('shortcut-dialog').classList.contains('hidden');
+}
+
+function renderShortcutList() {
+    var list = document.getElementById('shortcut-list');
+    list.innerHTML = '';
+
+    var group = null;
+    SHORTCUT_ACTIONS.forEach(function(a) {
+        if (a.group !== group) {
+            group = a.group;
+            var head = document.createElement('div');
+            head.className = 'shortcut-group';
+            head.textContent = group;
+            list.appendChild(head);
+        }
+
+        var row = document.createElement('div');
+        row.className = 'shortcut-row';
+        var keys = shortcutBindings[a.id];
+        var chips;
+        if (shortcutCapture === a.id) {
+            chips = '<span class="key-chip capturing">Press a key\u2026</span>';
+        } else if (keys.length === 0) {
+            chips = '<span class="key-chip unbound">unbound</span>';
+        } else {
+            chips = keys.map(function(k) { return '<span class="key-chip">' + esc(formatCombo(k)) + '</span>'; }).join('');
+        }
+        row.innerHTML = '<span class="shortcut-label">' + esc(a.label) + '</span>' +
+            '<span class="shortcut-keys" title="Click to rebind">' + chips + '</span>' +
+            '<span class="shortcut-clear" title="Remove binding">\u00d7</span>';
+
+        row.querySelector('.shortcut-keys').onclick = function() {
+            shortcutCapture = a.id;
+            renderShortcutList();
+        };
+        row.querySelector('.shortcut-clear').onclick = function() {
+            shortcutBindings[a.id] = [];
+            shortcutCapture = null;
+            saveShortcutBindings();
+            renderShortcutList();
+        };
+        list.appendChild(row);
+    });
+
+    var fixed = document.createElement('div');
+    fixed.className = 'shortcut-row fixed';
+    fixed.innerHTML = '<span class="shortcut-label">Cancel drag / close dialog / close editor</span>' +
+        '<span class="shortcut-keys"><span class="key-chip">Esc</span></span><span></span>';
+    list.appendChild(fixed);
+}
+
+function captureShortcut(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+        shortcutCapture = null;
+        renderShortcutList();
+        return;
+    }
+
+    var combo = comboFromEvent(e);
+    if (!combo) return;
+
+    var id = shortcutCapture;
+    shortcutCapture = null;
+
+    // A combo belongs to one action; take it away from whoever had it
+    var previous = findShortcutAction(combo);
+    if (previous && previous.id !== id) {
+        shortcutBindings[previous.id] = shortcutBindings[previous.id].filter(function(k) { return k !== combo; });
+        toast(formatCombo(combo) + ' moved from "' + previous.label + '"');
+    }
+
+    shortcutBindings[id] = [combo];
+    saveShortcutBindings();
+    renderShortcutList();
+    updateHistoryButtons();
+}
+
+function resetShortcuts() {
+    try { localStorage.removeItem(SHORTCUT_STORAGE_KEY); } catch (e) { /* storage unavailable */ }
+    loadShortcutBindings();
+    shortcutCapture = null;
+    renderShortcutList();
+    toast('Shortcuts reset to defaults');
+}
+
+function isAnyDialogOpen() {
+    var dialogs = document.querySelectorAll('.dialog');
+    for (var i = 0; i < dialogs.length; i++) {
+        if (!dialogs[i].classList.contains('hidden')) return true;
+    }
+    return false;
+}
+
 document.addEventListener('keydown', function(e) {
+    if (document.getElementById('editor').classList.contains('hidden')) return;
+
+    if (shortcutCapture) { captureShortcut(e); return; }
+
     if (e.key === 'Escape') {
-        nui('director:close', {});
+        if (tlKfDrag) { cancelKfDrag(); return; }
+        if (isConfirmOpen()) { hideConfirm(); return; }
+        if (isShortcutDialogOpen()) { closeShortcutDialog(); return; }
+        if (!document.getElementById('import-dialog').classList.contains('hidden')) { closeImportDialog(); return; }
+        if (!document.getElementById('load-dialog').classList.contains('hidden')) { closeLoadDialog(); return; }
+        if (isHistoryDialogOpen()) { closeHistoryDialog(); return; }
+        requestClose();
+        return;
     }
+
+    if (isTypingTarget(e.target) || isAnyDialogOpen()) return;
+
+    var combo = comboFromEvent(e);
+    var action = combo && findShortcutAction(combo);
+    if (!action) return;
+
+    e.preventDefault();
+    if (e.repeat && !action.repeat) return;
+    if (action.edits && isPreviewPlaying) return;
+    action.run();
 });
@@ -0,0 +1,170 @@
+/*  =========================================================================
+    DIRECTOR — Playback Overlay
+
+    Subtitles, letterbox bars, fades to/from black and title cards drawn
+    over the game view while a scene plays. Independent of the editor:
+    it stays up after the editor UI is hidden, so runtime playback
+    (/playscene, exports) gets it too.
+
+    Lua (cl_playback.lua):
+        overlayStart        { overlays: [...], aspect }  scene cues, sorted
+                            by time, and the scene's frame mask (optional)
+        playbackTimeUpdate  { time }             every frame and on seek
+        overlayStop         {}
+
+    Every frame is worked out from the time alone, so seeking, pausing and
+    looping need no extra state. The editor calls overlayPreview() to show
+    the same frame while scrubbing.
+========================================================================= */
+
+var overlayCues = null;  // null = nothing playing
+var overlayAspect = null;
+
+var TITLE_FADE = 0.6;    // seconds a title card takes to fade in / out
+
+// Frame masks a scene can pick (scene.aspect); the editor's composition
+// guides draw the same frame
+var OVERLAY_ASPECTS = {
+    '2.39': { label: '2.39:1 Scope', ratio: 2.39 },
+    '1.85': { label: '1.85:1 Flat', ratio: 1.85 },
+    '4:3': { label: '4:3 Academy', ratio: 4 / 3 }
+};
+
+// =========================================================================
+// LUA → JS MESSAGES
+// =========================================================================
+
+window.addEventListener('message', function(e) {
+    var d = e.data;
+    if (!d || !d.action) return;
+
+    switch (d.action) {
+        case 'overlayStart':
+            overlayCues = d.overlays || [];
+            overlayAspect = d.aspect || null;
+            overlayRender(0);
+            break;
+        case 'playbackTimeUpdate':
+            if (overlayCues) overlayRender(d.time);
+            break;
+        case 'overlayStop':
+            overlayCues = null;
+            overlayAspect = null;
+            overlayClear();
+            break;
+    }
+});
+
+// =========================================================================
+// FRAME STATE
+// =========================================================================
+
+function overlayClamp01(v) {
+    return Math.max(0, Math.min(1, v));
+}
+
+// Bars / black level at `time` from "in" / "out" cues of one type.
+// Each cue eases linearly from wherever the previous one left off.
+function overlayLevelAt(cues, type, time) {
+    var level = 0;
+    for (var i = 0; i < cues.length; i++) {
+        var cue = cues[i];
+        if (cue.type !== type) continue;
+        if (cue.time > time) break;
+
+        var target = cue.state === 'in' ? 1 : 0;
+        if (type === 'fade') {
+            // Black level: "out" goes to black, "in" always comes from it
+            target = 1 - target;
+            if (cue.state === 'in') level = 1;
+        }
+
+        var p = cue.duration > 0 ? overlayClamp01((time - cue.time) / cue.duration) : 1;
+        level = level + (target - level) * p;
+    }
+    return level;
+}
+
+// Latest cue of a type that is on screen at `time`
+function overlayActiveCue(cues, type, time) {
+    var active = null;
+    for (var i = 0; i < cues.length; i++) {
+        var cue = cues[i];
+        if (cue.time > time) break;
+        if (cue.type === type && time < cue.time + (cue.duration || 0)) active = cue;
+    }
+    return active;
+}
+
+// Visible frame for an aspect ratio, as fractions of the screen:
+// letterboxed when wider than the screen, pillarboxed when narrower.
+// The whole screen for no / an unknown aspect.
+function overlayFrameRect(aspect) {
+    var entry = OVERLAY_ASPECTS[aspect];
+    var screen = window.innerWidth / window.innerHeight;
+    if (!entry || !screen) return { left: 0, top: 0, width: 1, height: 1 };
+    if (entry.ratio > screen) {
+        var h = screen / entry.ratio;
+        return { left: 0, top: (1 - h) / 2, width: 1, height: h };
+    }
+    var w = entry.ratio / screen;
+    return { left: (1 - w) / 2, top: 0, width: w, height: 1 };
+}
+
+// Size a mask element (a box whose outside is blacked out) to the frame
+function overlayApplyFrame(el, aspect) {
+    var r = overlayFrameRect(aspect);
+    el.classList.toggle('hidden', !OVERLAY_ASPECTS[aspect]);
+    el.style.left = (r.left * 100) + '%';
+    el.style.top = (r.top * 100) + '%';
+    el.style.width = (r.width * 100) + '%';
+    el.style.height = (r.height * 100) + '%';
+}
+
+// =========================================================================
+// RENDER
+// =========================================================================
+
+function overlayRender(time, cues) {
+    cues = cues || overlayCues || [];
+    var root = document.getElementById('overlay');
+    root.classList.remove('hidden');
+
+    overlayApplyFrame(document.getElementById('overlay-frame'), overlayCues ? overlayAspect : null);
+
+    var bars = overlayLevelAt(cues, 'letterbox', time);
+    root.style.setProperty('--letterbox', bars.toFixed(3));
+    document.getElementById('overlay-fade').style.opacity = overlayLevelAt(cues, 'fade', time).toFixed(3);
+
+    var sub = overlayActiveCue(cues, 'subtitle', time);
+    var subEl = document.getElementById('overlay-subtitle');
+    subEl.classList.toggle('hidden', !sub);
+    if (sub) {
+        document.getElementById('overlay-speaker').textContent = sub.speaker || '';
+        document.getElementById('overlay-speaker').classList.toggle('hidden', !sub.speaker);
+        document.getElementById('overlay-line').textContent = sub.text || '';
+    }
+
+    var title = overlayActiveCue(cues, 'title', time);
+    var titleEl = document.getElementById('overlay-title');
+    titleEl.classList.toggle('hidden', !title);
+    if (title) {
+        var into = time - title.time;
+        var left = title.time + title.duration - time;
+        var fade = Math.min(TITLE_FADE, title.duration / 2);
+        titleEl.style.opacity = fade > 0 ? overlayClamp01(Math.min(into, left) / fade).toFixed(3) : 1;
+        document.getElementById('overlay-title-main').textContent = title.title || '';
+        document.getElementById('overlay-title-sub').textContent = title.subtitle || '';
+    }
+}
+
+function overlayClear() {
+    document.getElementById('overlay').classList.add('hidden');
+}
+
+// Editor scrubbing: show the frame at `time` unless a playback owns the overlay
+function overlayPreview(cues, time) {
+    if (overlayCues) return;
+    if (!cues || cues.length === 0) { overlayClear(); return; }
+    overlayRender(time, cues);
+}
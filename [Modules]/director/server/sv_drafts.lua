@@ -0,0 +1,99 @@
+--[[ =========================================================================
+    FILE: server/sv_drafts.lua
+    RUNS ON: Server only
+
+    PURPOSE:
+    Autosaved editor drafts. The editor pushes the working scene here
+    while it has unsaved changes, and gets it back the next time the
+    editor opens so a crash or a careless close doesn't lose work.
+
+    FILE FORMAT:
+    One draft per player in director/drafts/, named after the player's
+    license identifier:
+        drafts/license_abc123.json  →  { savedAt = <os.time>, scene = {...} }
+    Drafts are kept out of scenes/ so they never show up in the manifest.
+========================================================================= ]]
+
+local ReDOCore = exports['Core']:GetCoreObject()
+
+local DRAFTS_PATH = "drafts/"
+
+local function GetDraftFilePath(src)
+    local identifier = GetPlayerIdentifierByType(src, 'license') or GetPlayerIdentifier(src, 0)
+    if not identifier then return nil end
+    return DRAFTS_PATH .. identifier:gsub("[^%w_%-]", "_") .. ".json"
+end
+
+local function LoadDraft(src)
+    local filePath = GetDraftFilePath(src)
+    if not filePath then return nil end
+
+    local jsonStr = LoadResourceFile(GetCurrentResourceName(), filePath)
+    if not jsonStr or jsonStr == "" then return nil end
+
+    local success, draft = pcall(json.decode, jsonStr)
+    if not success or type(draft) ~= "table" or type(draft.scene) ~= "table" then
+        ReDOCore.Warn("Ignoring unreadable draft: %s", filePath)
+        return nil
+    end
+
+    return draft
+end
+
+-- Global so sv_scenes.lua can drop the draft once the scene is saved
+function DirectorDrafts_Delete(src)
+    local filePath = GetDraftFilePath(src)
+    if not filePath then return end
+
+    if not LoadResourceFile(GetCurrentResourceName(), filePath) then return end
+
+    local fullPath = GetResourcePath(GetCurrentResourceName()) .. "/" .. filePath
+    local ok, err = os.remove(fullPath)
+    if not ok then
+        ReDOCore.Error("Failed to delete draft %s: %s", fullPath, tostring(err))
+    end
+end
+
+--[[ =========================================================================
+    EVENT HANDLERS
+========================================================================= ]]
+
+RegisterNetEvent('director:saveDraft')
+AddEventHandler('director:saveDraft', function(sceneData)
+    local src = source
+
+    if not DirectorServer_IsAllowed(src) then return end
+    if type(sceneData) ~= "table" then return end
+
+    local filePath = GetDraftFilePath(src)
+    if not filePath then return end
+
+    local jsonStr = json.encode({ savedAt = os.time(), scene = sceneData })
+    if not jsonStr then
+        ReDOCore.Error("Failed to encode draft for player %d", src)
+        return
+    end
+
+    if not SaveResourceFile(GetCurrentResourceName(), filePath, jsonStr, #jsonStr) then
+        ReDOCore.Error("Failed to save draft file: %s", filePath)
+    end
+end)
+
+RegisterNetEvent('director:requestDraft')
+AddEventHandler('director:requestDraft', function()
+    local src = source
+
+    if not DirectorServer_IsAllowed(src) then return end
+
+    local draft = LoadDraft(src)
+    if draft then
+        TriggerClientEvent('director:receiveDraft', src, draft)
+    end
+end)
+
+RegisterNetEvent('director:discardDraft')
+AddEventHandler('director:discardDraft', function()
+    DirectorDrafts_Delete(source)
+end)
+
+ReDOCore.Info("Draft autosave loaded (drafts stored in director/drafts/)")
@@ -0,0 +1,151 @@
+--[[ =========================================================================
+    FILE: server/sv_locks.lua
+    RUNS ON: Server only
+
+    PURPOSE:
+    Edit locks and presence for scenes open in the editor. The first
+    director to open a scene holds its lock; everyone else who opens it
+    gets a read-only copy until the lock is free or an admin takes it
+    over. Locks go away when the holder closes the editor, opens another
+    scene or disconnects. Nothing is written to disk.
+
+    LOCK STATUS (director:lockStatus, per player):
+        { holder = "name" | nil, since = <os.time>, mine = bool,
+          others = { "name", ... },    -- everyone else with the scene open
+          canForce = bool }             -- may take the lock over
+    It is pushed to everyone with the scene open whenever it changes.
+========================================================================= ]]
+
+local ReDOCore = exports['Core']:GetCoreObject()
+
+local sessions = {}   -- [src] = name of the scene open in their editor
+local locks = {}      -- [sceneName] = { src, name, since }
+
+local function PlayerName(src)
+    return GetPlayerName(src) or ("player " .. tostring(src))
+end
+
+local function LockInfo(sceneName, src)
+    local lock = locks[sceneName]
+    local others = {}
+    for other, name in pairs(sessions) do
+        if name == sceneName and other ~= src then
+            table.insert(others, PlayerName(other))
+        end
+    end
+    table.sort(others)
+
+    return {
+        holder = lock and lock.name or nil,
+        since = lock and lock.since or nil,
+        mine = lock ~= nil and lock.src == src,
+        others = others,
+        canForce = DirectorServer_IsAdmin(src),
+    }
+end
+
+local function Broadcast(sceneName)
+    if not sceneName then return end
+    for src, name in pairs(sessions) do
+        if name == sceneName then
+            TriggerClientEvent('director:lockStatus', src, sceneName, LockInfo(sceneName, src))
+        end
+    end
+end
+
+local function TakeLock(src, sceneName)
+    locks[sceneName] = { src = src, name = PlayerName(src), since = os.time() }
+end
+
+local function CloseSession(src)
+    local sceneName = sessions[src]
+    if not sceneName then return end
+
+    sessions[src] = nil
+    if locks[sceneName] and locks[sceneName].src == src then
+        locks[sceneName] = nil
+        ReDOCore.Info("Edit lock on '%s' released by %s", sceneName, PlayerName(src))
+    end
+    Broadcast(sceneName)
+end
+
+--[[ =========================================================================
+    PUBLIC (used by sv_scenes.lua)
+========================================================================= ]]
+
+-- src now has sceneName open in the editor; takes the lock if it's free.
+-- Returns the lock status for src.
+function DirectorLocks_OpenSession(src, sceneName)
+    if sessions[src] ~= sceneName then
+        CloseSession(src)
+        sessions[src] = sceneName
+    end
+
+    if not locks[sceneName] then
+        TakeLock(src, sceneName)
+    end
+
+    Broadcast(sceneName)
+    return LockInfo(sceneName, src)
+end
+
+-- Name of whoever else holds the lock on sceneName, or nil
+function DirectorLocks_HeldByOther(src, sceneName)
+    local lock = locks[sceneName]
+    if lock and lock.src ~= src then return lock.name end
+    return nil
+end
+
+-- For the Load dialog: { name, since, mine } or nil
+function DirectorLocks_Get(sceneName, src)
+    local lock = locks[sceneName]
+    if not lock then return nil end
+    return { name = lock.name, since = lock.since, mine = lock.src == src }
+end
+
+-- The lock and everyone's session follow a rename
+function DirectorLocks_Rename(sceneName, newName)
+    locks[newName] = locks[sceneName]
+    locks[sceneName] = nil
+    for src, name in pairs(sessions) do
+        if name == sceneName then sessions[src] = newName end
+    end
+    Broadcast(newName)
+end
+
+--[[ =========================================================================
+    EVENT HANDLERS
+========================================================================= ]]
+
+-- Take the lock on the scene src has open: free locks for anyone,
+-- someone else's only for admins
+RegisterNetEvent('director:takeOverLock')
+AddEventHandler('director:takeOverLock', function(sceneName)
+    local src = source
+    if not DirectorServer_IsAllowed(src) then return end
+    if type(sceneName) ~= "string" or sessions[src] ~= sceneName then return end
+
+    local lock = locks[sceneName]
+    if lock and lock.src ~= src then
+        if not DirectorServer_IsAdmin(src) then
+            ReDOCore.Warn("Player %d tried to take over the lock on '%s' without permission", src, sceneName)
+            TriggerClientEvent('director:lockStatus', src, sceneName, LockInfo(sceneName, src))
+            return
+        end
+        ReDOCore.Info("Edit lock on '%s' taken over by %s from %s", sceneName, PlayerName(src), lock.name)
+    end
+
+    TakeLock(src, sceneName)
+    Broadcast(sceneName)
+end)
+
+RegisterNetEvent('director:closeSession')
+AddEventHandler('director:closeSession', function()
+    CloseSession(source)
+end)
+
+AddEventHandler('playerDropped', function()
+    CloseSession(source)
+end)
+
+ReDOCore.Info("Scene edit locks loaded")
@@ -18,4 +18,10 @@ function DirectorServer_IsAllowed(src)
     return true
 end
 
+-- Who may take over another director's edit lock (sv_locks.lua):
+-- the console, or players granted the director.admin ace
+function DirectorServer_IsAdmin(src)
+    return src == 0 or IsPlayerAceAllowed(src, "director.admin")
+end
+
 ReDOCore.Info("Director server module loaded")
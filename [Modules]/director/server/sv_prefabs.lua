@@ -0,0 +1,221 @@
+--[[ =========================================================================
+    FILE: server/sv_prefabs.lua
+    RUNS ON: Server only
+
+    PURPOSE:
+    Prefab library: entities and camera moves saved once and inserted
+    into any scene. Each save bumps the prefab's version so the editor can
+    tell which inserted copies are out of date.
+
+    FILE FORMAT:
+    One file per prefab in director/prefabs/, next to scenes/:
+        prefabs/saloon_bartender.json
+        {
+            name = "saloon_bartender", kind = "entity" | "camera",
+            version = 3, modified = <os.time>, author = "...",
+            data = {...}      -- see cl_editor.lua, PREFABS
+        }
+    prefabs/_index.json lists them (no directory listing API), without
+    the data so the library can be shown without opening every file.
+========================================================================= ]]
+
+local ReDOCore = exports['Core']:GetCoreObject()
+
+local PREFABS_PATH = "prefabs/"
+local INDEX_PATH = PREFABS_PATH .. "_index.json"
+
+local PREFAB_KINDS = { entity = true, camera = true }
+
+-- Names starting with _ are reserved for files of our own (_index.json)
+local function IsReservedPrefabName(name)
+    return type(name) == "string" and name:sub(1, 1) == "_"
+end
+
+local function IsValidPrefabName(name)
+    return type(name) == "string" and name:match("^[%w_%-]+$") ~= nil and not IsReservedPrefabName(name)
+end
+
+local function GetPrefabFilePath(name)
+    return PREFABS_PATH .. name .. ".json"
+end
+
+local function LoadJson(path)
+    local jsonStr = LoadResourceFile(GetCurrentResourceName(), path)
+    if not jsonStr or jsonStr == "" then return nil end
+
+    local success, data = pcall(json.decode, jsonStr)
+    if not success or type(data) ~= "table" then
+        ReDOCore.Warn("Ignoring unreadable prefab file: %s", path)
+        return nil
+    end
+    return data
+end
+
+local function SaveJson(path, data)
+    local jsonStr = json.encode(data)
+    if not jsonStr then return false end
+    return SaveResourceFile(GetCurrentResourceName(), path, jsonStr, #jsonStr)
+end
+
+local function LoadPrefab(name)
+    if not IsValidPrefabName(name) then return nil end
+    return LoadJson(GetPrefabFilePath(name))
+end
+
+--[[ =========================================================================
+    INDEX
+========================================================================= ]]
+
+local function BuildIndexEntry(prefab)
+    local data = prefab.data or {}
+    return {
+        name = prefab.name,
+        kind = prefab.kind,
+        version = prefab.version,
+        modified = prefab.modified,
+        author = prefab.author,
+        model = data.model,
+        keyframes = #(data.keyframes or {}),
+    }
+end
+
+local function ListPrefabs()
+    return LoadJson(INDEX_PATH) or {}
+end
+
+local function UpdateIndex(prefab)
+    local list = ListPrefabs()
+    local entry = BuildIndexEntry(prefab)
+
+    for i, existing in ipairs(list) do
+        if existing.name == prefab.name then
+            list[i] = entry
+            SaveJson(INDEX_PATH, list)
+            return
+        end
+    end
+
+    table.insert(list, entry)
+    SaveJson(INDEX_PATH, list)
+end
+
+local function RemoveFromIndex(name)
+    local list = ListPrefabs()
+    for i, existing in ipairs(list) do
+        if existing.name == name then
+            table.remove(list, i)
+            SaveJson(INDEX_PATH, list)
+            return
+        end
+    end
+end
+
+--[[ =========================================================================
+    EVENT HANDLERS
+
+    Changes answer with director:prefabResult (ok, op, name, message)
+    and, on success, a fresh list.
+========================================================================= ]]
+
+local function PrefabResult(src, ok, op, name, message)
+    TriggerClientEvent('director:prefabResult', src, ok, op, name, message)
+    if ok then
+        TriggerClientEvent('director:receivePrefabList', src, ListPrefabs())
+    end
+end
+
+RegisterNetEvent('director:listPrefabs')
+AddEventHandler('director:listPrefabs', function()
+    local src = source
+    if not DirectorServer_IsAllowed(src) then return end
+    TriggerClientEvent('director:receivePrefabList', src, ListPrefabs())
+end)
+
+RegisterNetEvent('director:requestPrefab')
+AddEventHandler('director:requestPrefab', function(name)
+    local src = source
+    if not DirectorServer_IsAllowed(src) then return end
+    TriggerClientEvent('director:receivePrefab', src, name, LoadPrefab(name))
+end)
+
+-- Save (or overwrite) a prefab; overwriting bumps its version
+RegisterNetEvent('director:savePrefab')
+AddEventHandler('director:savePrefab', function(name, kind, data)
+    local src = source
+
+    if not DirectorServer_IsAllowed(src) then
+        ReDOCore.Warn("Player %d tried to save a prefab without permission", src)
+        PrefabResult(src, false, "save", name, "Permission denied")
+        return
+    end
+
+    if IsReservedPrefabName(name) then
+        PrefabResult(src, false, "save", name, "Prefab names can't start with _ (reserved for the prefab index)")
+        return
+    end
+    if not IsValidPrefabName(name) then
+        PrefabResult(src, false, "save", name, "Names may only use letters, digits, _ and -")
+        return
+    end
+    if not PREFAB_KINDS[kind] or type(data) ~= "table" then
+        PrefabResult(src, false, "save", name, "Invalid prefab data")
+        return
+    end
+
+    local existing = LoadPrefab(name)
+    if existing and existing.kind ~= kind then
+        PrefabResult(src, false, "save", name, "A " .. tostring(existing.kind) .. " prefab named '" .. name .. "' already exists")
+        return
+    end
+
+    local prefab = {
+        name = name,
+        kind = kind,
+        version = existing and (tonumber(existing.version) or 1) + 1 or 1,
+        modified = os.time(),
+        author = GetPlayerName(src) or "console",
+        data = data,
+    }
+
+    if not SaveJson(GetPrefabFilePath(name), prefab) then
+        ReDOCore.Error("Failed to save prefab file: %s", GetPrefabFilePath(name))
+        PrefabResult(src, false, "save", name, "Failed to write the prefab")
+        return
+    end
+
+    UpdateIndex(prefab)
+    ReDOCore.Info("Prefab saved: %s (v%d)", name, prefab.version)
+    PrefabResult(src, true, "save", name, nil)
+end)
+
+RegisterNetEvent('director:deletePrefab')
+AddEventHandler('director:deletePrefab', function(name)
+    local src = source
+
+    if not DirectorServer_IsAllowed(src) then
+        ReDOCore.Warn("Player %d tried to delete a prefab without permission", src)
+        PrefabResult(src, false, "delete", name, "Permission denied")
+        return
+    end
+
+    if not IsValidPrefabName(name) then
+        PrefabResult(src, false, "delete", name, "No prefab given")
+        return
+    end
+
+    if LoadResourceFile(GetCurrentResourceName(), GetPrefabFilePath(name)) then
+        local fullPath = GetResourcePath(GetCurrentResourceName()) .. "/" .. GetPrefabFilePath(name)
+        local ok, err = os.remove(fullPath)
+        if not ok then
+            ReDOCore.Error("Failed to delete prefab file %s: %s", fullPath, tostring(err))
+            PrefabResult(src, false, "delete", name, "Failed to delete the prefab file")
+            return
+        end
+    end
+
+    -- Copies already inserted into scenes are left as they are
+    RemoveFromIndex(name)
+    PrefabResult(src, true, "delete", name, nil)
+end)
+
+ReDOCore.Info("Prefab library loaded (prefabs stored in director/prefabs/)")
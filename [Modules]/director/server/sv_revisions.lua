@@ -0,0 +1,320 @@
+--[[ =========================================================================
+    FILE: server/sv_revisions.lua
+    RUNS ON: Server only
+
+    PURPOSE:
+    Scene revision history. Every save of a scene is kept as a numbered
+    revision with its author and time, so a bad save never loses the
+    previous cut. The editor lists them, diffs two of them, and restores
+    or branches from any one (sv_scenes.lua does the branching).
+
+    FILE FORMAT:
+    Flat files in director/revisions/ (SaveResourceFile can't create
+    folders):
+        revisions/saloon_intro.json     →  index, oldest first:
+            [{ revision, saved, author, duration, entities, keyframes }]
+        revisions/saloon_intro.3.json   →  the scene as of revision 3
+    The saved scene carries its number in meta.revision. Deleting a scene
+    keeps its history; a new scene under the same name carries on the
+    numbering.
+========================================================================= ]]
+
+local ReDOCore = exports['Core']:GetCoreObject()
+
+local REVISIONS_PATH = "revisions/"
+
+local function GetIndexPath(name)
+    return REVISIONS_PATH .. name .. ".json"
+end
+
+local function GetRevisionPath(name, revision)
+    return REVISIONS_PATH .. name .. "." .. math.floor(revision) .. ".json"
+end
+
+local function LoadJson(path)
+    local jsonStr = LoadResourceFile(GetCurrentResourceName(), path)
+    if not jsonStr or jsonStr == "" then return nil end
+
+    local success, data = pcall(json.decode, jsonStr)
+    if not success or type(data) ~= "table" then
+        ReDOCore.Warn("Ignoring unreadable revision file: %s", path)
+        return nil
+    end
+    return data
+end
+
+local function SaveJson(path, data)
+    local jsonStr = json.encode(data)
+    if not jsonStr then return false end
+    return SaveResourceFile(GetCurrentResourceName(), path, jsonStr, #jsonStr)
+end
+
+local function LoadIndex(name)
+    return LoadJson(GetIndexPath(name)) or {}
+end
+
+local function BuildIndexEntry(revision, sceneData)
+    local keyframes = #((sceneData.camera or {}).keyframes or {})
+    local entities = sceneData.entities or {}
+    for _, ent in ipairs(entities) do
+        keyframes = keyframes + #(ent.keyframes or {})
+    end
+
+    local meta = sceneData.meta or {}
+    return {
+        revision = revision,
+        saved = meta.modified or os.time(),
+        author = meta.author or "",
+        duration = tonumber(sceneData.duration) or 0,
+        entities = #entities,
+        keyframes = keyframes,
+    }
+end
+
+local function NextRevision(index)
+    local last = index[#index]
+    return last and (tonumber(last.revision) or #index) + 1 or 1
+end
+
+-- sceneData.meta.revision is already stamped
+local function AppendRevision(name, index, sceneData)
+    local revision = sceneData.meta.revision
+
+    if not SaveJson(GetRevisionPath(name, revision), sceneData) then
+        ReDOCore.Error("Failed to write revision %d of scene '%s'", revision, name)
+        return nil
+    end
+
+    table.insert(index, BuildIndexEntry(revision, sceneData))
+    SaveJson(GetIndexPath(name), index)
+    return revision
+end
+
+--[[ =========================================================================
+    PUBLIC (used by sv_scenes.lua)
+========================================================================= ]]
+
+-- Stamp meta.revision with the number sceneData's save will get.
+-- Called before the live file is written: a scene saved before history
+-- existed has its current file kept as revision 1 first, while it's
+-- still on disk.
+function DirectorRevisions_Stamp(name, sceneData)
+    if not DirectorValidation.IsValidSceneName(name) then return nil end
+
+    local index = LoadIndex(name)
+    if #index == 0 then
+        local jsonStr = LoadResourceFile(GetCurrentResourceName(), "scenes/" .. name .. ".json")
+        local ok, previous = pcall(json.decode, jsonStr or "")
+        if ok and type(previous) == "table" then
+            previous.meta = previous.meta or {}
+            previous.meta.revision = NextRevision(index)
+            AppendRevision(name, index, previous)
+        end
+    end
+
+    sceneData.meta = sceneData.meta or {}
+    sceneData.meta.revision = NextRevision(index)
+    return sceneData.meta.revision
+end
+
+-- Keep sceneData as its stamped revision. Called only once the live
+-- file is written, so the history never lists a save that failed.
+function DirectorRevisions_Save(name, sceneData)
+    if not DirectorValidation.IsValidSceneName(name) then return nil end
+    if not tonumber((sceneData.meta or {}).revision) then return nil end
+
+    return AppendRevision(name, LoadIndex(name), sceneData)
+end
+
+function DirectorRevisions_Load(name, revision)
+    if not DirectorValidation.IsValidSceneName(name) or not tonumber(revision) then return nil end
+    return LoadJson(GetRevisionPath(name, tonumber(revision)))
+end
+
+-- Move a scene's history along with a rename. Left in place if the new
+-- name already has a history of its own (from a deleted scene).
+function DirectorRevisions_Rename(name, newName)
+    if not DirectorValidation.IsValidSceneName(name) or not DirectorValidation.IsValidSceneName(newName) then return end
+
+    local index = LoadIndex(name)
+    if #index == 0 then return end
+    if #LoadIndex(newName) > 0 then
+        ReDOCore.Warn("Not moving the history of '%s': '%s' already has one", name, newName)
+        return
+    end
+
+    local root = GetResourcePath(GetCurrentResourceName()) .. "/"
+    for _, entry in ipairs(index) do
+        local ok, err = os.rename(root .. GetRevisionPath(name, entry.revision), root .. GetRevisionPath(newName, entry.revision))
+        if not ok then
+            ReDOCore.Error("Failed to move revision %s of '%s': %s", tostring(entry.revision), name, tostring(err))
+        end
+    end
+
+    SaveJson(GetIndexPath(newName), index)
+    os.remove(root .. GetIndexPath(name))
+end
+
+--[[ =========================================================================
+    DIFF
+
+    A flat list of what changed from revision `a` to revision `b`:
+        { section = "scene"|"camera"|"entities"|"events",
+          change = "added"|"removed"|"changed", label = "...", fields = {...} }
+    Camera keyframes are matched by time, entities by ID and events by
+    name (the nth "door_open" with the nth), so retiming a keyframe shows
+    as removed + added but retiming an event as a changed time.
+========================================================================= ]]
+
+local function DeepEqual(a, b)
+    if type(a) ~= type(b) then return false end
+    if type(a) == "number" then return math.abs(a - b) < 0.0001 end
+    if type(a) ~= "table" then return a == b end
+
+    for k, v in pairs(a) do
+        if not DeepEqual(v, b[k]) then return false end
+    end
+    for k in pairs(b) do
+        if a[k] == nil then return false end
+    end
+    return true
+end
+
+local function ChangedFields(a, b, fields)
+    local changed = {}
+    for _, field in ipairs(fields) do
+        if not DeepEqual(a[field], b[field]) then
+            table.insert(changed, field)
+        end
+    end
+    return changed
+end
+
+-- Pair the items of two lists by key; the nth item with a key in `a`
+-- pairs with the nth item with that key in `b`
+local function PairByKey(a, b, keyOf)
+    local queues = {}
+    for i, item in ipairs(b) do
+        local key = keyOf(item)
+        queues[key] = queues[key] or {}
+        table.insert(queues[key], i)
+    end
+
+    local matched, removed, taken = {}, {}, {}
+    for _, item in ipairs(a) do
+        local queue = queues[keyOf(item)]
+        if queue and #queue > 0 then
+            local i = table.remove(queue, 1)
+            taken[i] = true
+            table.insert(matched, { from = item, to = b[i] })
+        else
+            table.insert(removed, item)
+        end
+    end
+
+    local added = {}
+    for i, item in ipairs(b) do
+        if not taken[i] then table.insert(added, item) end
+    end
+    return matched, removed, added
+end
+
+local function DiffList(diff, section, a, b, keyOf, labelOf, fields)
+    local matched, removed, added = PairByKey(a or {}, b or {}, keyOf)
+
+    for _, item in ipairs(removed) do
+        table.insert(diff, { section = section, change = "removed", label = labelOf(item) })
+    end
+    for _, item in ipairs(added) do
+        table.insert(diff, { section = section, change = "added", label = labelOf(item) })
+    end
+    for _, pair in ipairs(matched) do
+        local changed = ChangedFields(pair.from, pair.to, fields)
+        if #changed > 0 then
+            table.insert(diff, { section = section, change = "changed", label = labelOf(pair.to), fields = changed })
+        end
+    end
+end
+
+local function FormatTime(t)
+    return string.format("%.2fs", tonumber(t) or 0)
+end
+
+local SCENE_FIELDS = { "duration", "aspect", "shots", "overlays", "markers", "subScenes" }
+local CAMERA_FIELDS = { "pos", "rot", "fov", "easing", "bezier", "target" }
+local ENTITY_FIELDS = { "type", "model", "spawn", "keyframes" }
+local EVENT_FIELDS = { "time", "data" }
+
+local function SceneFields(sceneData)
+    return {
+        duration = sceneData.duration,
+        aspect = sceneData.aspect,
+        shots = (sceneData.camera or {}).shots or {},
+        overlays = sceneData.overlays or {},
+        markers = sceneData.markers or {},
+        subScenes = sceneData.subScenes or {},
+    }
+end
+
+local function DiffScenes(a, b)
+    local diff = {}
+
+    local changed = ChangedFields(SceneFields(a), SceneFields(b), SCENE_FIELDS)
+    for _, field in ipairs(changed) do
+        table.insert(diff, { section = "scene", change = "changed", label = field })
+    end
+
+    DiffList(diff, "camera", (a.camera or {}).keyframes, (b.camera or {}).keyframes,
+        function(kf) return FormatTime(kf.time) end,
+        function(kf) return "Keyframe at " .. FormatTime(kf.time) end,
+        CAMERA_FIELDS)
+
+    DiffList(diff, "entities", a.entities, b.entities,
+        function(ent) return tostring(ent.id) end,
+        function(ent) return string.format("%s (%s)", tostring(ent.id), tostring(ent.model)) end,
+        ENTITY_FIELDS)
+
+    DiffList(diff, "events", a.events, b.events,
+        function(ev) return tostring(ev.name) end,
+        function(ev) return string.format("%s at %s", tostring(ev.name), FormatTime(ev.time)) end,
+        EVENT_FIELDS)
+
+    return diff
+end
+
+--[[ =========================================================================
+    EVENT HANDLERS
+========================================================================= ]]
+
+RegisterNetEvent('director:listRevisions')
+AddEventHandler('director:listRevisions', function(name)
+    local src = source
+    if not DirectorServer_IsAllowed(src) then return end
+    if not DirectorValidation.IsValidSceneName(name) then return end
+    TriggerClientEvent('director:receiveRevisionList', src, name, LoadIndex(name))
+end)
+
+RegisterNetEvent('director:requestRevision')
+AddEventHandler('director:requestRevision', function(name, revision)
+    local src = source
+    if not DirectorServer_IsAllowed(src) then return end
+    TriggerClientEvent('director:receiveRevision', src, name, revision, DirectorRevisions_Load(name, revision))
+end)
+
+-- Answers with a nil diff (and a message) when either revision is missing
+RegisterNetEvent('director:diffRevisions')
+AddEventHandler('director:diffRevisions', function(name, from, to)
+    local src = source
+    if not DirectorServer_IsAllowed(src) then return end
+
+    local a, b = DirectorRevisions_Load(name, from), DirectorRevisions_Load(name, to)
+    if not a or not b then
+        TriggerClientEvent('director:receiveRevisionDiff', src, name, from, to, nil,
+            string.format("Revision %s of '%s' not found", tostring(a and to or from), tostring(name)))
+        return
+    end
+
+    TriggerClientEvent('director:receiveRevisionDiff', src, name, from, to, DiffScenes(a, b), nil)
+end)
+
+ReDOCore.Info("Scene revision history loaded (revisions stored in director/revisions/)")
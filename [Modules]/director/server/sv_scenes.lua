@@ -10,6 +10,7 @@
     Each scene is a .json file named after the scene:
         scenes/charselect_intro.json
         scenes/mission_01_opening.json
+    Every save is also kept as a numbered revision (sv_revisions.lua).
 ========================================================================= ]]
 
 local ReDOCore = exports['Core']:GetCoreObject()
@@ -70,38 +71,188 @@ local function LoadSceneFile(name)
     return sceneData
 end
 
+local function DeleteSceneFile(name)
+    -- No resource-file delete native exists, so go through the real path
+    local fullPath = GetResourcePath(GetCurrentResourceName()) .. "/" .. GetSceneFilePath(name)
+    local ok, err = os.remove(fullPath)
+
+    if not ok then
+        ReDOCore.Error("Failed to delete scene file %s: %s", fullPath, tostring(err))
+        return false
+    end
+
+    ReDOCore.Info("Scene deleted: %s", fullPath)
+    return true
+end
+
+local function SceneFileExists(name)
+    local jsonStr = LoadResourceFile(GetCurrentResourceName(), GetSceneFilePath(name))
+    return jsonStr ~= nil and jsonStr ~= ""
+end
+
+--[[ =========================================================================
+    MANIFEST
+
+    FXServer doesn't have a directory listing API, so we maintain
+    scenes/_manifest.json with one entry per scene:
+        { name, duration, entities, keyframes, modified, author }
+    The numbers are cached so the Load dialog doesn't have to open
+    every scene file. Older manifests were a plain list of names;
+    those entries are upgraded (or dropped if the file is gone) on read.
+========================================================================= ]]
+
+local MANIFEST_PATH = SCENES_PATH .. "_manifest.json"
+
+local function BuildManifestEntry(name, sceneData)
+    local keyframes = 0
+    if sceneData.camera and sceneData.camera.keyframes then
+        keyframes = #sceneData.camera.keyframes
+    end
+
+    local entities = sceneData.entities or {}
+    for _, ent in ipairs(entities) do
+        keyframes = keyframes + #(ent.keyframes or {})
+    end
+
+    local meta = sceneData.meta or {}
+
+    return {
+        name = name,
+        duration = tonumber(sceneData.duration) or 0,
+        entities = #entities,
+        keyframes = keyframes,
+        modified = meta.modified or 0,
+        author = meta.author or "",
+    }
+end
+
+local function SaveManifest(list)
+    local jsonStr = json.encode(list)
+    SaveResourceFile(GetCurrentResourceName(), MANIFEST_PATH, jsonStr, #jsonStr)
+end
+
 local function ListSceneFiles()
-    -- FXServer doesn't have a directory listing API,
-    -- so we maintain a manifest file listing all scenes.
-    local manifest = LoadResourceFile(GetCurrentResourceName(), SCENES_PATH .. "_manifest.json")
-
-    if manifest and manifest ~= "" then
-        local success, list = pcall(json.decode, manifest)
-        if success and list then
-            return list
+    local manifest = LoadResourceFile(GetCurrentResourceName(), MANIFEST_PATH)
+    if not manifest or manifest == "" then return {} end
+
+    local success, list = pcall(json.decode, manifest)
+    if not success or type(list) ~= "table" then return {} end
+
+    local entries, changed = {}, false
+    for _, entry in ipairs(list) do
+        if type(entry) == "string" then
+            -- Legacy name-only entry
+            local sceneData = LoadSceneFile(entry)
+            if sceneData then
+                table.insert(entries, BuildManifestEntry(entry, sceneData))
+            else
+                ReDOCore.Warn("Dropping missing scene '%s' from manifest", entry)
+            end
+            changed = true
+        elseif type(entry) == "table" and entry.name then
+            table.insert(entries, entry)
+        else
+            changed = true
         end
     end
 
-    return {}
+    if changed then SaveManifest(entries) end
+    return entries
+end
+
+local function FindManifestIndex(list, sceneName)
+    for i, entry in ipairs(list) do
+        if entry.name == sceneName then return i end
+    end
+    return nil
 end
 
-local function UpdateManifest(sceneName)
+-- Add or refresh a scene's entry
+local function UpdateManifest(sceneName, sceneData)
     local list = ListSceneFiles()
+    local entry = BuildManifestEntry(sceneName, sceneData)
+    local index = FindManifestIndex(list, sceneName)
 
-    -- Add if not already present
-    local found = false
-    for _, name in ipairs(list) do
-        if name == sceneName then
-            found = true
-            break
-        end
+    if index then
+        list[index] = entry
+    else
+        table.insert(list, entry)
+    end
+
+    SaveManifest(list)
+end
+
+local function RemoveFromManifest(sceneName)
+    local list = ListSceneFiles()
+    local index = FindManifestIndex(list, sceneName)
+
+    if index then
+        table.remove(list, index)
+        SaveManifest(list)
     end
+end
 
-    if not found then
-        table.insert(list, sceneName)
-        local jsonStr = json.encode(list)
-        SaveResourceFile(GetCurrentResourceName(), SCENES_PATH .. "_manifest.json", jsonStr, #jsonStr)
+-- Scene list for the Load dialog, with who is editing what
+local function SendSceneList(src)
+    local list = ListSceneFiles()
+    for _, entry in ipairs(list) do
+        entry.lock = DirectorLocks_Get(entry.name, src)
     end
+    TriggerClientEvent('director:receiveSceneList', src, list)
+end
+
+-- Why saving sceneData would overwrite work its sender hasn't seen, or
+-- nil: a different scene already uses the name (meta.created differs),
+-- or someone saved a newer revision since this copy was loaded.
+local function FindSaveConflict(sceneData)
+    if not SceneFileExists(sceneData.name) then return nil end
+    local current = LoadSceneFile(sceneData.name)
+    if not current then return nil end
+
+    local theirs, mine = current.meta or {}, sceneData.meta or {}
+    if theirs.created ~= mine.created then
+        return string.format("A different scene named '%s' already exists. Save under another name.", sceneData.name)
+    end
+    if theirs.revision ~= mine.revision then
+        return string.format("'%s' was saved by %s (r%s) after you opened it. Reload it or save under another name.",
+            sceneData.name, tostring(theirs.author or "someone"), tostring(theirs.revision))
+    end
+    return nil
+end
+
+-- Stamp author / modified time into the scene before writing it
+local function StampSceneMeta(sceneData, src)
+    sceneData.meta = sceneData.meta or {}
+    sceneData.meta.modified = os.time()
+    sceneData.meta.author = GetPlayerName(src) or sceneData.meta.author or "console"
+    if not sceneData.meta.created then
+        sceneData.meta.created = sceneData.meta.modified
+    end
+end
+
+--[[ =========================================================================
+    SUB-SCENES
+
+    scene.subScenes places other saved scenes on a scene's timeline by
+    name (format in cl_playback.lua). Playback and the validator need the
+    referenced scenes themselves, so they travel along as a library:
+        { [name] = sceneData | false }   -- false: no such scene
+    holding every scene reachable through references. Each name is loaded
+    once, so a reference cycle can't make this loop.
+========================================================================= ]]
+
+local function ResolveSubScenes(sceneData, library)
+    library = library or {}
+    for _, clip in ipairs(sceneData.subScenes or {}) do
+        local name = type(clip) == "table" and clip.scene
+        if DirectorValidation.IsValidSceneName(name) and library[name] == nil then
+            library[name] = SceneFileExists(name) and LoadSceneFile(name) or false
+            if library[name] then
+                ResolveSubScenes(library[name], library)
+            end
+        end
+    end
+    return library
 end
 
 --[[ =========================================================================
@@ -123,21 +274,69 @@ AddEventHandler('director:saveScene', function(sceneData)
         return
     end
 
+    -- Same lint rules as the editor's Problems panel
+    local problems = DirectorValidation.Validate(sceneData, ResolveSubScenes(sceneData))
+    local errors = DirectorValidation.CountErrors(problems)
+    if errors > 0 then
+        ReDOCore.Warn("Rejected scene '%s' from player %d: %d validation error(s), first: %s",
+            tostring(sceneData.name), src, errors, problems[1].message)
+        TriggerClientEvent('director:sceneSaved', src, false, sceneData.name,
+            string.format("Server rejected the scene: %s", problems[1].message))
+        return
+    end
+
+    local holder = DirectorLocks_HeldByOther(src, sceneData.name)
+    if holder then
+        TriggerClientEvent('director:sceneSaved', src, false, sceneData.name,
+            string.format("Read-only: %s is editing '%s'", holder, sceneData.name))
+        return
+    end
+
+    local conflict = FindSaveConflict(sceneData)
+    if conflict then
+        ReDOCore.Warn("Rejected save of '%s' from player %d: %s", sceneData.name, src, conflict)
+        TriggerClientEvent('director:sceneSaved', src, false, sceneData.name, conflict)
+        return
+    end
+
+    StampSceneMeta(sceneData, src)
+    DirectorRevisions_Stamp(sceneData.name, sceneData)
     local success = SaveSceneFile(sceneData.name, sceneData)
 
     if success then
-        UpdateManifest(sceneData.name)
+        DirectorRevisions_Save(sceneData.name, sceneData)
+        UpdateManifest(sceneData.name, sceneData)
+        -- The saved scene supersedes any autosaved draft
+        DirectorDrafts_Delete(src)
+        -- Saving (possibly under a new name) makes it the scene src has open
+        DirectorLocks_OpenSession(src, sceneData.name)
     end
 
-    TriggerClientEvent('director:sceneSaved', src, success, sceneData.name)
+    -- The stamped meta (revision, created) is the base the next save is checked against
+    TriggerClientEvent('director:sceneSaved', src, success, sceneData.name, nil, success and sceneData.meta or nil)
 end)
 
--- Load a scene (for editor)
+-- Load a scene (for editor); opening it takes the edit lock if it's free
 RegisterNetEvent('director:requestScene')
 AddEventHandler('director:requestScene', function(sceneName)
     local src = source
     local scene = LoadSceneFile(sceneName)
-    TriggerClientEvent('director:receiveScene', src, scene)
+    local lock = nil
+    if scene and DirectorServer_IsAllowed(src) and DirectorValidation.IsValidSceneName(sceneName) then
+        lock = DirectorLocks_OpenSession(src, sceneName)
+    end
+    TriggerClientEvent('director:receiveScene', src, scene, lock)
+end)
+
+-- meta of the saved scene with this name (nil when there is none), so an
+-- imported scene can be saved over it as its next revision
+RegisterNetEvent('director:requestSceneMeta')
+AddEventHandler('director:requestSceneMeta', function(sceneName)
+    local src = source
+    if not DirectorServer_IsAllowed(src) or not DirectorValidation.IsValidSceneName(sceneName) then return end
+
+    local scene = SceneFileExists(sceneName) and LoadSceneFile(sceneName) or nil
+    TriggerClientEvent('director:receiveSceneMeta', src, sceneName, scene and (scene.meta or {}) or nil)
 end)
 
 -- Load a scene (for playback)
@@ -146,18 +345,203 @@ AddEventHandler('director:requestSceneForPlayback', function(sceneName)
     local src = source
     local scene = LoadSceneFile(sceneName)
     if scene then
-        TriggerClientEvent('director:playScene', src, scene)
+        TriggerClientEvent('director:playScene', src, scene, ResolveSubScenes(scene))
     else
         ReDOCore.Warn("Scene '%s' not found for playback (requested by player %d)", sceneName, src)
     end
 end)
 
+-- The scenes an editor's sub-scene clips reference, for its preview and
+-- Problems panel. `clips` is the working copy's scene.subScenes.
+RegisterNetEvent('director:requestSubScenes')
+AddEventHandler('director:requestSubScenes', function(clips)
+    local src = source
+    if not DirectorServer_IsAllowed(src) or type(clips) ~= "table" then return end
+    TriggerClientEvent('director:receiveSubScenes', src, ResolveSubScenes({ subScenes = clips }))
+end)
+
 -- List all scenes
 RegisterNetEvent('director:listScenes')
 AddEventHandler('director:listScenes', function()
+    SendSceneList(source)
+end)
+
+--[[ =========================================================================
+    LIBRARY MANAGEMENT (rename / duplicate / branch / delete)
+
+    Each handler answers with director:sceneLibraryResult
+    (ok, op, name, newName, message) and, on success, a fresh list.
+========================================================================= ]]
+
+local function LibraryResult(src, ok, op, name, newName, message)
+    TriggerClientEvent('director:sceneLibraryResult', src, ok, op, name, newName, message)
+    if ok then
+        SendSceneList(src)
+    end
+end
+
+-- Shared checks for operations that create a new scene from an old one.
+-- With `revision`, the copy comes from that revision instead of the
+-- current file.
+local function CheckCopyTarget(src, op, name, newName, revision)
+    if not DirectorServer_IsAllowed(src) then
+        ReDOCore.Warn("Player %d tried to %s a scene without permission", src, op)
+        LibraryResult(src, false, op, name, newName, "Permission denied")
+        return nil
+    end
+
+    if not DirectorValidation.IsValidSceneName(name) then
+        LibraryResult(src, false, op, name, newName, "Scene '" .. tostring(name) .. "' not found")
+        return nil
+    end
+
+    if DirectorValidation.IsReservedSceneName(newName) then
+        LibraryResult(src, false, op, name, newName, "Scene names can't start with _ (reserved for the scene library)")
+        return nil
+    end
+
+    if not DirectorValidation.IsValidSceneName(newName) then
+        LibraryResult(src, false, op, name, newName, "Names may only use letters, digits, _ and -")
+        return nil
+    end
+
+    if SceneFileExists(newName) then
+        LibraryResult(src, false, op, name, newName, "A scene named '" .. newName .. "' already exists")
+        return nil
+    end
+
+    if revision then
+        local sceneData = DirectorRevisions_Load(name, revision)
+        if not sceneData then
+            LibraryResult(src, false, op, name, newName, string.format("Revision %s of '%s' not found", tostring(revision), tostring(name)))
+        end
+        return sceneData
+    end
+
+    local sceneData = LoadSceneFile(name)
+    if not sceneData then
+        LibraryResult(src, false, op, name, newName, "Scene '" .. tostring(name) .. "' not found")
+        return nil
+    end
+
+    return sceneData
+end
+
+RegisterNetEvent('director:renameScene')
+AddEventHandler('director:renameScene', function(name, newName)
     local src = source
-    local scenes = ListSceneFiles()
-    TriggerClientEvent('director:receiveSceneList', src, scenes)
+    if name == newName then
+        LibraryResult(src, false, "rename", name, newName, "Name unchanged")
+        return
+    end
+
+    local holder = DirectorLocks_HeldByOther(src, name)
+    if holder then
+        LibraryResult(src, false, "rename", name, newName, holder .. " is editing '" .. tostring(name) .. "'")
+        return
+    end
+
+    local sceneData = CheckCopyTarget(src, "rename", name, newName)
+    if not sceneData then return end
+
+    sceneData.name = newName
+    StampSceneMeta(sceneData, src)
+
+    if not SaveSceneFile(newName, sceneData) then
+        LibraryResult(src, false, "rename", name, newName, "Failed to write the renamed scene")
+        return
+    end
+
+    -- Keep the manifest right even if the old file can't be removed;
+    -- a stray file is harmless, a stale manifest entry is not.
+    DeleteSceneFile(name)
+    RemoveFromManifest(name)
+    UpdateManifest(newName, sceneData)
+    DirectorRevisions_Rename(name, newName)
+
+    LibraryResult(src, true, "rename", name, newName, nil)
+    -- After the result, so the editor has renamed its copy by the time
+    -- the new lock status arrives
+    DirectorLocks_Rename(name, newName)
+end)
+
+RegisterNetEvent('director:duplicateScene')
+AddEventHandler('director:duplicateScene', function(name, newName)
+    local src = source
+    local sceneData = CheckCopyTarget(src, "duplicate", name, newName)
+    if not sceneData then return end
+
+    sceneData.name = newName
+    sceneData.meta = nil
+    StampSceneMeta(sceneData, src)
+    DirectorRevisions_Stamp(newName, sceneData)
+
+    if not SaveSceneFile(newName, sceneData) then
+        LibraryResult(src, false, "duplicate", name, newName, "Failed to write the copy")
+        return
+    end
+
+    DirectorRevisions_Save(newName, sceneData)
+    UpdateManifest(newName, sceneData)
+    LibraryResult(src, true, "duplicate", name, newName, nil)
+end)
+
+-- New scene from an old revision; its history starts over
+RegisterNetEvent('director:branchRevision')
+AddEventHandler('director:branchRevision', function(name, revision, newName)
+    local src = source
+    if not tonumber(revision) then
+        LibraryResult(src, false, "branch", name, newName, "No revision given")
+        return
+    end
+
+    local sceneData = CheckCopyTarget(src, "branch", name, newName, tonumber(revision))
+    if not sceneData then return end
+
+    sceneData.name = newName
+    sceneData.meta = { branchedFrom = { scene = name, revision = tonumber(revision) } }
+    StampSceneMeta(sceneData, src)
+    DirectorRevisions_Stamp(newName, sceneData)
+
+    if not SaveSceneFile(newName, sceneData) then
+        LibraryResult(src, false, "branch", name, newName, "Failed to write the branch")
+        return
+    end
+
+    DirectorRevisions_Save(newName, sceneData)
+    UpdateManifest(newName, sceneData)
+    LibraryResult(src, true, "branch", name, newName, nil)
+end)
+
+RegisterNetEvent('director:deleteScene')
+AddEventHandler('director:deleteScene', function(name)
+    local src = source
+
+    if not DirectorServer_IsAllowed(src) then
+        ReDOCore.Warn("Player %d tried to delete a scene without permission", src)
+        LibraryResult(src, false, "delete", name, nil, "Permission denied")
+        return
+    end
+
+    if not DirectorValidation.IsValidSceneName(name) then
+        LibraryResult(src, false, "delete", name, nil, "Scene '" .. tostring(name) .. "' not found")
+        return
+    end
+
+    local holder = DirectorLocks_HeldByOther(src, name)
+    if holder then
+        LibraryResult(src, false, "delete", name, nil, holder .. " is editing '" .. name .. "'")
+        return
+    end
+
+    -- A missing file still gets its manifest entry cleaned up
+    if SceneFileExists(name) and not DeleteSceneFile(name) then
+        LibraryResult(src, false, "delete", name, nil, "Failed to delete the scene file")
+        return
+    end
+
+    RemoveFromManifest(name)
+    LibraryResult(src, true, "delete", name, nil, nil)
 end)
 
 ReDOCore.Info("Scene file I/O loaded (scenes stored in director/scenes/)")
@@ -0,0 +1,333 @@
+--[[ =========================================================================
+    FILE: shared/sh_validation.lua
+    RUNS ON: Client and server
+
+    PURPOSE:
+    Scene lint rules. The editor runs them for its Problems panel and
+    refuses to save while there are errors; sv_scenes.lua runs the same
+    rules on every director:saveScene so a bad scene can't reach disk
+    from a modified client either.
+
+    RESULT:
+    DirectorValidation.Validate(scene, library) returns a list, errors first:
+        { severity = "error"|"warning", message = "...", ref = {...} }
+    ref points at the offending item (indices are 1-based):
+        { kind = "scene", field = "name"|"duration"|"aspect" }
+        { kind = "camera", index = n }
+        { kind = "shot", index = n }
+        { kind = "entity", entityId = "id" }
+        { kind = "entityKeyframe", entityId = "id", index = n }
+        { kind = "event", index = n }
+        { kind = "overlay", index = n }
+        { kind = "marker", index = n }
+        { kind = "subScene", index = n }
+    library (optional) maps scene names to the scenes sub-scene clips
+    reference, and theirs, with false for names that don't exist. Without
+    it, missing scenes and reference cycles can't be checked.
+========================================================================= ]]
+
+DirectorValidation = {}
+
+-- Names starting with _ belong to the library's own files (scenes/_manifest.json)
+function DirectorValidation.IsReservedSceneName(name)
+    return type(name) == "string" and name:sub(1, 1) == "_"
+end
+
+-- Names used by library operations must map 1:1 onto a file name,
+-- otherwise two scenes could silently share one file.
+function DirectorValidation.IsValidSceneName(name)
+    return type(name) == "string" and name:match("^[%w_%-]+$") ~= nil
+        and not DirectorValidation.IsReservedSceneName(name)
+end
+
+-- Slack for float times that should sit exactly on the scene end
+local TIME_EPSILON = 0.001
+
+local function IsNumber(v)
+    return type(v) == "number" and v == v
+end
+
+local function IsVec3(v)
+    if type(v) ~= "table" then return false end
+    if v.x ~= nil then return IsNumber(v.x) and IsNumber(v.y) and IsNumber(v.z) end
+    return IsNumber(v[1]) and IsNumber(v[2]) and IsNumber(v[3])
+end
+
+local function IsBlank(s)
+    return type(s) ~= "string" or s:match("^%s*$") ~= nil
+end
+
+local function FormatTime(t)
+    return string.format("%.2fs", tonumber(t) or 0)
+end
+
+--[[ =========================================================================
+    RULES
+    Each takes (scene, duration, add) where add(severity, message, ref).
+========================================================================= ]]
+
+-- Frame masks the editor and playback overlay know (html/overlay.js)
+local ASPECT_RATIOS = { ["2.39"] = true, ["1.85"] = true, ["4:3"] = true }
+
+local function CheckScene(scene, duration, add)
+    if IsBlank(scene.name) or not tostring(scene.name):match("^[%w_%-]+$") then
+        add("error", "Scene name may only use letters, digits, _ and -", { kind = "scene", field = "name" })
+    elseif DirectorValidation.IsReservedSceneName(scene.name) then
+        add("error", "Scene names can't start with _ (reserved for the scene library)", { kind = "scene", field = "name" })
+    end
+    if not duration or duration <= 0 then
+        add("error", "Scene duration must be greater than 0", { kind = "scene", field = "duration" })
+    end
+    if scene.aspect ~= nil and not ASPECT_RATIOS[scene.aspect] then
+        add("warning", string.format("Unknown aspect ratio '%s'; playback shows no frame mask", tostring(scene.aspect)),
+            { kind = "scene", field = "aspect" })
+    end
+end
+
+local function CheckCamera(scene, duration, add, entityIds)
+    local camera = scene.camera or {}
+    local keyframes = camera.keyframes or {}
+
+    if #keyframes < 2 then
+        add("warning", string.format("Camera track has %d keyframe%s; it needs two to move",
+            #keyframes, #keyframes == 1 and "" or "s"), { kind = "camera" })
+    end
+
+    for i, kf in ipairs(keyframes) do
+        local ref = { kind = "camera", index = i }
+        local label = "Camera keyframe " .. i
+        if not IsNumber(kf.time) or kf.time < 0 then
+            add("error", label .. " has no valid time", ref)
+        elseif duration and kf.time > duration + TIME_EPSILON then
+            add("error", string.format("%s at %s is past the scene end (%s)", label, FormatTime(kf.time), FormatTime(duration)), ref)
+        end
+        if not IsVec3(kf.pos) or not IsVec3(kf.rot) then
+            add("error", label .. " is missing its position or rotation", ref)
+        end
+
+        local target = kf.target
+        if type(target) == "table" and target.entityId and not entityIds[target.entityId] then
+            add("error", string.format("%s targets missing entity '%s'", label, tostring(target.entityId)), ref)
+        end
+    end
+
+    local total = 0
+    for i, shot in ipairs(camera.shots or {}) do
+        if i < #camera.shots then total = total + (tonumber(shot.duration) or 0) end
+    end
+    if duration and #(camera.shots or {}) > 0 and total >= duration - TIME_EPSILON then
+        add("warning", string.format("Shots add up to %s, leaving nothing for the last shot", FormatTime(total)),
+            { kind = "shot", index = #camera.shots })
+    end
+end
+
+local ACTIONS_NEEDING_POS = { move_to = true, teleport = true }
+
+local function CheckEntities(scene, duration, add, entityIds)
+    local seen = {}
+    for _, ent in ipairs(scene.entities or {}) do
+        local id = tostring(ent.id)
+        local ref = { kind = "entity", entityId = ent.id }
+
+        if IsBlank(ent.id) then
+            add("error", "An entity has no ID", ref)
+        elseif seen[id] then
+            add("error", string.format("Entity ID '%s' is used more than once", id), ref)
+        elseif not id:match("^[%w_%-]+$") then
+            add("warning", string.format("Entity ID '%s' should only use letters, digits, _ and -", id), ref)
+        end
+        seen[id] = true
+
+        if IsBlank(ent.model) then
+            add("error", string.format("Entity '%s' has no model", id), ref)
+        end
+        if type(ent.spawn) ~= "table" or not IsVec3(ent.spawn.pos) then
+            add("error", string.format("Entity '%s' has no spawn position", id), ref)
+        end
+
+        for k, kf in ipairs(ent.keyframes or {}) do
+            local kref = { kind = "entityKeyframe", entityId = ent.id, index = k }
+            local action = kf.action or kf.type
+            local label = string.format("'%s' %s keyframe", id, tostring(action))
+
+            if not IsNumber(kf.time) or kf.time < 0 then
+                add("error", label .. " has no valid time", kref)
+            elseif duration and kf.time > duration + TIME_EPSILON then
+                add("error", string.format("%s at %s is past the scene end", label, FormatTime(kf.time)), kref)
+            end
+
+            if action == "anim" and (IsBlank(kf.dict) or IsBlank(kf.name)) then
+                add("error", string.format("%s at %s needs an anim dict and name", label, FormatTime(kf.time)), kref)
+            elseif ACTIONS_NEEDING_POS[action] and not IsVec3(kf.pos) then
+                add("error", string.format("%s at %s has no target position", label, FormatTime(kf.time)), kref)
+            end
+        end
+    end
+end
+
+local function CheckEvents(scene, duration, add)
+    for i, ev in ipairs(scene.events or {}) do
+        local ref = { kind = "event", index = i }
+        if IsBlank(ev.name) then
+            add("error", string.format("Event at %s has no name", FormatTime(ev.time)), ref)
+        end
+        if duration and IsNumber(ev.time) and ev.time > duration + TIME_EPSILON then
+            add("error", string.format("Event '%s' at %s is past the scene end", tostring(ev.name), FormatTime(ev.time)), ref)
+        end
+    end
+end
+
+local function CheckOverlays(scene, duration, add)
+    for i, cue in ipairs(scene.overlays or {}) do
+        local ref = { kind = "overlay", index = i }
+        local time = tonumber(cue.time) or 0
+        if duration and time > duration + TIME_EPSILON then
+            add("error", string.format("%s cue at %s is past the scene end", tostring(cue.type), FormatTime(time)), ref)
+        elseif duration and time + (tonumber(cue.duration) or 0) > duration + TIME_EPSILON then
+            add("warning", string.format("%s cue at %s runs past the scene end", tostring(cue.type), FormatTime(time)), ref)
+        end
+        if cue.type == "subtitle" and IsBlank(cue.text) then
+            add("warning", string.format("Subtitle at %s has no text", FormatTime(time)), ref)
+        elseif cue.type == "title" and IsBlank(cue.title) then
+            add("warning", string.format("Title card at %s has no title", FormatTime(time)), ref)
+        end
+    end
+end
+
+local function CheckMarkers(scene, duration, add)
+    for i, marker in ipairs(scene.markers or {}) do
+        local ref = { kind = "marker", index = i }
+        if duration and IsNumber(marker.time) and marker.time > duration + TIME_EPSILON then
+            add("warning", string.format("Marker '%s' at %s is past the scene end", tostring(marker.name), FormatTime(marker.time)), ref)
+        end
+    end
+end
+
+-- Follow sub-scene references from one of scene's clips until a name
+-- repeats: returns that path of names, or nil if there is no loop. The
+-- working copy stands in for its own saved file.
+local function FindSubSceneCycle(scene, firstClip, library)
+    local root = tostring(scene.name)
+    local path, onPath = { root }, { [root] = true }
+
+    local function visit(name)
+        if onPath[name] then
+            table.insert(path, name)
+            return true
+        end
+        local data = name == root and scene or library[name]
+        if type(data) ~= "table" then return false end
+
+        table.insert(path, name)
+        onPath[name] = true
+        for _, clip in ipairs(data.subScenes or {}) do
+            if type(clip.scene) == "string" and visit(clip.scene) then return true end
+        end
+        onPath[name] = nil
+        table.remove(path)
+        return false
+    end
+
+    if visit(firstClip.scene) then return path end
+    return nil
+end
+
+local function CheckSubScenes(scene, duration, add, library)
+    for i, clip in ipairs(scene.subScenes or {}) do
+        local ref = { kind = "subScene", index = i }
+        local time = tonumber(clip.time) or 0
+        local label = "Sub-scene clip at " .. FormatTime(time)
+
+        if IsBlank(clip.scene) or not tostring(clip.scene):match("^[%w_%-]+$") then
+            add("error", label .. " has no valid scene name", ref)
+        else
+            label = string.format("Sub-scene '%s' at %s", clip.scene, FormatTime(time))
+        end
+
+        if not IsNumber(clip.time) or clip.time < 0 then
+            add("error", label .. " has no valid time", ref)
+        elseif duration and clip.time > duration + TIME_EPSILON then
+            add("error", label .. " is past the scene end", ref)
+        end
+
+        local trimIn = tonumber(clip.trimIn) or 0
+        local trimOut = tonumber(clip.trimOut)
+        if trimIn < 0 then
+            add("error", label .. " has a negative trim in", ref)
+        elseif trimOut and trimOut <= trimIn then
+            add("error", string.format("%s is trimmed to nothing (out %s is not after in %s)",
+                label, FormatTime(trimOut), FormatTime(trimIn)), ref)
+        end
+        if clip.offset ~= nil and not IsVec3(clip.offset) then
+            add("error", label .. " has an invalid position offset", ref)
+        end
+
+        local source = library and type(clip.scene) == "string" and library[clip.scene]
+        if clip.scene == scene.name then
+            add("error", label .. " plays the scene it is in", ref)
+        elseif source == false then
+            add("error", string.format("%s references a scene that doesn't exist", label), ref)
+        elseif type(source) == "table" then
+            local length = tonumber(source.duration) or 0
+            if not trimOut and trimIn >= length - TIME_EPSILON then
+                add("error", string.format("%s trims in at %s, past the end of '%s' (%s)",
+                    label, FormatTime(trimIn), clip.scene, FormatTime(length)), ref)
+            elseif trimOut and trimOut > length + TIME_EPSILON then
+                add("warning", string.format("%s trims out at %s, past the end of '%s' (%s)",
+                    label, FormatTime(trimOut), clip.scene, FormatTime(length)), ref)
+            end
+            local finish = time + math.max(0, math.min(trimOut or length, length) - trimIn)
+            if duration and finish > duration + TIME_EPSILON then
+                add("warning", label .. " runs past the scene end", ref)
+            end
+
+            local cycle = FindSubSceneCycle(scene, clip, library)
+            if cycle then
+                add("error", string.format("%s leads into a reference loop: %s", label, table.concat(cycle, " → ")), ref)
+            end
+        end
+    end
+end
+
+--[[ =========================================================================
+    PUBLIC
+========================================================================= ]]
+
+function DirectorValidation.Validate(scene, library)
+    local errors, warnings = {}, {}
+    local function add(severity, message, ref)
+        table.insert(severity == "error" and errors or warnings, { severity = severity, message = message, ref = ref })
+    end
+
+    if type(scene) ~= "table" then
+        add("error", "Scene data is missing", { kind = "scene" })
+        return errors
+    end
+
+    local duration = tonumber(scene.duration)
+    local entityIds = {}
+    for _, ent in ipairs(scene.entities or {}) do
+        if ent.id then entityIds[ent.id] = true end
+    end
+
+    CheckScene(scene, duration, add)
+    CheckCamera(scene, duration, add, entityIds)
+    CheckEntities(scene, duration, add, entityIds)
+    CheckEvents(scene, duration, add)
+    CheckOverlays(scene, duration, add)
+    CheckMarkers(scene, duration, add)
+    CheckSubScenes(scene, duration, add, library)
+
+    for _, w in ipairs(warnings) do
+        table.insert(errors, w)
+    end
+    return errors
+end
+
+function DirectorValidation.CountErrors(problems)
+    local count = 0
+    for _, p in ipairs(problems) do
+        if p.severity == "error" then count = count + 1 end
+    end
+    return count
+end